@@ -0,0 +1,46 @@
+import { loadTaskContext, loadProjectContext, sendAccessError } from '../utils/access.js';
+import { getActivityPage } from '../utils/activityService.js';
+
+const ENTITY_TYPES = ['task', 'board', 'project', 'comment', 'membership'];
+
+/**
+ * Get activity history of a task (any project member)
+ */
+export const getTaskActivity = async (req, res) => {
+  try {
+    const context = await loadTaskContext(req.params.id, req.user.id);
+    if (context.error) return sendAccessError(res, context);
+
+    const result = await getActivityPage({ task: context.task._id }, req.query);
+    res.json(result);
+  } catch (err) {
+    console.error(err.message);
+    res.status(500).json({ msg: 'Server error' });
+  }
+};
+
+/**
+ * Get activity history of a project (any project member).
+ * Optional ?entityType=task|board|project|comment|membership
+ */
+export const getProjectActivity = async (req, res) => {
+  try {
+    const { entityType } = req.query;
+
+    if (entityType !== undefined && !ENTITY_TYPES.includes(entityType)) {
+      return res.status(400).json({ msg: `entityType must be one of: ${ENTITY_TYPES.join(', ')}` });
+    }
+
+    const context = await loadProjectContext(req.params.id, req.user.id);
+    if (context.error) return sendAccessError(res, context);
+
+    const filter = { project: context.project._id };
+    if (entityType) filter.entityType = entityType;
+
+    const result = await getActivityPage(filter, req.query);
+    res.json(result);
+  } catch (err) {
+    console.error(err.message);
+    res.status(500).json({ msg: 'Server error' });
+  }
+};
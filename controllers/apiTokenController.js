@@ -0,0 +1,98 @@
+import mongoose from 'mongoose';
+import ApiToken from '../models/apiToken.model.js';
+import Organization from '../models/organization.model.js';
+import { isAdminOrOwner } from '../utils/permissions.js';
+import { apiTokenResponse, createApiToken, parseTokenInput } from '../utils/apiTokens.js';
+
+const loadOrganization = (user) => Organization.findById(user.organization).select('owner');
+
+/**
+ * List the caller's personal tokens and, for owners and admins, the
+ * organization's service keys
+ */
+export const getApiTokens = async (req, res) => {
+  try {
+    const organization = await loadOrganization(req.user);
+    const filters = [{ type: 'personal', user: req.user._id }];
+    if (isAdminOrOwner(req.user, organization)) {
+      filters.push({ type: 'service', organization: req.user.organization });
+    }
+
+    const tokens = await ApiToken.find({ $or: filters, revokedAt: null })
+      .populate('user', 'name email')
+      .sort({ createdAt: -1 });
+
+    res.json(tokens.map(apiTokenResponse));
+  } catch (err) {
+    console.error(err.message);
+    res.status(500).json({ msg: 'Server error' });
+  }
+};
+
+/**
+ * Create a token. Body: { name, scopes, expiresInDays?, type? }, where type is
+ * personal (default) or service (owners and admins). The token is returned
+ * only in this response.
+ */
+export const createToken = async (req, res) => {
+  try {
+    const type = req.body?.type || 'personal';
+    if (!['personal', 'service'].includes(type)) {
+      return res.status(400).json({ msg: 'type must be personal or service' });
+    }
+
+    const input = parseTokenInput(req.body);
+    if (input.error) {
+      return res.status(400).json({ msg: input.error });
+    }
+
+    const organization = await loadOrganization(req.user);
+    const isAdmin = isAdminOrOwner(req.user, organization);
+    if (type === 'service' && !isAdmin) {
+      return res.status(403).json({ msg: 'Only organization owners and admins can create service keys' });
+    }
+    if (input.scopes.includes('admin') && !isAdmin) {
+      return res.status(403).json({ msg: 'Only organization owners and admins can use the admin scope' });
+    }
+
+    const { token, record } = await createApiToken({ type, user: req.user, ...input });
+    res.status(201).json({ ...apiTokenResponse(record), token });
+  } catch (err) {
+    console.error(err.message);
+    res.status(500).json({ msg: 'Server error' });
+  }
+};
+
+/**
+ * Revoke a personal token of the caller, or a service key of the organization
+ * (owners and admins)
+ */
+export const revokeToken = async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.tokenId)) {
+      return res.status(404).json({ msg: 'Token not found' });
+    }
+
+    const record = await ApiToken.findOne({ _id: req.params.tokenId, revokedAt: null });
+    const organization = await loadOrganization(req.user);
+    const canRevoke =
+      record &&
+      (record.type === 'service'
+        ? record.organization.toString() === req.user.organization.toString() &&
+          isAdminOrOwner(req.user, organization)
+        : record.user.toString() === req.user._id.toString());
+
+    if (!canRevoke) {
+      return res.status(404).json({ msg: 'Token not found' });
+    }
+
+    record.revokedAt = new Date();
+    record.revokedBy = req.user._id;
+    await record.save();
+
+    res.json({ msg: 'Token revoked' });
+  } catch (err) {
+    console.error(err.message);
+    res.status(500).json({ msg: 'Server error' });
+  }
+};
@@ -1,8 +1,34 @@
-import jwt from 'jsonwebtoken';
 import bcrypt from 'bcryptjs';
 import dotenv from 'dotenv';
 import User from '../models/user.model.js';
 import Organization from '../models/organization.model.js';
+import {
+  authUserResponse,
+  createSession,
+  endSession,
+  revokeAllSessions,
+  rotateRefreshToken,
+} from '../utils/authTokens.js';
+import { CHALLENGE_PURPOSES, signChallengeToken } from '../utils/twoFactor.js';
+import { isTwoFactorRequired } from '../utils/permissions.js';
+import { isPasswordLoginAllowed } from '../utils/sso.js';
+import {
+  MIN_PASSWORD_LENGTH,
+  RESET_TOKEN_TTL_MINUTES,
+  consumePasswordResetToken,
+  createPasswordResetToken,
+  hashPassword,
+  isValidPassword,
+} from '../utils/passwordReset.js';
+import { sendPasswordResetEmail } from '../utils/emailService.js';
+import {
+  checkAttempts,
+  clearLoginFailures,
+  loginKeys,
+  recordLoginFailure,
+  sendThrottled,
+  unlockAccount,
+} from '../utils/loginThrottle.js';
 
 dotenv.config();
 
@@ -185,32 +211,8 @@ export const register = async (req, res) => {
       );
     }
 
-    const payload = {
-      user: {
-        id: user.id,
-        role: user.role,
-        organization: user.organization,
-      },
-    };
-
-    jwt.sign(
-      payload,
-      process.env.JWT_SECRET,
-      { expiresIn: '7d' },
-      (err, token) => {
-        if (err) throw err;
-        res.json({
-          token,
-          user: {
-            id: user.id,
-            name: user.name,
-            email: user.email,
-            role: user.role,
-            organization: user.organization,
-          },
-        });
-      }
-    );
+    const session = await createSession(user, req);
+    res.json({ ...session, user: authUserResponse(user) });
   } catch (err) {
     console.error('Registration error:', err);
     console.error('Error details:', {
@@ -270,6 +272,85 @@ export const register = async (req, res) => {
   }
 };
 
+// An email can belong to several organizations, with a separate account
+// (and password) in each
+const MAX_ACCOUNTS_PER_EMAIL = 20;
+
+/**
+ * Accounts of an email whose password matches, split into those that may
+ * log in with it and those whose organization requires SSO
+ */
+const findAccounts = async (email, password) => {
+  const users = await User.find({ email: String(email).toLowerCase() })
+    .sort({ createdAt: 1 })
+    .limit(MAX_ACCOUNTS_PER_EMAIL);
+
+  const matches = [];
+  for (const user of users) {
+    if (await bcrypt.compare(password, user.password)) matches.push(user);
+  }
+
+  const organizations = await Organization.find({
+    _id: { $in: matches.map((account) => account.organization) },
+  }).select('name owner sso');
+  const organizationsById = new Map(organizations.map((org) => [org._id.toString(), org]));
+
+  const accounts = [];
+  const ssoOnly = [];
+  for (const account of matches) {
+    const organization = organizationsById.get(account.organization.toString());
+    (isPasswordLoginAllowed(account, organization) ? accounts : ssoOnly).push(account);
+  }
+
+  const listOrganizations = (list) =>
+    list.map((account) => ({
+      id: account.organization.toString(),
+      name: organizationsById.get(account.organization.toString())?.name || null,
+      role: account.role,
+    }));
+
+  return { accounts, organizations: listOrganizations(accounts), ssoRequired: listOrganizations(ssoOnly) };
+};
+
+// Correct password, but the organization only allows single sign-on
+const sendSsoRequired = (res, organizations) =>
+  res.status(403).json({
+    msg: 'Your organization signs in with single sign-on',
+    ssoRequired: true,
+    organizations,
+  });
+
+/**
+ * Start a session for an account whose password (or SSO login) was verified,
+ * or return the 2FA challenge when a second step is needed: POST
+ * /api/auth/2fa/verify, or /2fa/login-setup when the organization requires
+ * 2FA and the user has not enrolled yet
+ */
+export const startLogin = async (user, req, organizations) => {
+  if (user.twoFactor?.enabled) {
+    return {
+      twoFactorRequired: true,
+      challengeToken: signChallengeToken(user, CHALLENGE_PURPOSES.LOGIN),
+    };
+  }
+
+  const organization = await Organization.findById(user.organization).populate('owner', '_id');
+  if (isTwoFactorRequired(user, organization)) {
+    return {
+      twoFactorSetupRequired: true,
+      challengeToken: signChallengeToken(user, CHALLENGE_PURPOSES.SETUP),
+    };
+  }
+
+  const session = await createSession(user, req);
+  return { ...session, user: authUserResponse(user), organizations };
+};
+
+/**
+ * Log in. Body: { email, password, organizationId? }. When the email has
+ * accounts in several organizations and no organizationId is given, the
+ * response is { organizationRequired, organizations } instead of a session.
+ */
 export const login = async (req, res) => {
   try {
     // Check if req.body exists
@@ -285,7 +366,7 @@ export const login = async (req, res) => {
       });
     }
 
-    const { email, password } = req.body;
+    const { email, password, organizationId } = req.body;
 
     // Validate required fields
     if (!email || !password) {
@@ -294,44 +375,30 @@ export const login = async (req, res) => {
       });
     }
 
-    // Note: Since email is not unique globally, we might need organization context
-    // For now, find first user with this email (in production, you might want to add org selection)
-    let user = await User.findOne({ email: email.toLowerCase() });
+    const blocked = await checkAttempts(loginKeys({ email, ip: req.ip }));
+    if (blocked) return sendThrottled(res, blocked);
+
+    const { accounts, organizations, ssoRequired } = await findAccounts(email, password);
+    const matchesOrganization = (orgId) => !organizationId || orgId === String(organizationId);
+
+    const user = accounts.find((account) => matchesOrganization(account.organization.toString()));
     if (!user) {
-      return res.status(400).json({ msg: 'Invalid credentials' });
-    }
+      const sso = ssoRequired.filter((org) => matchesOrganization(org.id));
+      if (sso.length) return sendSsoRequired(res, sso);
 
-    const isMatch = await bcrypt.compare(password, user.password);
-    if (!isMatch) {
+      await recordLoginFailure({ email, ip: req.ip });
       return res.status(400).json({ msg: 'Invalid credentials' });
     }
 
-    const payload = {
-      user: {
-        id: user.id,
-        role: user.role,
-        organization: user.organization,
-      },
-    };
+    await clearLoginFailures(email);
 
-    jwt.sign(
-      payload,
-      process.env.JWT_SECRET,
-      { expiresIn: '7d' },
-      (err, token) => {
-        if (err) throw err;
-        res.json({
-          token,
-          user: {
-            id: user.id,
-            name: user.name,
-            email: user.email,
-            role: user.role,
-            organization: user.organization,
-          },
-        });
-      }
-    );
+    if (!organizationId && accounts.length > 1) {
+      // Same email in several organizations: the client asks which one and
+      // logs in again with organizationId
+      return res.json({ organizationRequired: true, organizations });
+    }
+
+    res.json(await startLogin(user, req, organizations));
   } catch (err) {
     console.error(err.message);
     res.status(500).json({ msg: 'Server error' });
@@ -348,4 +415,229 @@ export const getMe = async (req, res) => {
   }
 };
 
+/**
+ * Exchange a refresh token for a new access token and refresh token.
+ * Body: { refreshToken }. The old refresh token stops working.
+ */
+export const refresh = async (req, res) => {
+  try {
+    const result = await rotateRefreshToken(req.body?.refreshToken, req);
+    if (result.error) {
+      return res.status(result.error.status).json({ msg: result.error.msg });
+    }
 
+    const { user, ...session } = result;
+    res.json({ ...session, user: authUserResponse(user) });
+  } catch (err) {
+    console.error(err.message);
+    res.status(500).json({ msg: 'Server error' });
+  }
+};
+
+/**
+ * End the current session. Body: { refreshToken }. The access token stays
+ * valid until it expires (minutes); clients drop it on logout.
+ */
+export const logout = async (req, res) => {
+  try {
+    await endSession(req.body?.refreshToken);
+    res.json({ msg: 'Logged out' });
+  } catch (err) {
+    console.error(err.message);
+    res.status(500).json({ msg: 'Server error' });
+  }
+};
+
+/**
+ * End every session of the caller, including access tokens already issued
+ */
+export const logoutAll = async (req, res) => {
+  try {
+    await revokeAllSessions(req.user.id, 'logout_all');
+    res.json({ msg: 'Logged out of all sessions' });
+  } catch (err) {
+    console.error(err.message);
+    res.status(500).json({ msg: 'Server error' });
+  }
+};
+
+// Same answer whether or not the email has an account
+const FORGOT_PASSWORD_MSG = 'If an account exists for this email, a reset link has been sent';
+
+/**
+ * Email a password reset link. Body: { email }. The same email can have an
+ * account in several organizations; each gets its own link.
+ */
+export const forgotPassword = async (req, res) => {
+  try {
+    const { email } = req.body || {};
+
+    if (!email || typeof email !== 'string') {
+      return res.status(400).json({ msg: 'Email is required' });
+    }
+
+    const users = await User.find({ email: email.trim().toLowerCase() }).populate('organization', 'name');
+    const frontendUrl = process.env.FRONTEND_URL || 'http://localhost:3000';
+
+    for (const user of users) {
+      const token = await createPasswordResetToken(user, req);
+      const result = await sendPasswordResetEmail(user.email, user.name, {
+        resetUrl: `${frontendUrl}/reset-password?token=${token}`,
+        organizationName: user.organization?.name,
+        expiresInMinutes: RESET_TOKEN_TTL_MINUTES,
+      });
+      if (!result?.success) {
+        console.error('Password reset email not sent:', { user: String(user._id) });
+      }
+    }
+
+    res.json({ msg: FORGOT_PASSWORD_MSG });
+  } catch (err) {
+    console.error(err.message);
+    res.status(500).json({ msg: 'Server error' });
+  }
+};
+
+/**
+ * Set a new password with a reset token. Body: { token, password }.
+ * Every session of the account is ended.
+ */
+export const resetPassword = async (req, res) => {
+  try {
+    const { token, password } = req.body || {};
+
+    if (!isValidPassword(password)) {
+      return res.status(400).json({ msg: `Password must be at least ${MIN_PASSWORD_LENGTH} characters` });
+    }
+
+    const userId = await consumePasswordResetToken(token);
+    if (!userId) {
+      return res.status(400).json({ msg: 'Reset link is invalid or has expired' });
+    }
+
+    const user = await User.findById(userId);
+    if (!user) {
+      return res.status(400).json({ msg: 'Reset link is invalid or has expired' });
+    }
+
+    user.password = await hashPassword(password);
+    await user.save();
+    await revokeAllSessions(user._id, 'password_reset');
+    await clearLoginFailures(user.email);
+
+    res.json({ msg: 'Password has been reset. Please log in with your new password.' });
+  } catch (err) {
+    console.error(err.message);
+    res.status(500).json({ msg: 'Server error' });
+  }
+};
+
+/**
+ * Unlock an account locked after failed logins. Body: { token } (from the
+ * unlock email)
+ */
+export const unlock = async (req, res) => {
+  try {
+    if (!(await unlockAccount(req.body?.token))) {
+      return res.status(400).json({ msg: 'Unlock link is invalid or has expired' });
+    }
+
+    res.json({ msg: 'Your account is unlocked. You can log in again.' });
+  } catch (err) {
+    console.error(err.message);
+    res.status(500).json({ msg: 'Server error' });
+  }
+};
+
+/**
+ * Change the caller's password. Body: { currentPassword, newPassword }.
+ * Every other session is ended; the response carries a new session for the
+ * caller.
+ */
+export const changePassword = async (req, res) => {
+  try {
+    const { currentPassword, newPassword } = req.body || {};
+
+    if (!currentPassword || !newPassword) {
+      return res.status(400).json({ msg: 'Current and new password are required' });
+    }
+
+    if (!isValidPassword(newPassword)) {
+      return res.status(400).json({ msg: `Password must be at least ${MIN_PASSWORD_LENGTH} characters` });
+    }
+
+    const user = await User.findById(req.user.id);
+    if (!user) {
+      return res.status(404).json({ msg: 'User not found' });
+    }
+
+    const isMatch = await bcrypt.compare(currentPassword, user.password);
+    if (!isMatch) {
+      return res.status(400).json({ msg: 'Current password is incorrect' });
+    }
+
+    if (await bcrypt.compare(newPassword, user.password)) {
+      return res.status(400).json({ msg: 'New password must be different from the current one' });
+    }
+
+    user.password = await hashPassword(newPassword);
+    await user.save();
+    await revokeAllSessions(user._id, 'password_changed');
+
+    // tokenVersion was bumped: reload so the new access token carries it
+    const updated = await User.findById(user._id);
+    const session = await createSession(updated, req);
+    res.json({ msg: 'Password changed', ...session, user: authUserResponse(updated) });
+  } catch (err) {
+    console.error(err.message);
+    res.status(500).json({ msg: 'Server error' });
+  }
+};
+
+/**
+ * Switch to the caller's account in another organization.
+ * Body: { organizationId, password, refreshToken? }. Accounts are separate per
+ * organization and emails are not verified, so the password of the target
+ * account is required; the response is the same as for /login (a session or
+ * a 2FA challenge). The current session ends when its refreshToken is given.
+ */
+export const switchOrganization = async (req, res) => {
+  try {
+    const { organizationId, password, refreshToken } = req.body || {};
+
+    if (!organizationId || !password) {
+      return res.status(400).json({ msg: 'organizationId and password are required' });
+    }
+
+    if (String(organizationId) === req.user.organization?.toString()) {
+      return res.status(400).json({ msg: 'You are already in this organization' });
+    }
+
+    const current = await User.findById(req.user.id).select('email');
+    if (!current) {
+      return res.status(404).json({ msg: 'User not found' });
+    }
+
+    const blocked = await checkAttempts(loginKeys({ email: current.email, ip: req.ip }));
+    if (blocked) return sendThrottled(res, blocked);
+
+    const { accounts, organizations, ssoRequired } = await findAccounts(current.email, password);
+    const user = accounts.find((account) => account.organization.toString() === String(organizationId));
+    if (!user) {
+      const sso = ssoRequired.filter((org) => org.id === String(organizationId));
+      if (sso.length) return sendSsoRequired(res, sso);
+
+      await recordLoginFailure({ email: current.email, ip: req.ip });
+      return res.status(400).json({ msg: 'Invalid credentials' });
+    }
+
+    const result = await startLogin(user, req, organizations);
+    if (result.token) {
+      await endSession(refreshToken);
+    }
+    res.json(result);
+  } catch (err) {
+    console.error(err.message);
+    res.status(500).json({ msg: 'Server error' });
+  }
+};
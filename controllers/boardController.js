@@ -4,6 +4,8 @@ import Organization from '../models/organization.model.js';
 import User from '../models/user.model.js';
 import { canCreateBoard, isAdminOrOwner } from '../utils/permissions.js';
 import { sendBoardInvitation } from '../utils/emailService.js';
+import { buildDefaultColumns } from '../utils/boardColumns.js';
+import { diffFields, recordActivity } from '../utils/activityService.js';
 
 /**
  * Get boards by project (only project members can view)
@@ -291,9 +293,22 @@ export const createBoard = async (req, res) => {
       project: projectId,
       owner: req.user.id,
       members: [req.user.id],
+      columns: buildDefaultColumns(),
     });
 
     const board = await newBoard.save();
+
+    await recordActivity({
+      actor: req.user.id,
+      entityType: 'board',
+      entityId: board._id,
+      action: 'created',
+      meta: { title: board.title },
+      organization: organizationId,
+      project,
+      board,
+    });
+
     await board.populate('owner', 'name email');
     await board.populate('members', 'name email');
     await board.populate('project', 'name');
@@ -307,9 +322,13 @@ export const createBoard = async (req, res) => {
 
 export const updateBoard = async (req, res) => {
   try {
-    const { title, description, members } = req.body;
+    const { title, description, members, wipMode } = req.body;
     const user = await User.findById(req.user.id).populate('organization');
 
+    if (wipMode !== undefined && !['soft', 'hard'].includes(wipMode)) {
+      return res.status(400).json({ msg: 'WIP mode must be soft or hard' });
+    }
+
     let board = await Board.findById(req.params.id).populate('project');
 
     if (!board) {
@@ -365,7 +384,9 @@ export const updateBoard = async (req, res) => {
     if (title !== undefined) updateData.title = title;
     if (description !== undefined) updateData.description = description;
     if (members !== undefined) updateData.members = members;
+    if (wipMode !== undefined) updateData.wipMode = wipMode;
 
+    const previous = board;
     board = await Board.findByIdAndUpdate(
       req.params.id,
       { $set: updateData },
@@ -375,6 +396,17 @@ export const updateBoard = async (req, res) => {
       .populate('members', 'name email')
       .populate('project', 'name');
 
+    await recordActivity({
+      actor: req.user.id,
+      entityType: 'board',
+      entityId: board._id,
+      action: 'updated',
+      changes: diffFields(previous, board, Object.keys(updateData)),
+      organization: project.organization,
+      project,
+      board,
+    });
+
     res.json(board);
   } catch (err) {
     console.error(err.message);
@@ -425,6 +457,18 @@ export const deleteBoard = async (req, res) => {
     }
 
     await Board.findByIdAndDelete(req.params.id);
+
+    await recordActivity({
+      actor: req.user.id,
+      entityType: 'board',
+      entityId: board._id,
+      action: 'deleted',
+      meta: { title: board.title },
+      organization: project.organization,
+      project,
+      board,
+    });
+
     res.json({ msg: 'Board removed' });
   } catch (err) {
     console.error(err.message);
@@ -507,6 +551,17 @@ export const sendBoardInvite = async (req, res) => {
     board.members.push(userId);
     await board.save();
 
+    await recordActivity({
+      actor: req.user.id,
+      entityType: 'membership',
+      entityId: invitedUser._id,
+      action: 'board_member_added',
+      meta: { userName: invitedUser.name, boardTitle: board.title },
+      organization: project.organization,
+      project,
+      board,
+    });
+
     res.json({
       msg: 'Invitation sent successfully',
       emailSent: emailResult.success,
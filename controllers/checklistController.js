@@ -0,0 +1,318 @@
+import { canUpdateTask } from '../utils/permissions.js';
+import { loadTaskContext, sendAccessError } from '../utils/access.js';
+import { recordActivity } from '../utils/activityService.js';
+
+/**
+ * Checklists on a task. Reading needs project access; changes need the same
+ * permission as updating the task (canUpdateTask).
+ */
+
+const getChecklistProgress = (task) => {
+  const items = (task.checklists || []).flatMap((c) => c.items);
+  const done = items.filter((i) => i.done).length;
+  return {
+    total: items.length,
+    done,
+    percent: items.length ? Math.round((done / items.length) * 100) : 0,
+  };
+};
+
+const checklistResponse = (task) => ({
+  checklists: task.checklists,
+  progress: getChecklistProgress(task),
+});
+
+// Load the task and check the caller may edit it
+const loadEditableTask = async (req, res) => {
+  const context = await loadTaskContext(req.params.id, req.user.id);
+  if (context.error) {
+    sendAccessError(res, context);
+    return null;
+  }
+
+  if (!canUpdateTask(context.user, context.organization, context.task)) {
+    res.status(403).json({ msg: 'Not authorized to update this task' });
+    return null;
+  }
+
+  return context;
+};
+
+// Assignee must be a project member
+const isValidAssignee = (project, assignee) =>
+  project.members.some((m) => (m.user._id || m.user).toString() === assignee.toString());
+
+const recordChecklistActivity = (req, context, action, meta) =>
+  recordActivity({
+    actor: req.user.id,
+    entityType: 'task',
+    entityId: context.task._id,
+    action,
+    meta,
+    organization: context.organization,
+    project: context.project,
+    board: context.board,
+    task: context.task,
+  });
+
+/**
+ * Get checklists of a task with overall progress
+ */
+export const getChecklists = async (req, res) => {
+  try {
+    const context = await loadTaskContext(req.params.id, req.user.id);
+    if (context.error) return sendAccessError(res, context);
+
+    res.json(checklistResponse(context.task));
+  } catch (err) {
+    console.error(err.message);
+    res.status(500).json({ msg: 'Server error' });
+  }
+};
+
+/**
+ * Add a checklist. Body: { title, items?: [text, ...] }
+ */
+export const createChecklist = async (req, res) => {
+  try {
+    const { title, items } = req.body || {};
+
+    if (!title || !title.trim()) {
+      return res.status(400).json({ msg: 'Checklist title is required' });
+    }
+
+    if (items !== undefined && !Array.isArray(items)) {
+      return res.status(400).json({ msg: 'items must be an array' });
+    }
+
+    const context = await loadEditableTask(req, res);
+    if (!context) return;
+
+    const { task } = context;
+    task.checklists.push({
+      title: title.trim(),
+      items: (items || [])
+        .map((i) => (typeof i === 'string' ? { text: i } : i))
+        .filter((i) => i?.text && String(i.text).trim())
+        .map((i) => ({ text: String(i.text).trim() })),
+    });
+    await task.save();
+
+    const checklist = task.checklists[task.checklists.length - 1];
+    await recordChecklistActivity(req, context, 'checklist_created', { checklist: checklist.title });
+
+    res.status(201).json(checklistResponse(task));
+  } catch (err) {
+    console.error(err.message);
+    res.status(500).json({ msg: 'Server error' });
+  }
+};
+
+/**
+ * Rename a checklist
+ */
+export const updateChecklist = async (req, res) => {
+  try {
+    const { title } = req.body || {};
+
+    if (!title || !title.trim()) {
+      return res.status(400).json({ msg: 'Checklist title is required' });
+    }
+
+    const context = await loadEditableTask(req, res);
+    if (!context) return;
+
+    const { task } = context;
+    const checklist = task.checklists.id(req.params.checklistId);
+    if (!checklist) {
+      return res.status(404).json({ msg: 'Checklist not found' });
+    }
+
+    const previousTitle = checklist.title;
+    checklist.title = title.trim();
+    await task.save();
+
+    await recordChecklistActivity(req, context, 'checklist_updated', {
+      checklist: checklist.title,
+      previousTitle,
+    });
+
+    res.json(checklistResponse(task));
+  } catch (err) {
+    console.error(err.message);
+    res.status(500).json({ msg: 'Server error' });
+  }
+};
+
+/**
+ * Delete a checklist
+ */
+export const deleteChecklist = async (req, res) => {
+  try {
+    const context = await loadEditableTask(req, res);
+    if (!context) return;
+
+    const { task } = context;
+    const checklist = task.checklists.id(req.params.checklistId);
+    if (!checklist) {
+      return res.status(404).json({ msg: 'Checklist not found' });
+    }
+
+    const removedTitle = checklist.title;
+    task.checklists.pull(checklist._id);
+    await task.save();
+
+    await recordChecklistActivity(req, context, 'checklist_deleted', { checklist: removedTitle });
+
+    res.json(checklistResponse(task));
+  } catch (err) {
+    console.error(err.message);
+    res.status(500).json({ msg: 'Server error' });
+  }
+};
+
+/**
+ * Add an item. Body: { text, assignee?, dueDate?, position? }
+ */
+export const addChecklistItem = async (req, res) => {
+  try {
+    const { text, assignee, dueDate, position } = req.body || {};
+
+    if (!text || !text.trim()) {
+      return res.status(400).json({ msg: 'Item text is required' });
+    }
+
+    const context = await loadEditableTask(req, res);
+    if (!context) return;
+
+    const { task, project } = context;
+    const checklist = task.checklists.id(req.params.checklistId);
+    if (!checklist) {
+      return res.status(404).json({ msg: 'Checklist not found' });
+    }
+
+    if (assignee && !isValidAssignee(project, assignee)) {
+      return res.status(400).json({ msg: 'Item assignee must be a project member' });
+    }
+
+    const item = {
+      text: text.trim(),
+      assignee: assignee || null,
+      dueDate: dueDate || null,
+    };
+
+    const index = Number.isInteger(Number(position)) && position !== null && position !== ''
+      ? Math.min(Math.max(Number(position), 0), checklist.items.length)
+      : checklist.items.length;
+    checklist.items.splice(index, 0, item);
+    await task.save();
+
+    await recordChecklistActivity(req, context, 'checklist_item_added', {
+      checklist: checklist.title,
+      item: item.text,
+    });
+
+    res.status(201).json(checklistResponse(task));
+  } catch (err) {
+    console.error(err.message);
+    res.status(500).json({ msg: 'Server error' });
+  }
+};
+
+/**
+ * Update an item. Body: { text?, done?, assignee?, dueDate?, position? }
+ */
+export const updateChecklistItem = async (req, res) => {
+  try {
+    const { text, done, assignee, dueDate, position } = req.body || {};
+
+    if (text !== undefined && (!text || !text.trim())) {
+      return res.status(400).json({ msg: 'Item text is required' });
+    }
+
+    const context = await loadEditableTask(req, res);
+    if (!context) return;
+
+    const { task, project } = context;
+    const checklist = task.checklists.id(req.params.checklistId);
+    if (!checklist) {
+      return res.status(404).json({ msg: 'Checklist not found' });
+    }
+
+    const item = checklist.items.id(req.params.itemId);
+    if (!item) {
+      return res.status(404).json({ msg: 'Checklist item not found' });
+    }
+
+    if (assignee && !isValidAssignee(project, assignee)) {
+      return res.status(400).json({ msg: 'Item assignee must be a project member' });
+    }
+
+    const wasDone = item.done;
+    if (text !== undefined) item.text = text.trim();
+    if (assignee !== undefined) item.assignee = assignee || null;
+    if (dueDate !== undefined) item.dueDate = dueDate || null;
+    if (done !== undefined) {
+      item.done = done === true || done === 'true';
+      if (item.done !== wasDone) {
+        item.completedAt = item.done ? new Date() : null;
+      }
+    }
+
+    if (position !== undefined && Number.isInteger(Number(position))) {
+      const index = Math.min(Math.max(Number(position), 0), checklist.items.length - 1);
+      const moved = item.toObject();
+      checklist.items.pull(item._id);
+      checklist.items.splice(index, 0, moved);
+    }
+
+    await task.save();
+
+    await recordChecklistActivity(
+      req,
+      context,
+      item.done !== wasDone ? (item.done ? 'checklist_item_completed' : 'checklist_item_reopened') : 'checklist_item_updated',
+      { checklist: checklist.title, item: item.text }
+    );
+
+    res.json(checklistResponse(task));
+  } catch (err) {
+    console.error(err.message);
+    res.status(500).json({ msg: 'Server error' });
+  }
+};
+
+/**
+ * Delete an item
+ */
+export const deleteChecklistItem = async (req, res) => {
+  try {
+    const context = await loadEditableTask(req, res);
+    if (!context) return;
+
+    const { task } = context;
+    const checklist = task.checklists.id(req.params.checklistId);
+    if (!checklist) {
+      return res.status(404).json({ msg: 'Checklist not found' });
+    }
+
+    const item = checklist.items.id(req.params.itemId);
+    if (!item) {
+      return res.status(404).json({ msg: 'Checklist item not found' });
+    }
+
+    const removedText = item.text;
+    checklist.items.pull(item._id);
+    await task.save();
+
+    await recordChecklistActivity(req, context, 'checklist_item_deleted', {
+      checklist: checklist.title,
+      item: removedText,
+    });
+
+    res.json(checklistResponse(task));
+  } catch (err) {
+    console.error(err.message);
+    res.status(500).json({ msg: 'Server error' });
+  }
+};
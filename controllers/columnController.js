@@ -0,0 +1,326 @@
+import Task from '../models/task.model.js';
+import { loadBoardContext, sendAccessError } from '../utils/access.js';
+import {
+  COLUMN_CATEGORIES,
+  ensureBoardColumns,
+  findColumn,
+  getEntryColumn,
+} from '../utils/boardColumns.js';
+import { enforceWipLimit, parseWipLimit } from '../utils/wipLimits.js';
+import { diffFields, recordActivity } from '../utils/activityService.js';
+import { statusTransition, applyStatusTimestamps } from '../utils/statusHistory.js';
+
+const nameTaken = (board, name, exceptId = null) =>
+  board.columns.some(
+    (c) => c.name.toLowerCase() === name.trim().toLowerCase() &&
+      (!exceptId || c._id.toString() !== exceptId.toString())
+  );
+
+const recordColumnActivity = (req, context, action, changes = [], meta = {}) =>
+  recordActivity({
+    actor: req.user.id,
+    entityType: 'board',
+    entityId: context.board._id,
+    action,
+    changes,
+    meta,
+    organization: context.organization,
+    project: context.project,
+    board: context.board,
+  });
+
+// Exactly one column carries the entry flag
+const setEntryColumn = (board, column) => {
+  board.columns.forEach((c) => {
+    c.isDefault = c._id.toString() === column._id.toString();
+  });
+};
+
+/**
+ * Get board columns (any project member)
+ */
+export const getColumns = async (req, res) => {
+  try {
+    const context = await loadBoardContext(req.params.id, req.user.id);
+    if (context.error) return sendAccessError(res, context);
+
+    const board = await ensureBoardColumns(context.board);
+    res.json(board.columns);
+  } catch (err) {
+    console.error(err.message);
+    res.status(500).json({ msg: 'Server error' });
+  }
+};
+
+/**
+ * Add a column (board owner, project admin or org admin/owner)
+ */
+export const createColumn = async (req, res) => {
+  try {
+    const { name, color, category, isDefault, position } = req.body || {};
+    const wipLimit = parseWipLimit(req.body?.wipLimit);
+
+    if (!name || !name.trim()) {
+      return res.status(400).json({ msg: 'Column name is required' });
+    }
+
+    if (Number.isNaN(wipLimit)) {
+      return res.status(400).json({ msg: 'WIP limit must be a positive integer or null' });
+    }
+
+    if (category !== undefined && !COLUMN_CATEGORIES.includes(category)) {
+      return res.status(400).json({ msg: `Category must be one of: ${COLUMN_CATEGORIES.join(', ')}` });
+    }
+
+    const context = await loadBoardContext(req.params.id, req.user.id);
+    if (context.error) return sendAccessError(res, context);
+
+    if (!context.canManageBoard) {
+      return res.status(403).json({ msg: 'Not authorized' });
+    }
+
+    const board = await ensureBoardColumns(context.board);
+
+    if (nameTaken(board, name)) {
+      return res.status(400).json({ msg: 'A column with this name already exists' });
+    }
+
+    const column = {
+      name: name.trim(),
+      category: category || 'todo',
+    };
+    if (color) column.color = color;
+    if (wipLimit) column.wipLimit = wipLimit;
+
+    const index = Number.isInteger(Number(position))
+      ? Math.min(Math.max(Number(position), 0), board.columns.length)
+      : board.columns.length;
+    board.columns.splice(index, 0, column);
+
+    const created = board.columns[index];
+    if (isDefault === true || isDefault === 'true') {
+      setEntryColumn(board, created);
+    }
+
+    await board.save();
+    await recordColumnActivity(req, context, 'column_created', [], { column: created.name });
+
+    res.status(201).json(board.columns);
+  } catch (err) {
+    console.error(err.message);
+    res.status(500).json({ msg: 'Server error' });
+  }
+};
+
+/**
+ * Update a column. Renaming moves the column's tasks to the new name.
+ */
+export const updateColumn = async (req, res) => {
+  try {
+    const { name, color, category, isDefault } = req.body || {};
+    const wipLimit = parseWipLimit(req.body?.wipLimit);
+
+    if (Number.isNaN(wipLimit)) {
+      return res.status(400).json({ msg: 'WIP limit must be a positive integer or null' });
+    }
+
+    if (category !== undefined && !COLUMN_CATEGORIES.includes(category)) {
+      return res.status(400).json({ msg: `Category must be one of: ${COLUMN_CATEGORIES.join(', ')}` });
+    }
+
+    const context = await loadBoardContext(req.params.id, req.user.id);
+    if (context.error) return sendAccessError(res, context);
+
+    if (!context.canManageBoard) {
+      return res.status(403).json({ msg: 'Not authorized' });
+    }
+
+    const board = await ensureBoardColumns(context.board);
+    const column = board.columns.id(req.params.columnId);
+
+    if (!column) {
+      return res.status(404).json({ msg: 'Column not found' });
+    }
+
+    const oldName = column.name;
+    const before = column.toObject();
+
+    if (name !== undefined) {
+      if (!name || !name.trim()) {
+        return res.status(400).json({ msg: 'Column name is required' });
+      }
+      if (nameTaken(board, name, column._id)) {
+        return res.status(400).json({ msg: 'A column with this name already exists' });
+      }
+      column.name = name.trim();
+    }
+    if (color !== undefined) column.color = color;
+    if (category !== undefined) column.category = category;
+    if (wipLimit !== undefined) column.wipLimit = wipLimit;
+    if (isDefault === true || isDefault === 'true') {
+      setEntryColumn(board, column);
+    }
+
+    await board.save();
+
+    if (column.name !== oldName) {
+      await Task.updateMany(
+        { board: board._id, status: oldName },
+        { $set: { status: column.name } }
+      );
+    }
+
+    // Tasks of a column that changed category start/complete (or reopen) now
+    if (column.category !== before.category) {
+      await applyStatusTimestamps({ board: board._id, status: column.name }, column);
+    }
+
+    const changes = diffFields(before, column, ['name', 'color', 'category', 'isDefault', 'wipLimit']);
+    if (changes.length) {
+      await recordColumnActivity(req, context, 'column_updated', changes, { column: column.name });
+    }
+
+    res.json(board.columns);
+  } catch (err) {
+    console.error(err.message);
+    res.status(500).json({ msg: 'Server error' });
+  }
+};
+
+/**
+ * Reorder columns. Body: { columnIds: [...] } containing every column once.
+ */
+export const reorderColumns = async (req, res) => {
+  try {
+    const { columnIds } = req.body || {};
+
+    if (!Array.isArray(columnIds)) {
+      return res.status(400).json({ msg: 'columnIds must be an array' });
+    }
+
+    const context = await loadBoardContext(req.params.id, req.user.id);
+    if (context.error) return sendAccessError(res, context);
+
+    if (!context.canManageBoard) {
+      return res.status(403).json({ msg: 'Not authorized' });
+    }
+
+    const board = await ensureBoardColumns(context.board);
+    const ids = columnIds.map(String);
+
+    if (ids.length !== board.columns.length ||
+      new Set(ids).size !== ids.length ||
+      ids.some((id) => !board.columns.id(id))) {
+      return res.status(400).json({ msg: 'columnIds must list every column of the board exactly once' });
+    }
+
+    const previousOrder = board.columns.map((c) => c.name);
+    board.columns = ids.map((id) => board.columns.id(id).toObject());
+    await board.save();
+
+    await recordColumnActivity(req, context, 'columns_reordered', [
+      { field: 'columns', from: previousOrder, to: board.columns.map((c) => c.name) },
+    ]);
+
+    res.json(board.columns);
+  } catch (err) {
+    console.error(err.message);
+    res.status(500).json({ msg: 'Server error' });
+  }
+};
+
+/**
+ * Delete a column. Its tasks move to `moveTo` (column id or name) or to the
+ * entry column, within that column's WIP limit (`overrideWip` as for moves).
+ */
+export const deleteColumn = async (req, res) => {
+  try {
+    const moveTo = req.body?.moveTo ?? req.query.moveTo;
+    const overrideWip = req.body?.overrideWip ?? req.query.overrideWip;
+
+    const context = await loadBoardContext(req.params.id, req.user.id);
+    if (context.error) return sendAccessError(res, context);
+
+    if (!context.canManageBoard) {
+      return res.status(403).json({ msg: 'Not authorized' });
+    }
+
+    const board = await ensureBoardColumns(context.board);
+    const column = board.columns.id(req.params.columnId);
+
+    if (!column) {
+      return res.status(404).json({ msg: 'Column not found' });
+    }
+
+    if (board.columns.length === 1) {
+      return res.status(400).json({ msg: 'A board must have at least one column' });
+    }
+
+    const removedName = column.name;
+    const wasDefault = column.isDefault;
+    board.columns.pull(column._id);
+
+    if (wasDefault) {
+      setEntryColumn(board, board.columns[0]);
+    }
+
+    let target;
+    if (moveTo !== undefined && moveTo !== null && moveTo !== '') {
+      target = findColumn(board, moveTo);
+      if (!target) {
+        return res.status(400).json({ msg: 'Target column not found' });
+      }
+    } else {
+      target = getEntryColumn(board);
+    }
+
+    const movedIds = (await Task.find({ board: board._id, status: removedName }).select('_id'))
+      .map((t) => t._id);
+
+    let wipWarning = null;
+    if (movedIds.length) {
+      const wip = await enforceWipLimit({
+        board,
+        status: target.name,
+        adding: movedIds.length,
+        userId: req.user.id,
+        override: overrideWip,
+        canOverride: context.isOrgAdmin,
+      });
+      if (wip.blocked) {
+        return res.status(409).json(wip.blocked);
+      }
+      wipWarning = wip.warning;
+    }
+
+    await board.save();
+
+    const result = await Task.updateMany(
+      { _id: { $in: movedIds } },
+      {
+        $set: { status: target.name },
+        $push: {
+          statusHistory: statusTransition({ from: removedName, board, column: target, by: req.user.id }),
+        },
+      }
+    );
+    await applyStatusTimestamps({ _id: { $in: movedIds } }, target);
+
+    await recordColumnActivity(req, context, 'column_deleted', [], {
+      column: removedName,
+      movedTo: target.name,
+      movedTasks: result.modifiedCount,
+    });
+
+    res.json({
+      msg: 'Column removed',
+      movedTasks: result.modifiedCount,
+      movedTo: target.name,
+      columns: board.columns,
+      ...(wipWarning && { wipWarning }),
+    });
+  } catch (err) {
+    console.error(err.message);
+    res.status(500).json({ msg: 'Server error' });
+  }
+};
@@ -5,6 +5,23 @@ import User from '../models/user.model.js';
 import Board from '../models/board.model.js';
 import Project from '../models/project.model.js';
 import Organization from '../models/organization.model.js';
+import { diffFields, recordActivity } from '../utils/activityService.js';
+import { publishEvent } from '../utils/realtime.js';
+import { filterUsersWithTaskAccess, notifyMentionedUsers } from '../utils/mentions.js';
+import { addWatchers, notifyWatchers } from '../utils/watchers.js';
+
+// Board/project ids of a comment's task, for the activity log
+const getCommentScope = async (taskId) => {
+  const task = await Task.findById(taskId).select('board');
+  const board = task ? await Board.findById(task.board).select('project') : null;
+  const project = board ? await Project.findById(board.project).select('organization') : null;
+  return {
+    task: taskId,
+    board: board?._id,
+    project: project?._id,
+    organization: project?.organization,
+  };
+};
 
 // Get all comments for a task
 export const getCommentsByTask = async (req, res) => {
@@ -126,8 +143,8 @@ const isProjectMember = project.members.some(
      
 
 
-    // Create comment
-    const mentionedUserIds = extractMentionedUserIds(text.trim());
+    // Create comment (mentions of users without access to the task are dropped)
+    const mentionedUserIds = await filterUsersWithTaskAccess(extractMentionedUserIds(text.trim()), project);
     const comment = new Comment({
         text: text.trim(),
         task: taskId,
@@ -137,6 +154,42 @@ const isProjectMember = project.members.some(
   
       await comment.save();
       await comment.populate('author', 'name email');
+
+      await recordActivity({
+        actor: req.user.id,
+        entityType: 'comment',
+        entityId: comment._id,
+        action: 'created',
+        meta: { text: comment.text },
+        organization: organizationId,
+        project,
+        board,
+        task,
+      });
+
+      await publishEvent({
+        type: 'comment.created',
+        actor: req.user.id,
+        project,
+        boards: [board],
+        task,
+        payload: { comment },
+      });
+
+      // Commenter and mentioned users follow the task from now on; other
+      // watchers hear about the comment, mentioned users get MENTIONED instead
+      await addWatchers(task, [req.user.id, ...mentionedUserIds]);
+      await notifyMentionedUsers({ userIds: mentionedUserIds, comment, task, author: user });
+      await notifyWatchers({
+        task,
+        project,
+        actorId: req.user.id,
+        exclude: mentionedUserIds,
+        type: 'COMMENT_ADDED',
+        title: 'New comment',
+        body: `${user.name || 'Someone'} commented on ${task.title}`,
+        data: { commentId: String(comment._id) },
+      });
   
       res.status(201).json(comment);
     } catch (err) {
@@ -165,9 +218,47 @@ export const updateComment = async (req, res) => {
         return res.status(403).json({ msg: 'Not authorized to update this comment' });
       }
   
+      const scope = await getCommentScope(comment.task);
+      const [task, project] = await Promise.all([
+        Task.findById(comment.task).select('title board createdBy assignedTo watchers'),
+        scope.project ? Project.findById(scope.project) : null,
+      ]);
+
+      const previousText = comment.text;
+      const previousMentions = new Set(comment.mentions.map((id) => id.toString()));
+      const mentionedUserIds = project
+        ? await filterUsersWithTaskAccess(extractMentionedUserIds(text.trim()), project)
+        : [];
+
       comment.text = text.trim();
+      comment.mentions = mentionedUserIds;
       await comment.save();
       await comment.populate('author', 'name email');
+
+      await recordActivity({
+        actor: req.user.id,
+        entityType: 'comment',
+        entityId: comment._id,
+        action: 'updated',
+        changes: diffFields({ text: previousText }, comment, ['text']),
+        ...scope,
+      });
+
+      await publishEvent({
+        type: 'comment.updated',
+        actor: req.user.id,
+        project: scope.project,
+        boards: [scope.board],
+        task: comment.task,
+        payload: { comment },
+      });
+
+      // Only users mentioned by this edit are notified
+      if (task) {
+        const newMentions = mentionedUserIds.filter((id) => !previousMentions.has(id));
+        await addWatchers(task, newMentions);
+        await notifyMentionedUsers({ userIds: newMentions, comment, task, author: comment.author });
+      }
   
       res.json(comment);
     } catch (err) {
@@ -207,6 +298,26 @@ export const deleteComment = async (req, res) => {
    }
 
    await Comment.findByIdAndDelete(req.params.commentId);
+
+   const scope = await getCommentScope(comment.task);
+   await recordActivity({
+     actor: req.user.id,
+     entityType: 'comment',
+     entityId: comment._id,
+     action: 'deleted',
+     meta: { text: comment.text },
+     ...scope,
+   });
+
+   await publishEvent({
+     type: 'comment.deleted',
+     actor: req.user.id,
+     project: scope.project,
+     boards: [scope.board],
+     task: comment.task,
+     payload: { commentId: comment._id, taskId: comment.task },
+   });
+
    res.json({ msg: 'Comment deleted' });
  } catch (err) {
    console.error(err.message);
@@ -0,0 +1,28 @@
+import { sendDueDigests } from '../utils/digestService.js';
+import { sendDueReminders } from '../utils/reminderService.js';
+
+/**
+ * Send due notification digests (hourly)
+ */
+export const runDigests = async (req, res) => {
+  try {
+    const summary = await sendDueDigests();
+    res.json(summary);
+  } catch (err) {
+    console.error(err.message);
+    res.status(500).json({ msg: 'Server error' });
+  }
+};
+
+/**
+ * Send due date and overdue reminders (hourly)
+ */
+export const runReminders = async (req, res) => {
+  try {
+    const summary = await sendDueReminders();
+    res.json(summary);
+  } catch (err) {
+    console.error(err.message);
+    res.status(500).json({ msg: 'Server error' });
+  }
+};
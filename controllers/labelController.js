@@ -0,0 +1,172 @@
+import mongoose from 'mongoose';
+import Label from '../models/label.model.js';
+import Task from '../models/task.model.js';
+import { isManagerOrAbove } from '../utils/permissions.js';
+import { loadProjectContext, sendAccessError } from '../utils/access.js';
+import { diffFields, recordActivity } from '../utils/activityService.js';
+
+const escapeRegex = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// Case-insensitive name clash within the project
+const findByName = (projectId, name, exceptId = null) => {
+  const filter = {
+    project: projectId,
+    name: { $regex: `^${escapeRegex(name.trim())}$`, $options: 'i' },
+  };
+  if (exceptId) filter._id = { $ne: exceptId };
+  return Label.findOne(filter);
+};
+
+const findProjectLabel = (projectId, labelId) => {
+  if (!mongoose.Types.ObjectId.isValid(labelId)) return null;
+  return Label.findOne({ _id: labelId, project: projectId });
+};
+
+// Project admin or org manager/admin/owner can manage labels
+const canManageLabels = (context) =>
+  context.isProjectAdmin || isManagerOrAbove(context.user, context.organization);
+
+const recordLabelActivity = (req, context, action, meta, changes = []) =>
+  recordActivity({
+    actor: req.user.id,
+    entityType: 'project',
+    entityId: context.project._id,
+    action,
+    changes,
+    meta,
+    organization: context.organization,
+    project: context.project,
+  });
+
+/**
+ * Get labels of a project (any project member)
+ */
+export const getLabels = async (req, res) => {
+  try {
+    const context = await loadProjectContext(req.params.id, req.user.id);
+    if (context.error) return sendAccessError(res, context);
+
+    const labels = await Label.find({ project: context.project._id }).sort({ name: 1 });
+    res.json(labels);
+  } catch (err) {
+    console.error(err.message);
+    res.status(500).json({ msg: 'Server error' });
+  }
+};
+
+/**
+ * Create a label. Body: { name, color? }
+ */
+export const createLabel = async (req, res) => {
+  try {
+    const { name, color } = req.body || {};
+
+    if (!name || !name.trim()) {
+      return res.status(400).json({ msg: 'Label name is required' });
+    }
+
+    const context = await loadProjectContext(req.params.id, req.user.id);
+    if (context.error) return sendAccessError(res, context);
+
+    if (!canManageLabels(context)) {
+      return res.status(403).json({ msg: 'Not authorized' });
+    }
+
+    if (await findByName(context.project._id, name)) {
+      return res.status(400).json({ msg: 'A label with this name already exists' });
+    }
+
+    const label = await Label.create({
+      name: name.trim(),
+      color: color || undefined,
+      project: context.project._id,
+      createdBy: req.user.id,
+    });
+
+    await recordLabelActivity(req, context, 'label_created', { label: label.name });
+
+    res.status(201).json(label);
+  } catch (err) {
+    console.error(err.message);
+    res.status(500).json({ msg: 'Server error' });
+  }
+};
+
+/**
+ * Update a label. Body: { name?, color? }
+ */
+export const updateLabel = async (req, res) => {
+  try {
+    const { name, color } = req.body || {};
+
+    if (name !== undefined && (!name || !name.trim())) {
+      return res.status(400).json({ msg: 'Label name is required' });
+    }
+
+    const context = await loadProjectContext(req.params.id, req.user.id);
+    if (context.error) return sendAccessError(res, context);
+
+    if (!canManageLabels(context)) {
+      return res.status(403).json({ msg: 'Not authorized' });
+    }
+
+    const label = await findProjectLabel(context.project._id, req.params.labelId);
+    if (!label) {
+      return res.status(404).json({ msg: 'Label not found' });
+    }
+
+    if (name !== undefined && await findByName(context.project._id, name, label._id)) {
+      return res.status(400).json({ msg: 'A label with this name already exists' });
+    }
+
+    const before = label.toObject();
+    if (name !== undefined) label.name = name.trim();
+    if (color !== undefined) label.color = color;
+    await label.save();
+
+    await recordLabelActivity(
+      req,
+      context,
+      'label_updated',
+      { label: label.name },
+      diffFields(before, label, ['name', 'color'])
+    );
+
+    res.json(label);
+  } catch (err) {
+    console.error(err.message);
+    res.status(500).json({ msg: 'Server error' });
+  }
+};
+
+/**
+ * Delete a label and detach it from all tasks
+ */
+export const deleteLabel = async (req, res) => {
+  try {
+    const context = await loadProjectContext(req.params.id, req.user.id);
+    if (context.error) return sendAccessError(res, context);
+
+    if (!canManageLabels(context)) {
+      return res.status(403).json({ msg: 'Not authorized' });
+    }
+
+    const label = await findProjectLabel(context.project._id, req.params.labelId);
+    if (!label) {
+      return res.status(404).json({ msg: 'Label not found' });
+    }
+
+    await Label.findByIdAndDelete(label._id);
+    const result = await Task.updateMany({ labels: label._id }, { $pull: { labels: label._id } });
+
+    await recordLabelActivity(req, context, 'label_deleted', {
+      label: label.name,
+      detachedFrom: result.modifiedCount,
+    });
+
+    res.json({ msg: 'Label removed', detachedFrom: result.modifiedCount });
+  } catch (err) {
+    console.error(err.message);
+    res.status(500).json({ msg: 'Server error' });
+  }
+};
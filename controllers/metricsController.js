@@ -0,0 +1,71 @@
+import Task from '../models/task.model.js';
+import Board from '../models/board.model.js';
+import { loadBoardContext, loadProjectContext, sendAccessError } from '../utils/access.js';
+import { parseReportRange } from '../utils/reports.js';
+import { computeFlowMetrics } from '../utils/flowMetrics.js';
+
+const DEFAULT_RANGE_DAYS = 84;
+
+const METRIC_TASK_FIELDS = 'title issueKey board storyPoints createdAt startedAt completedAt';
+
+const loadCompletedTasks = (boardIds, { from, to }) =>
+  Task.find({ board: { $in: boardIds }, completedAt: { $gte: from, $lte: to } })
+    .select(METRIC_TASK_FIELDS);
+
+/**
+ * Lead/cycle time and throughput of a board (any project member).
+ * ?from=&to= (default: last 12 weeks)
+ */
+export const getBoardMetrics = async (req, res) => {
+  try {
+    const range = parseReportRange(req.query, DEFAULT_RANGE_DAYS);
+    if (range.error) {
+      return res.status(400).json({ msg: range.error });
+    }
+
+    const context = await loadBoardContext(req.params.id, req.user.id);
+    if (context.error) return sendAccessError(res, context);
+
+    const { board } = context;
+    const tasks = await loadCompletedTasks([board._id], range);
+
+    res.json({
+      board: { _id: board._id, title: board.title },
+      from: range.from,
+      to: range.to,
+      ...computeFlowMetrics({ tasks, ...range }),
+    });
+  } catch (err) {
+    console.error(err.message);
+    res.status(500).json({ msg: 'Server error' });
+  }
+};
+
+/**
+ * Lead/cycle time and throughput across all boards of a project (any project member).
+ * ?from=&to= (default: last 12 weeks)
+ */
+export const getProjectMetrics = async (req, res) => {
+  try {
+    const range = parseReportRange(req.query, DEFAULT_RANGE_DAYS);
+    if (range.error) {
+      return res.status(400).json({ msg: range.error });
+    }
+
+    const context = await loadProjectContext(req.params.id, req.user.id);
+    if (context.error) return sendAccessError(res, context);
+
+    const boards = await Board.find({ project: context.project._id }).select('_id');
+    const tasks = await loadCompletedTasks(boards.map((b) => b._id), range);
+
+    res.json({
+      project: { _id: context.project._id, name: context.project.name },
+      from: range.from,
+      to: range.to,
+      ...computeFlowMetrics({ tasks, ...range }),
+    });
+  } catch (err) {
+    console.error(err.message);
+    res.status(500).json({ msg: 'Server error' });
+  }
+};
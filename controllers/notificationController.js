@@ -1,19 +1,109 @@
+import mongoose from 'mongoose';
 import Notification from '../models/notification.mode.js';
+import NotificationPreference from '../models/notificationPreference.model.js';
+import User from '../models/user.model.js';
+import Organization from '../models/organization.model.js';
+import Project from '../models/project.model.js';
+import { isAdminOrOwner } from '../utils/permissions.js';
+import { notifyUsers, filterOrganizationMembers } from '../utils/notificationService.js';
+import {
+  NOTIFICATION_CHANNELS,
+  NOTIFICATION_TYPES,
+  isNotificationType,
+} from '../utils/notificationTypes.js';
+import { getUserPreferences, getDigestSettings } from '../utils/notificationPreferences.js';
+import { DIGEST_FREQUENCIES, isValidTimezone } from '../utils/digestService.js';
 
+const MAX_PAGE_SIZE = 100;
+// Size of the unpaginated list (a plain array, as before pagination)
+const DEFAULT_LIST_SIZE = 50;
+
+const READ_FILTERS = ['all', 'read', 'unread'];
+
+// List order is eventAt, then _id, newest first. A cursor is
+// "<eventAt ms>_<id>" of the last item of a page. Notifications saved before
+// eventAt existed have none and come last.
+const encodeCursor = (notification) =>
+  `${notification.eventAt ? notification.eventAt.getTime() : ''}_${notification._id}`;
+
+const parseCursor = (cursor) => {
+  const [time, id] = String(cursor).split('_');
+  if (!mongoose.Types.ObjectId.isValid(id) || (time && !/^\d+$/.test(time))) return null;
+  return { eventAt: time ? new Date(Number(time)) : null, id };
+};
+
+const afterCursor = ({ eventAt, id }) =>
+  eventAt
+    ? { $or: [{ eventAt: { $lt: eventAt } }, { eventAt, _id: { $lt: id } }, { eventAt: null }] }
+    : { eventAt: null, _id: { $lt: id } };
+
+/**
+ * List the caller's notifications, newest first. Returns an array of the
+ * latest 50; with `cursor` or `limit` it returns a page instead:
+ * { items, nextCursor, hasMore }.
+ * Query:
+ *   cursor   - `nextCursor` of the previous page
+ *   limit    - page size (default 20, max 100)
+ *   status   - all (default) | read | unread
+ *   type     - notification type(s), comma separated
+ *   archived - true to list archived notifications instead
+ */
 export const getNotifications = async (req, res) => {
   try {
-    const notifications = await Notification.find({ userId: req.user.id })
-      .sort({ createdAt: -1 })
-      .limit(50);
-    res.json(notifications);
+    const { cursor, status = 'all', type, archived } = req.query;
+    const paginated = cursor !== undefined || req.query.limit !== undefined;
+    const limit = paginated
+      ? Math.min(Math.max(parseInt(req.query.limit, 10) || 20, 1), MAX_PAGE_SIZE)
+      : DEFAULT_LIST_SIZE;
+
+    if (!READ_FILTERS.includes(status)) {
+      return res.status(400).json({ msg: `status must be one of: ${READ_FILTERS.join(', ')}` });
+    }
+
+    const after = cursor !== undefined ? parseCursor(cursor) : null;
+    if (cursor !== undefined && !after) {
+      return res.status(400).json({ msg: 'Invalid cursor' });
+    }
+
+    const types = type ? String(type).split(',').map((t) => t.trim()).filter(Boolean) : [];
+    const unknownType = types.find((t) => !isNotificationType(t));
+    if (unknownType) {
+      return res.status(400).json({ msg: `Unknown notification type: ${unknownType}` });
+    }
+
+    const filter = {
+      userId: req.user.id,
+      archivedAt: archived === 'true' ? { $ne: null } : null,
+    };
+    if (status !== 'all') filter.isRead = status === 'read';
+    if (types.length) filter['data.type'] = { $in: types };
+    if (after) Object.assign(filter, afterCursor(after));
+
+    // One extra item tells whether there is a next page. Lean, so old
+    // notifications are not given a default eventAt of now.
+    const notifications = await Notification.find(filter)
+      .sort({ eventAt: -1, _id: -1 })
+      .limit(limit + 1)
+      .lean();
+
+    const hasMore = notifications.length > limit;
+    const items = notifications.slice(0, limit);
+    if (!paginated) return res.json(items);
+
+    res.json({
+      items,
+      nextCursor: hasMore ? encodeCursor(items[items.length - 1]) : null,
+      hasMore,
+    });
   } catch (err) {
+    console.error(err.message);
     res.status(500).json({ msg: 'Server error' });
   }
 };
 
 export const getUnreadCount = async (req, res) => {
   try {
-    const count = await Notification.countDocuments({ userId: req.user.id, isRead: false });
+    const count = await Notification.countDocuments({ userId: req.user.id, isRead: false, archivedAt: null });
     res.json({ count });
   } catch (err) {
     res.status(500).json({ msg: 'Server error' });
@@ -22,7 +112,17 @@ export const getUnreadCount = async (req, res) => {
 
 export const markAsRead = async (req, res) => {
   try {
-    await Notification.findByIdAndUpdate(req.params.id, { isRead: true });
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(404).json({ msg: 'Notification not found' });
+    }
+
+    const notification = await Notification.findOneAndUpdate(
+      { _id: req.params.id, userId: req.user.id },
+      { isRead: true }
+    );
+    if (!notification) {
+      return res.status(404).json({ msg: 'Notification not found' });
+    }
     res.json({ success: true });
   } catch (err) {
     res.status(500).json({ msg: 'Server error' });
@@ -38,18 +138,255 @@ export const markAllAsRead = async (req, res) => {
   }
 };
 
-export const createNotification = async (req, res) => {
+/**
+ * Delete one of the caller's notifications
+ */
+export const deleteNotification = async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(404).json({ msg: 'Notification not found' });
+    }
+
+    const notification = await Notification.findOneAndDelete({ _id: req.params.id, userId: req.user.id });
+    if (!notification) {
+      return res.status(404).json({ msg: 'Notification not found' });
+    }
+    res.json({ success: true });
+  } catch (err) {
+    console.error(err.message);
+    res.status(500).json({ msg: 'Server error' });
+  }
+};
+
+/**
+ * Archive notifications in bulk. Body: { ids: [...] } or { all: true }
+ * (optionally with { status: 'read' } to archive only read ones).
+ * Archived notifications are marked read.
+ */
+export const archiveNotifications = async (req, res) => {
+  try {
+    const { ids, all, status = 'all' } = req.body || {};
+
+    if (!all && (!Array.isArray(ids) || ids.length === 0)) {
+      return res.status(400).json({ msg: 'ids must be a non-empty array, or set all to true' });
+    }
+
+    if (ids && (!Array.isArray(ids) || ids.some((id) => !mongoose.Types.ObjectId.isValid(id)))) {
+      return res.status(400).json({ msg: 'ids must be notification ids' });
+    }
+
+    if (!READ_FILTERS.includes(status)) {
+      return res.status(400).json({ msg: `status must be one of: ${READ_FILTERS.join(', ')}` });
+    }
+
+    const filter = { userId: req.user.id, archivedAt: null };
+    if (!all) filter._id = { $in: ids };
+    if (status !== 'all') filter.isRead = status === 'read';
+
+    const result = await Notification.updateMany(filter, {
+      $set: { archivedAt: new Date(), isRead: true },
+    });
+    res.json({ archived: result.modifiedCount });
+  } catch (err) {
+    console.error(err.message);
+    res.status(500).json({ msg: 'Server error' });
+  }
+};
+
+const MAX_TITLE_LENGTH = 120;
+const MAX_BODY_LENGTH = 1000;
+
+/**
+ * Send an announcement (org owner/admin only). Body:
+ *   { title, body, link?, projectId? | userIds? }
+ * Goes to all organization members, the members of one project, or the given
+ * users; every recipient must belong to the caller's organization. `link` must
+ * be a path within the app.
+ */
+export const broadcastNotification = async (req, res) => {
   try {
-    const { title, body, link, data } = req.body;
-    const notification = await Notification.create({ 
-      userId: req.user.id, 
-      title, 
-      body, 
-      link: link || '/', 
-      data: data || {} 
+    const { title, body, link, projectId, userIds } = req.body || {};
+
+    if (!title || typeof title !== 'string' || !title.trim() || title.trim().length > MAX_TITLE_LENGTH) {
+      return res.status(400).json({ msg: `title is required (max ${MAX_TITLE_LENGTH} characters)` });
+    }
+
+    if (!body || typeof body !== 'string' || !body.trim() || body.trim().length > MAX_BODY_LENGTH) {
+      return res.status(400).json({ msg: `body is required (max ${MAX_BODY_LENGTH} characters)` });
+    }
+
+    if (link !== undefined && (typeof link !== 'string' || !/^\/(?![/\\])/.test(link))) {
+      return res.status(400).json({ msg: 'link must be a path starting with /' });
+    }
+
+    if (projectId !== undefined && userIds !== undefined) {
+      return res.status(400).json({ msg: 'Give either projectId or userIds, not both' });
+    }
+
+    if (userIds !== undefined && (!Array.isArray(userIds) || userIds.length === 0)) {
+      return res.status(400).json({ msg: 'userIds must be a non-empty array' });
+    }
+
+    const user = await User.findById(req.user.id);
+    if (!user || !user.organization) {
+      return res.status(404).json({ msg: 'User does not belong to an organization' });
+    }
+
+    const organizationId = user.organization._id || user.organization;
+    const organization = await Organization.findById(organizationId).populate('owner', '_id');
+    if (!organization) {
+      return res.status(404).json({ msg: 'Organization not found' });
+    }
+
+    if (!isAdminOrOwner(user, organization)) {
+      return res.status(403).json({ msg: 'Only admin/owner can send announcements' });
+    }
+
+    let recipients;
+    let project = null;
+    if (projectId !== undefined) {
+      project = mongoose.Types.ObjectId.isValid(projectId) ? await Project.findById(projectId) : null;
+      if (!project || project.organization.toString() !== organizationId.toString()) {
+        return res.status(404).json({ msg: 'Project not found' });
+      }
+      const memberIds = project.members.filter((m) => m?.user).map((m) => (m.user._id || m.user).toString());
+      recipients = await filterOrganizationMembers(memberIds, organizationId);
+    } else if (userIds !== undefined) {
+      const requested = [...new Set(userIds.map(String))];
+      recipients = await filterOrganizationMembers(requested, organizationId);
+      if (recipients.length !== requested.length) {
+        return res.status(400).json({ msg: 'All recipients must belong to your organization' });
+      }
+    } else {
+      recipients = (await User.find({ organization: organizationId }).select('_id')).map((u) => u._id.toString());
+    }
+
+    const sent = await notifyUsers({
+      userIds: recipients,
+      exclude: [req.user.id],
+      type: 'ANNOUNCEMENT',
+      title: title.trim(),
+      body: body.trim(),
+      link: link || '/',
+      data: {
+        organizationId: String(organizationId),
+        ...(project && { projectId: String(project._id) }),
+        sentBy: String(req.user.id),
+      },
     });
-    res.json(notification);
+
+    res.json({ recipients: sent });
   } catch (err) {
+    console.error(err.message);
     res.status(500).json({ msg: 'Server error' });
   }
-};
\ No newline at end of file
+};
+
+const preferencesResponse = async (userId) => ({
+  channels: NOTIFICATION_CHANNELS,
+  types: Object.entries(NOTIFICATION_TYPES).map(([type, { label }]) => ({ type, label })),
+  preferences: await getUserPreferences(userId),
+  digest: await getDigestSettings(userId),
+});
+
+const isIntegerBetween = (value, min, max) =>
+  Number.isInteger(value) && value >= min && value <= max;
+
+/**
+ * Get the caller's notification preferences (event type x channel)
+ */
+export const getPreferences = async (req, res) => {
+  try {
+    res.json(await preferencesResponse(req.user.id));
+  } catch (err) {
+    console.error(err.message);
+    res.status(500).json({ msg: 'Server error' });
+  }
+};
+
+/**
+ * Update preferences. Partial: only the given switches/settings change.
+ * Body: {
+ *   preferences?: { TASK_ASSIGNED: { push: false, email: true }, ... },
+ *   digest?: { frequency: 'off'|'daily'|'weekly', timezone, hour: 0-23, weekday: 0-6 }
+ * }
+ */
+export const updatePreferences = async (req, res) => {
+  try {
+    const { preferences, digest } = req.body || {};
+
+    if (preferences === undefined && digest === undefined) {
+      return res.status(400).json({ msg: 'Nothing to update: preferences or digest is required' });
+    }
+
+    if (preferences !== undefined && (!preferences || typeof preferences !== 'object' || Array.isArray(preferences))) {
+      return res.status(400).json({ msg: 'preferences must be an object' });
+    }
+
+    if (digest !== undefined && (!digest || typeof digest !== 'object' || Array.isArray(digest))) {
+      return res.status(400).json({ msg: 'digest must be an object' });
+    }
+
+    const updates = {};
+    for (const [type, channels] of Object.entries(preferences || {})) {
+      if (!isNotificationType(type)) {
+        return res.status(400).json({ msg: `Unknown notification type: ${type}` });
+      }
+      if (!channels || typeof channels !== 'object' || Array.isArray(channels)) {
+        return res.status(400).json({ msg: `Channels for ${type} must be an object` });
+      }
+      for (const [channel, enabled] of Object.entries(channels)) {
+        if (!NOTIFICATION_CHANNELS.includes(channel)) {
+          return res.status(400).json({ msg: `Unknown channel: ${channel}` });
+        }
+        if (typeof enabled !== 'boolean') {
+          return res.status(400).json({ msg: `${type}.${channel} must be true or false` });
+        }
+        updates[`types.${type}.${channel}`] = enabled;
+      }
+    }
+
+    if (digest) {
+      const { frequency, timezone, hour, weekday } = digest;
+      if (frequency !== undefined) {
+        if (!DIGEST_FREQUENCIES.includes(frequency)) {
+          return res.status(400).json({ msg: `digest.frequency must be one of: ${DIGEST_FREQUENCIES.join(', ')}` });
+        }
+        updates['digest.frequency'] = frequency;
+      }
+      if (timezone !== undefined) {
+        if (typeof timezone !== 'string' || !isValidTimezone(timezone)) {
+          return res.status(400).json({ msg: 'digest.timezone must be an IANA time zone, e.g. Europe/Berlin' });
+        }
+        updates['digest.timezone'] = timezone;
+      }
+      if (hour !== undefined) {
+        if (!isIntegerBetween(hour, 0, 23)) {
+          return res.status(400).json({ msg: 'digest.hour must be an integer from 0 to 23' });
+        }
+        updates['digest.hour'] = hour;
+      }
+      if (weekday !== undefined) {
+        if (!isIntegerBetween(weekday, 0, 6)) {
+          return res.status(400).json({ msg: 'digest.weekday must be an integer from 0 (Sunday) to 6' });
+        }
+        updates['digest.weekday'] = weekday;
+      }
+    }
+
+    if (!Object.keys(updates).length) {
+      return res.status(400).json({ msg: 'Nothing to update' });
+    }
+
+    await NotificationPreference.findOneAndUpdate(
+      { user: req.user.id },
+      { $set: updates },
+      { upsert: true, setDefaultsOnInsert: true }
+    );
+
+    res.json(await preferencesResponse(req.user.id));
+  } catch (err) {
+    console.error(err.message);
+    res.status(500).json({ msg: 'Server error' });
+  }
+};
@@ -1,8 +1,19 @@
+import mongoose from 'mongoose';
 import Organization from '../models/organization.model.js';
 import User from '../models/user.model.js';
 import crypto from 'crypto';
 import { sendOrganizationInvitation } from '../utils/emailService.js';
 import { isOwner, isAdminOrOwner, canInviteUser, canDeleteOrg } from '../utils/permissions.js';
+import { diffFields, recordActivity } from '../utils/activityService.js';
+import { encryptSecret } from '../utils/encryption.js';
+import { getDiscovery } from '../utils/oidc.js';
+import {
+  SSO_LINK_APPROVAL_DAYS,
+  SSO_SECRET_FIELD,
+  getSsoRedirectUri,
+  parseSsoSettings,
+  ssoSettingsResponse,
+} from '../utils/sso.js';
 
 /**
  * Create organization (first user becomes owner)
@@ -411,6 +422,16 @@ export const removeMemberFromOrganization = async (req, res) => {
     // Note: User might have other records in other organizations, so we only delete this specific one
     await User.findByIdAndDelete(memberId);
 
+    await recordActivity({
+      actor: req.user.id,
+      entityType: 'membership',
+      entityId: member._id,
+      action: 'org_member_removed',
+      changes: [{ field: 'role', from: member.role, to: null }],
+      meta: { userName: member.name, email: memberEmail },
+      organization: orgId,
+    });
+
     // Delete the invitation record(s) for this user in this organization
     // This is organization-specific, so we delete it completely
     const OrganizationInvitation = (await import('../models/organizationInvitation.model.js')).default;
@@ -478,11 +499,21 @@ export const updateMember = async (req, res) => {
     }
 
     // Update name and/or role (email remains unchanged)
+    const before = { name: member.name, role: member.role };
     if (name) member.name = name.trim();
     if (role) member.role = role;
 
     await member.save();
 
+    await recordActivity({
+      actor: req.user.id,
+      entityType: 'membership',
+      entityId: member._id,
+      action: 'updated',
+      changes: diffFields(before, member, ['name', 'role']),
+      organization: orgId,
+    });
+
     res.json({
       msg: "Member updated successfully",
       user: {
@@ -498,6 +529,157 @@ export const updateMember = async (req, res) => {
   }
 };
 
+/**
+ * Update security settings (owner only). Body: { requireTwoFactor }.
+ * The owner must have 2FA on before requiring it, so they are not locked out.
+ */
+export const updateSecuritySettings = async (req, res) => {
+  try {
+    const { requireTwoFactor } = req.body || {};
+
+    if (typeof requireTwoFactor !== 'boolean') {
+      return res.status(400).json({ msg: 'requireTwoFactor must be true or false' });
+    }
+
+    const authUser = await User.findById(req.user.id);
+    if (!authUser?.organization) {
+      return res.status(404).json({ msg: 'User does not belong to an organization' });
+    }
+
+    const orgId = authUser.organization._id || authUser.organization;
+    const organization = await Organization.findById(orgId).populate('owner', '_id');
+    if (!organization) {
+      return res.status(404).json({ msg: 'Organization not found' });
+    }
+
+    if (!isOwner(authUser, organization)) {
+      return res.status(403).json({ msg: 'Only organization owner can change security settings' });
+    }
+
+    if (requireTwoFactor && !authUser.twoFactor?.enabled) {
+      return res.status(400).json({ msg: 'Enable two-factor authentication on your own account first' });
+    }
+
+    organization.set('security.requireTwoFactor', requireTwoFactor);
+    await organization.save();
+
+    res.json({ security: organization.security });
+  } catch (err) {
+    console.error(err.message);
+    res.status(500).json({ msg: 'Server error' });
+  }
+};
+
+// Owner's organization for SSO settings, or { error }
+const loadOwnedOrganization = async (userId) => {
+  const authUser = await User.findById(userId);
+  if (!authUser?.organization) {
+    return { error: { status: 404, msg: 'User does not belong to an organization' } };
+  }
+
+  const orgId = authUser.organization._id || authUser.organization;
+  const organization = await Organization.findById(orgId).select(SSO_SECRET_FIELD).populate('owner', '_id');
+  if (!organization) {
+    return { error: { status: 404, msg: 'Organization not found' } };
+  }
+
+  if (!isOwner(authUser, organization)) {
+    return { error: { status: 403, msg: 'Only organization owner can manage single sign-on' } };
+  }
+
+  return { organization };
+};
+
+/**
+ * Get single sign-on settings (owner only)
+ */
+export const getSsoSettings = async (req, res) => {
+  try {
+    const { organization, error } = await loadOwnedOrganization(req.user.id);
+    if (error) return res.status(error.status).json({ msg: error.msg });
+
+    res.json({
+      sso: ssoSettingsResponse(organization),
+      redirectUri: getSsoRedirectUri(req),
+    });
+  } catch (err) {
+    console.error(err.message);
+    res.status(500).json({ msg: 'Server error' });
+  }
+};
+
+/**
+ * Approve linking a member's account on their next SSO sign-in (owner only),
+ * for providers that do not confirm email addresses
+ */
+export const approveSsoLink = async (req, res) => {
+  try {
+    const { organization, error } = await loadOwnedOrganization(req.user.id);
+    if (error) return res.status(error.status).json({ msg: error.msg });
+
+    const user = mongoose.Types.ObjectId.isValid(req.params.userId)
+      ? await User.findOne({ _id: req.params.userId, organization: organization._id })
+      : null;
+    if (!user) {
+      return res.status(404).json({ msg: 'User not found in this organization' });
+    }
+
+    if (user.sso?.subject) {
+      return res.status(400).json({ msg: 'This account is already linked' });
+    }
+
+    user.set('sso.linkApprovedAt', new Date());
+    await user.save();
+
+    res.json({ msg: `Linking approved for ${SSO_LINK_APPROVAL_DAYS} days`, userId: user._id });
+  } catch (err) {
+    console.error(err.message);
+    res.status(500).json({ msg: 'Server error' });
+  }
+};
+
+/**
+ * Update single sign-on settings (owner only). Body: any of { enabled,
+ * issuer, clientId, clientSecret, allowedDomains, autoProvision, defaultRole,
+ * disablePasswordLogin }. Enabling checks that the issuer is reachable.
+ */
+export const updateSsoSettings = async (req, res) => {
+  try {
+    const parsed = parseSsoSettings(req.body);
+    if (parsed.error) {
+      return res.status(400).json({ msg: parsed.error });
+    }
+
+    const { organization, error } = await loadOwnedOrganization(req.user.id);
+    if (error) return res.status(error.status).json({ msg: error.msg });
+
+    const { clientSecret, ...updates } = parsed.updates;
+    for (const [field, value] of Object.entries(updates)) {
+      organization.set(`sso.${field}`, value);
+    }
+    if (clientSecret) {
+      organization.set('sso.clientSecret', encryptSecret(clientSecret));
+    }
+
+    if (organization.sso.enabled) {
+      if (!organization.sso.issuer || !organization.sso.clientId || !organization.sso.clientSecret) {
+        return res.status(400).json({ msg: 'issuer, clientId and clientSecret are required to enable single sign-on' });
+      }
+      try {
+        await getDiscovery(organization.sso.issuer);
+      } catch (err) {
+        return res.status(400).json({ msg: `Could not load the identity provider configuration: ${err.message}` });
+      }
+    }
+
+    await organization.save();
+    res.json({ sso: ssoSettingsResponse(organization) });
+  } catch (err) {
+    console.error(err.message);
+    res.status(500).json({ msg: 'Server error' });
+  }
+};
+
 /**
  * Update user role based on their invitation (sync role from invitation to user)
  */
@@ -1,8 +1,22 @@
 import Project from '../models/project.model.js';
 import Board from '../models/board.model.js';
+import Sprint from '../models/sprint.model.js';
 import Organization from '../models/organization.model.js';
 import User from '../models/user.model.js';
 import { canCreateProject, canAssignProject, isAdminOrOwner } from '../utils/permissions.js';
+import { diffFields, recordActivity } from '../utils/activityService.js';
+import {
+  normalizeProjectKey,
+  isValidProjectKey,
+  isProjectKeyTaken,
+  generateProjectKey,
+  ensureProjectKey,
+  renameProjectKey,
+} from '../utils/issueKeys.js';
+import { parseReminderOffsets, REMINDER_OFFSETS_MSG } from '../utils/reminderService.js';
+
+const PROJECT_KEY_FORMAT_MSG =
+  'Project key must be 2-10 letters or digits and start with a letter';
 
 /**
  * Get all projects where user is a member
@@ -179,7 +193,9 @@ export const getProjects = async (req, res) => {
       return {
         _id: project._id,
         name: project.name,
+        key: project.key || null,
         description: project.description,
+        reminderOffsets: project.reminderOffsets,
         createdBy: project.createdBy ? {
           _id: project.createdBy._id?.toString() || project.createdBy?.toString(),
           name: project.createdBy.name || 'Unknown',
@@ -265,6 +281,8 @@ export const getProjectById = async (req, res) => {
       return res.status(403).json({ msg: 'Access denied. You must be a project member to view this project.' });
     }
 
+    await ensureProjectKey(project);
+
     // Clean and serialize project before sending
     const validMembers = (project.members || []).filter(m => m?.user).map(m => ({
       user: {
@@ -278,7 +296,9 @@ export const getProjectById = async (req, res) => {
     const cleanedProject = {
       _id: project._id,
       name: project.name,
+      key: project.key,
       description: project.description,
+      reminderOffsets: project.reminderOffsets,
       createdBy: project.createdBy ? {
         _id: project.createdBy._id?.toString() || project.createdBy?.toString(),
         name: project.createdBy.name || 'Unknown',
@@ -318,9 +338,34 @@ export const createProject = async (req, res) => {
       return res.status(403).json({ msg: 'Only admin/owner can create projects' });
     }
 
+    // Optional short key for issue keys; derived from the name when omitted
+    let key;
+    if (req.body.key !== undefined && req.body.key !== '') {
+      key = normalizeProjectKey(req.body.key);
+      if (!isValidProjectKey(key)) {
+        return res.status(400).json({ msg: PROJECT_KEY_FORMAT_MSG });
+      }
+      if (await isProjectKeyTaken(organization._id, key)) {
+        return res.status(400).json({ msg: 'Project key is already in use' });
+      }
+    } else {
+      key = await generateProjectKey(organization._id, name);
+    }
+
+    // Hours before a due date at which assignees are reminded ([] turns it off)
+    let reminderOffsets;
+    if (req.body.reminderOffsets !== undefined) {
+      reminderOffsets = parseReminderOffsets(req.body.reminderOffsets);
+      if (!reminderOffsets) {
+        return res.status(400).json({ msg: REMINDER_OFFSETS_MSG });
+      }
+    }
+
     const project = new Project({
       name,
+      key,
       description,
+      ...(reminderOffsets && { reminderOffsets }),
       organization: organization._id,
       createdBy: req.user.id,
       members: [
@@ -332,6 +377,17 @@ export const createProject = async (req, res) => {
     });
 
     await project.save();
+
+    await recordActivity({
+      actor: req.user.id,
+      entityType: 'project',
+      entityId: project._id,
+      action: 'created',
+      meta: { name: project.name },
+      organization: organization._id,
+      project,
+    });
+
     await project.populate('createdBy', 'name email');
     await project.populate('members.user', 'name email');
     await project.populate('organization', 'name');
@@ -371,10 +427,51 @@ export const updateProject = async (req, res) => {
       return res.status(403).json({ msg: 'Not authorized' });
     }
 
+    let newKey;
+    if (req.body.key !== undefined) {
+      newKey = normalizeProjectKey(req.body.key);
+      if (!isValidProjectKey(newKey)) {
+        return res.status(400).json({ msg: PROJECT_KEY_FORMAT_MSG });
+      }
+      if (await isProjectKeyTaken(project.organization, newKey, project._id)) {
+        return res.status(400).json({ msg: 'Project key is already in use' });
+      }
+    }
+
+    let reminderOffsets;
+    if (req.body.reminderOffsets !== undefined) {
+      reminderOffsets = parseReminderOffsets(req.body.reminderOffsets);
+      if (!reminderOffsets) {
+        return res.status(400).json({ msg: REMINDER_OFFSETS_MSG });
+      }
+    }
+
+    const before = {
+      name: project.name,
+      key: project.key,
+      description: project.description,
+      reminderOffsets: [...(project.reminderOffsets || [])],
+    };
     project.name = name || project.name;
     project.description = description !== undefined ? description : project.description;
+    if (reminderOffsets) project.reminderOffsets = reminderOffsets;
 
     await project.save();
+
+    // Old issue keys keep resolving through previousKeys
+    if (newKey !== undefined) {
+      await renameProjectKey(project, newKey);
+    }
+
+    await recordActivity({
+      actor: req.user.id,
+      entityType: 'project',
+      entityId: project._id,
+      action: 'updated',
+      changes: diffFields(before, project, ['name', 'key', 'description', 'reminderOffsets']),
+      organization: project.organization,
+      project,
+    });
     await project.populate('createdBy', 'name email');
     await project.populate('members.user', 'name email');
     await project.populate('organization', 'name');
@@ -415,9 +512,20 @@ export const deleteProject = async (req, res) => {
 
     // Delete all boards in this project
     await Board.deleteMany({ project: project._id });
+    await Sprint.deleteMany({ project: project._id });
 
     await Project.findByIdAndDelete(req.params.id);
 
+    await recordActivity({
+      actor: req.user.id,
+      entityType: 'project',
+      entityId: project._id,
+      action: 'deleted',
+      meta: { name: project.name },
+      organization: project.organization,
+      project,
+    });
+
     res.json({ msg: 'Project removed' });
   } catch (err) {
     console.error(err.message);
@@ -470,6 +578,17 @@ export const assignProject = async (req, res) => {
     });
 
     await project.save();
+
+    await recordActivity({
+      actor: req.user.id,
+      entityType: 'membership',
+      entityId: targetUser._id,
+      action: 'member_added',
+      changes: [{ field: 'role', from: null, to: 'member' }],
+      meta: { userName: targetUser.name },
+      organization: project.organization,
+      project,
+    });
     await project.populate('members.user', 'name email');
     await project.populate('organization', 'name');
 
@@ -529,6 +648,17 @@ export const addMember = async (req, res) => {
     });
 
     await project.save();
+
+    await recordActivity({
+      actor: req.user.id,
+      entityType: 'membership',
+      entityId: targetUser._id,
+      action: 'member_added',
+      changes: [{ field: 'role', from: null, to: 'member' }],
+      meta: { userName: targetUser.name },
+      organization: project.organization,
+      project,
+    });
     await project.populate('members.user', 'name email');
     await project.populate('organization', 'name');
 
@@ -571,11 +701,26 @@ export const removeMember = async (req, res) => {
       return res.status(400).json({ msg: 'Cannot remove project creator' });
     }
 
+    const removed = project.members.find(
+      (m) => m.user.toString() === req.params.userId
+    );
     project.members = project.members.filter(
       (m) => m.user.toString() !== req.params.userId
     );
 
     await project.save();
+
+    if (removed) {
+      await recordActivity({
+        actor: req.user.id,
+        entityType: 'membership',
+        entityId: removed.user,
+        action: 'member_removed',
+        changes: [{ field: 'role', from: removed.role, to: null }],
+        organization: project.organization,
+        project,
+      });
+    }
     await project.populate('members.user', 'name email');
     await project.populate('organization', 'name');
 
@@ -627,9 +772,20 @@ export const updateMemberRole = async (req, res) => {
       return res.status(404).json({ msg: 'Member not found' });
     }
 
+    const previousRole = memberToUpdate.role;
     memberToUpdate.role = role;
 
     await project.save();
+
+    await recordActivity({
+      actor: req.user.id,
+      entityType: 'membership',
+      entityId: memberToUpdate.user,
+      action: 'role_changed',
+      changes: diffFields({ role: previousRole }, memberToUpdate, ['role']),
+      organization: project.organization,
+      project,
+    });
     await project.populate('members.user', 'name email');
     await project.populate('organization', 'name');
 
@@ -0,0 +1,155 @@
+import mongoose from 'mongoose';
+import { loadBoardContext, loadProjectContext, sendAccessError } from '../utils/access.js';
+import {
+  formatEvent,
+  subscribe,
+  matchesScope,
+  getEventsSince,
+  getLatestEventId,
+  signStreamTicket,
+} from '../utils/realtime.js';
+
+const HEARTBEAT_MS = 25 * 1000;
+const RETRY_MS = 2000;
+const MAX_REPLAY = 500;
+
+// Serverless functions cannot hold a connection open: end the stream before
+// the platform timeout and let EventSource reconnect with Last-Event-ID.
+const MAX_STREAM_MS = Number(process.env.REALTIME_MAX_STREAM_MS) || (process.env.VERCEL ? 8000 : 0);
+
+// Last-Event-ID as a 24-character hex id, or null when missing or invalid
+// (ids are compared as strings)
+const parseLastEventId = (value) =>
+  typeof value === 'string' && mongoose.Types.ObjectId.isValid(value)
+    ? new mongoose.Types.ObjectId(value).toString()
+    : null;
+
+// ?boardId= or ?projectId= the user may read -> { scope } or an access error
+const loadScope = async (req) => {
+  const { boardId, projectId } = req.query;
+
+  if (boardId) {
+    const context = await loadBoardContext(boardId, req.user.id);
+    return context.error ? context : { scope: { board: context.board._id } };
+  }
+
+  if (projectId) {
+    const context = await loadProjectContext(projectId, req.user.id);
+    return context.error ? context : { scope: { project: context.project._id } };
+  }
+
+  return { error: { status: 400, msg: 'boardId or projectId is required' } };
+};
+
+/**
+ * Ticket for opening a stream with EventSource (GET /stream?ticket=...).
+ * Valid for 60 seconds; get a new one to reconnect after that.
+ */
+export const createStreamTicket = async (req, res) => {
+  try {
+    res.json({ ticket: signStreamTicket(req.user) });
+  } catch (err) {
+    console.error(err.message);
+    res.status(500).json({ msg: 'Server error' });
+  }
+};
+
+/**
+ * Server-Sent Events stream of a board or project.
+ * ?boardId= | ?projectId=; resumes after the Last-Event-ID header (or ?lastEventId=)
+ */
+export const streamEvents = async (req, res) => {
+  try {
+    const context = await loadScope(req);
+    if (context.error) return sendAccessError(res, context);
+
+    const { scope } = context;
+
+    res.status(200).set({
+      'Content-Type': 'text/event-stream',
+      // no-transform keeps compression from buffering the stream
+      'Cache-Control': 'no-cache, no-transform',
+      Connection: 'keep-alive',
+      'X-Accel-Buffering': 'no',
+    });
+    res.flushHeaders();
+
+    let lastSentId = parseLastEventId(req.get('Last-Event-ID') || req.query.lastEventId);
+    let replaying = true;
+    const pending = [];
+
+    const write = (chunk) => {
+      res.write(chunk);
+      if (typeof res.flush === 'function') res.flush();
+    };
+
+    const send = (event) => {
+      const id = event._id.toString();
+      // ObjectIds of the same length compare in creation order
+      if (lastSentId && id <= lastSentId) return;
+      lastSentId = id;
+      write(`id: ${id}\nevent: ${event.type}\ndata: ${JSON.stringify(formatEvent(event))}\n\n`);
+    };
+
+    // Listen first so nothing published during the replay is lost
+    const unsubscribe = subscribe((event) => {
+      if (!matchesScope(event, scope)) return;
+      if (replaying) pending.push(event);
+      else send(event);
+    });
+
+    const heartbeat = setInterval(() => write(': ping\n\n'), HEARTBEAT_MS);
+    const timeout = MAX_STREAM_MS ? setTimeout(() => res.end(), MAX_STREAM_MS) : null;
+
+    req.on('close', () => {
+      clearInterval(heartbeat);
+      if (timeout) clearTimeout(timeout);
+      unsubscribe();
+    });
+
+    write(`retry: ${RETRY_MS}\n\n`);
+
+    if (lastSentId) {
+      const missed = await getEventsSince(scope, lastSentId, MAX_REPLAY);
+      missed.forEach(send);
+    }
+    replaying = false;
+    pending.forEach(send);
+  } catch (err) {
+    console.error(err.message);
+    if (!res.headersSent) {
+      res.status(500).json({ msg: 'Server error' });
+    } else {
+      res.end();
+    }
+  }
+};
+
+/**
+ * Polling fallback. ?boardId= | ?projectId=, ?since=<event id>, ?limit= (max 500).
+ * Without a valid `since` returns no events, only the id to poll from.
+ */
+export const getEvents = async (req, res) => {
+  try {
+    const context = await loadScope(req);
+    if (context.error) return sendAccessError(res, context);
+
+    const { scope } = context;
+    const since = parseLastEventId(req.query.since);
+
+    if (!since) {
+      return res.json({ events: [], lastEventId: await getLatestEventId(scope) });
+    }
+
+    const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 100, 1), MAX_REPLAY);
+    const events = await getEventsSince(scope, since, limit);
+
+    res.json({
+      events: events.map(formatEvent),
+      lastEventId: events.length ? events[events.length - 1]._id.toString() : since,
+    });
+  } catch (err) {
+    console.error(err.message);
+    res.status(500).json({ msg: 'Server error' });
+  }
+};
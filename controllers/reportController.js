@@ -0,0 +1,214 @@
+import mongoose from 'mongoose';
+import Task from '../models/task.model.js';
+import Board from '../models/board.model.js';
+import Sprint from '../models/sprint.model.js';
+import Activity from '../models/activity.model.js';
+import { loadProjectContext, sendAccessError } from '../utils/access.js';
+import {
+  REPORT_UNITS,
+  MAX_REPORT_DAYS,
+  countDays,
+  parseReportRange,
+  computeBurndown,
+  computeCumulativeFlow,
+} from '../utils/reports.js';
+
+const REPORT_TASK_FIELDS = 'board status storyPoints estimateHours statusHistory createdAt';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Board of the project from ?boardId=
+const loadProjectBoard = async (projectId, boardId) => {
+  if (!mongoose.Types.ObjectId.isValid(boardId)) return null;
+  return Board.findOne({ _id: boardId, project: projectId });
+};
+
+// When each task joined the sprint: committed tasks at the start, others at
+// their latest move into the sprint (or creation), never before the start
+const getSprintJoinDates = async (sprint, tasks) => {
+  const committed = new Set(sprint.committedTasks.map(String));
+  const moves = await Activity.find({
+    task: { $in: tasks.map((t) => t._id) },
+    changes: { $elemMatch: { field: 'sprint', to: String(sprint._id) } },
+  })
+    .select('task createdAt')
+    .sort({ createdAt: 1 });
+
+  const movedAt = new Map(moves.map((a) => [String(a.task), a.createdAt]));
+  const start = sprint.startDate;
+
+  return new Map(
+    tasks.map((task) => {
+      const id = String(task._id);
+      if (committed.has(id)) return [id, start];
+      const joined = movedAt.get(id) || task.createdAt;
+      return [id, joined > start ? joined : start];
+    })
+  );
+};
+
+/**
+ * Burndown/burnup series (any project member).
+ *   ?sprintId=...                  - a started sprint of the project
+ *   ?boardId=...&from=...&to=...   - a board over a date range (default: last 14 days)
+ *   &unit=points|hours|count       - what to sum (default: points)
+ */
+export const getBurndown = async (req, res) => {
+  try {
+    const { sprintId, boardId } = req.query;
+    const unit = req.query.unit || 'points';
+
+    if (!REPORT_UNITS.includes(unit)) {
+      return res.status(400).json({ msg: `unit must be one of: ${REPORT_UNITS.join(', ')}` });
+    }
+
+    if (!sprintId && !boardId) {
+      return res.status(400).json({ msg: 'sprintId or boardId is required' });
+    }
+
+    const context = await loadProjectContext(req.params.id, req.user.id);
+    if (context.error) return sendAccessError(res, context);
+
+    const { project } = context;
+    const boards = await Board.find({ project: project._id }).select('title columns');
+    const boardsById = new Map(boards.map((b) => [String(b._id), b]));
+
+    if (sprintId) {
+      const sprint = mongoose.Types.ObjectId.isValid(sprintId)
+        ? await Sprint.findOne({ _id: sprintId, project: project._id })
+        : null;
+      if (!sprint) {
+        return res.status(404).json({ msg: 'Sprint not found' });
+      }
+
+      if (sprint.state === 'planned' || !sprint.startDate || !sprint.endDate) {
+        return res.status(400).json({ msg: 'Sprint has not started' });
+      }
+
+      // Closed sprints: everything that was part of it, including carried-over tasks
+      const taskFilter = sprint.state === 'closed'
+        ? {
+          _id: {
+            $in: [
+              ...sprint.report.committed,
+              ...sprint.report.added,
+              ...sprint.report.completed,
+              ...sprint.report.incomplete,
+            ],
+          },
+        }
+        : { sprint: sprint._id };
+      const tasks = await Task.find(taskFilter).select(REPORT_TASK_FIELDS);
+
+      const from = sprint.startDate;
+      const end = sprint.completedAt && sprint.completedAt > sprint.endDate
+        ? sprint.completedAt
+        : sprint.endDate;
+      // Sprints created before their length was capped, or closed long after
+      // their end date
+      const to = countDays(from, end) > MAX_REPORT_DAYS
+        ? new Date(from.getTime() + (MAX_REPORT_DAYS - 1) * DAY_MS)
+        : end;
+
+      const result = computeBurndown({
+        tasks,
+        boardsById,
+        addedAt: await getSprintJoinDates(sprint, tasks),
+        from,
+        to,
+        unit,
+      });
+
+      return res.json({
+        sprint: { _id: sprint._id, name: sprint.name, state: sprint.state },
+        unit,
+        from,
+        to,
+        ...result,
+      });
+    }
+
+    const board = boardsById.get(String(boardId));
+    if (!board) {
+      return res.status(404).json({ msg: 'Board not found' });
+    }
+
+    const range = parseReportRange(req.query);
+    if (range.error) {
+      return res.status(400).json({ msg: range.error });
+    }
+
+    const tasks = await Task.find({ board: board._id }).select(REPORT_TASK_FIELDS);
+    const result = computeBurndown({
+      tasks,
+      boardsById,
+      addedAt: new Map(),
+      from: range.from,
+      to: range.to,
+      unit,
+    });
+
+    res.json({
+      board: { _id: board._id, title: board.title },
+      unit,
+      from: range.from,
+      to: range.to,
+      ...result,
+    });
+  } catch (err) {
+    console.error(err.message);
+    res.status(500).json({ msg: 'Server error' });
+  }
+};
+
+/**
+ * Cumulative flow diagram of a board (any project member).
+ *   ?boardId=...&from=...&to=...&unit=count|points|hours (default: count)
+ */
+export const getCumulativeFlow = async (req, res) => {
+  try {
+    const { boardId } = req.query;
+    const unit = req.query.unit || 'count';
+
+    if (!REPORT_UNITS.includes(unit)) {
+      return res.status(400).json({ msg: `unit must be one of: ${REPORT_UNITS.join(', ')}` });
+    }
+
+    if (!boardId) {
+      return res.status(400).json({ msg: 'boardId is required' });
+    }
+
+    const range = parseReportRange(req.query);
+    if (range.error) {
+      return res.status(400).json({ msg: range.error });
+    }
+
+    const context = await loadProjectContext(req.params.id, req.user.id);
+    if (context.error) return sendAccessError(res, context);
+
+    const board = await loadProjectBoard(context.project._id, boardId);
+    if (!board) {
+      return res.status(404).json({ msg: 'Board not found' });
+    }
+
+    const tasks = await Task.find({ board: board._id }).select(REPORT_TASK_FIELDS);
+    const result = computeCumulativeFlow({
+      tasks,
+      board,
+      from: range.from,
+      to: range.to,
+      unit,
+    });
+
+    res.json({
+      board: { _id: board._id, title: board.title },
+      unit,
+      from: range.from,
+      to: range.to,
+      ...result,
+    });
+  } catch (err) {
+    console.error(err.message);
+    res.status(500).json({ msg: 'Server error' });
+  }
+};
@@ -0,0 +1,513 @@
+import mongoose from 'mongoose';
+import Sprint from '../models/sprint.model.js';
+import Task from '../models/task.model.js';
+import { isManagerOrAbove } from '../utils/permissions.js';
+import { loadProjectContext, loadSprintContext, sendAccessError } from '../utils/access.js';
+import { diffFields, recordActivity } from '../utils/activityService.js';
+import {
+  getProjectBoardIds,
+  getDoneStatusMap,
+  isTaskDone,
+  splitTasksByDone,
+  getSprintTasks,
+  findNextSprint,
+} from '../utils/sprints.js';
+import { MAX_REPORT_DAYS, countDays } from '../utils/reports.js';
+
+const SPRINT_STATES = ['planned', 'active', 'closed'];
+
+// Project admin or org manager/admin/owner can plan and run sprints
+const canManageSprints = (context) =>
+  context.isProjectAdmin || isManagerOrAbove(context.user, context.organization);
+
+const isValidDate = (value) =>
+  value === null || value === '' || !Number.isNaN(new Date(value).getTime());
+
+const toDate = (value) => (value === null || value === '' ? null : new Date(value));
+
+// Sprint reports cover the sprint day by day, so its length is capped like
+// explicit report ranges
+const SPRINT_TOO_LONG_MSG = `A sprint cannot be longer than ${MAX_REPORT_DAYS} days`;
+const isSprintTooLong = (start, end) => !!(start && end && countDays(start, end) > MAX_REPORT_DAYS);
+
+const recordSprintActivity = (req, context, action, sprint, extra = {}) =>
+  recordActivity({
+    actor: req.user.id,
+    entityType: 'project',
+    entityId: context.project._id,
+    action,
+    meta: { sprint: sprint._id, name: sprint.name, ...extra.meta },
+    changes: extra.changes || [],
+    organization: context.organization,
+    project: context.project,
+  });
+
+// Record the sprint change on each moved task
+const recordTaskSprintChanges = (req, context, tasks, from, to) =>
+  Promise.all(
+    tasks.map((task) =>
+      recordActivity({
+        actor: req.user.id,
+        entityType: 'task',
+        entityId: task._id,
+        action: 'updated',
+        changes: [{ field: 'sprint', from: from ? String(from) : null, to: to ? String(to) : null }],
+        organization: context.organization,
+        project: context.project,
+        board: task.board,
+        task,
+      })
+    )
+  );
+
+/**
+ * Get sprints of a project (any project member). Optional ?state=planned|active|closed
+ */
+export const getSprints = async (req, res) => {
+  try {
+    const { state } = req.query;
+
+    if (state !== undefined && !SPRINT_STATES.includes(state)) {
+      return res.status(400).json({ msg: `state must be one of: ${SPRINT_STATES.join(', ')}` });
+    }
+
+    const context = await loadProjectContext(req.params.id, req.user.id);
+    if (context.error) return sendAccessError(res, context);
+
+    const filter = { project: context.project._id };
+    if (state) filter.state = state;
+
+    const sprints = await Sprint.find(filter).sort({ createdAt: 1 });
+    res.json(sprints);
+  } catch (err) {
+    console.error(err.message);
+    res.status(500).json({ msg: 'Server error' });
+  }
+};
+
+/**
+ * Get the project backlog: tasks not in any sprint (any project member).
+ * Done tasks are left out unless ?includeDone=true
+ */
+export const getBacklog = async (req, res) => {
+  try {
+    const context = await loadProjectContext(req.params.id, req.user.id);
+    if (context.error) return sendAccessError(res, context);
+
+    const boardIds = await getProjectBoardIds(context.project._id);
+    let tasks = await Task.find({ board: { $in: boardIds }, sprint: null })
+      .populate('assignedTo', 'name email')
+      .populate('createdBy', 'name email')
+      .populate('labels', 'name color')
+      .sort({ issueNumber: 1, createdAt: 1 });
+
+    if (req.query.includeDone !== 'true') {
+      const doneMap = await getDoneStatusMap(boardIds);
+      tasks = tasks.filter((task) => !isTaskDone(task, doneMap));
+    }
+
+    res.json(tasks);
+  } catch (err) {
+    console.error(err.message);
+    res.status(500).json({ msg: 'Server error' });
+  }
+};
+
+/**
+ * Create a sprint. Body: { name, goal?, startDate?, endDate? }
+ */
+export const createSprint = async (req, res) => {
+  try {
+    const { name, goal, startDate, endDate } = req.body || {};
+
+    if (!name || !name.trim()) {
+      return res.status(400).json({ msg: 'Sprint name is required' });
+    }
+
+    if ((startDate !== undefined && !isValidDate(startDate)) || (endDate !== undefined && !isValidDate(endDate))) {
+      return res.status(400).json({ msg: 'Invalid sprint dates' });
+    }
+
+    const start = startDate !== undefined ? toDate(startDate) : null;
+    const end = endDate !== undefined ? toDate(endDate) : null;
+    if (start && end && end <= start) {
+      return res.status(400).json({ msg: 'Sprint end date must be after its start date' });
+    }
+    if (isSprintTooLong(start, end)) {
+      return res.status(400).json({ msg: SPRINT_TOO_LONG_MSG });
+    }
+
+    const context = await loadProjectContext(req.params.id, req.user.id);
+    if (context.error) return sendAccessError(res, context);
+
+    if (!canManageSprints(context)) {
+      return res.status(403).json({ msg: 'Not authorized' });
+    }
+
+    const sprint = await Sprint.create({
+      name: name.trim(),
+      goal,
+      project: context.project._id,
+      startDate: start,
+      endDate: end,
+      createdBy: req.user.id,
+    });
+
+    await recordSprintActivity(req, context, 'sprint_created', sprint);
+
+    res.status(201).json(sprint);
+  } catch (err) {
+    console.error(err.message);
+    res.status(500).json({ msg: 'Server error' });
+  }
+};
+
+/**
+ * Get a sprint with its tasks and progress (any project member)
+ */
+export const getSprint = async (req, res) => {
+  try {
+    const context = await loadSprintContext(req.params.id, req.user.id);
+    if (context.error) return sendAccessError(res, context);
+
+    const { tasks, progress } = await getSprintTasks(context.sprint._id);
+    res.json({ sprint: context.sprint, tasks, progress });
+  } catch (err) {
+    console.error(err.message);
+    res.status(500).json({ msg: 'Server error' });
+  }
+};
+
+/**
+ * Update a sprint that is not closed. Body: { name?, goal?, startDate?, endDate? }
+ */
+export const updateSprint = async (req, res) => {
+  try {
+    const { name, goal, startDate, endDate } = req.body || {};
+
+    if (name !== undefined && (!name || !name.trim())) {
+      return res.status(400).json({ msg: 'Sprint name is required' });
+    }
+
+    if ((startDate !== undefined && !isValidDate(startDate)) || (endDate !== undefined && !isValidDate(endDate))) {
+      return res.status(400).json({ msg: 'Invalid sprint dates' });
+    }
+
+    const context = await loadSprintContext(req.params.id, req.user.id);
+    if (context.error) return sendAccessError(res, context);
+
+    if (!canManageSprints(context)) {
+      return res.status(403).json({ msg: 'Not authorized' });
+    }
+
+    const { sprint } = context;
+    if (sprint.state === 'closed') {
+      return res.status(400).json({ msg: 'A closed sprint cannot be changed' });
+    }
+
+    const start = startDate !== undefined ? toDate(startDate) : sprint.startDate;
+    const end = endDate !== undefined ? toDate(endDate) : sprint.endDate;
+    if (start && end && end <= start) {
+      return res.status(400).json({ msg: 'Sprint end date must be after its start date' });
+    }
+    if (isSprintTooLong(start, end)) {
+      return res.status(400).json({ msg: SPRINT_TOO_LONG_MSG });
+    }
+    if (sprint.state === 'active' && (!start || !end)) {
+      return res.status(400).json({ msg: 'An active sprint needs start and end dates' });
+    }
+
+    const before = sprint.toObject();
+    if (name !== undefined) sprint.name = name.trim();
+    if (goal !== undefined) sprint.goal = goal;
+    sprint.startDate = start;
+    sprint.endDate = end;
+    await sprint.save();
+
+    await recordSprintActivity(req, context, 'sprint_updated', sprint, {
+      changes: diffFields(before, sprint, ['name', 'goal', 'startDate', 'endDate']),
+    });
+
+    res.json(sprint);
+  } catch (err) {
+    console.error(err.message);
+    res.status(500).json({ msg: 'Server error' });
+  }
+};
+
+/**
+ * Delete a planned sprint; its tasks go back to the backlog
+ */
+export const deleteSprint = async (req, res) => {
+  try {
+    const context = await loadSprintContext(req.params.id, req.user.id);
+    if (context.error) return sendAccessError(res, context);
+
+    if (!canManageSprints(context)) {
+      return res.status(403).json({ msg: 'Not authorized' });
+    }
+
+    const { sprint } = context;
+    if (sprint.state !== 'planned') {
+      return res.status(400).json({ msg: 'Only planned sprints can be deleted' });
+    }
+
+    const tasks = await Task.find({ sprint: sprint._id }).select('_id board');
+    await Task.updateMany({ sprint: sprint._id }, { $set: { sprint: null } });
+    await Sprint.findByIdAndDelete(sprint._id);
+
+    await recordTaskSprintChanges(req, context, tasks, sprint._id, null);
+    await recordSprintActivity(req, context, 'sprint_deleted', sprint, {
+      meta: { movedToBacklog: tasks.length },
+    });
+
+    res.json({ msg: 'Sprint removed', movedToBacklog: tasks.length });
+  } catch (err) {
+    console.error(err.message);
+    res.status(500).json({ msg: 'Server error' });
+  }
+};
+
+/**
+ * Start a planned sprint. Only one sprint per project can be active.
+ * Body: { startDate?, endDate? } (defaults to the sprint's dates; start defaults to now)
+ */
+export const startSprint = async (req, res) => {
+  try {
+    const { startDate, endDate } = req.body || {};
+
+    if ((startDate !== undefined && !isValidDate(startDate)) || (endDate !== undefined && !isValidDate(endDate))) {
+      return res.status(400).json({ msg: 'Invalid sprint dates' });
+    }
+
+    const context = await loadSprintContext(req.params.id, req.user.id);
+    if (context.error) return sendAccessError(res, context);
+
+    if (!canManageSprints(context)) {
+      return res.status(403).json({ msg: 'Not authorized' });
+    }
+
+    const { sprint } = context;
+    if (sprint.state !== 'planned') {
+      return res.status(400).json({ msg: 'Only planned sprints can be started' });
+    }
+
+    const start = (startDate !== undefined ? toDate(startDate) : sprint.startDate) || new Date();
+    const end = endDate !== undefined ? toDate(endDate) : sprint.endDate;
+    if (!end) {
+      return res.status(400).json({ msg: 'Sprint end date is required' });
+    }
+    if (end <= start) {
+      return res.status(400).json({ msg: 'Sprint end date must be after its start date' });
+    }
+    if (isSprintTooLong(start, end)) {
+      return res.status(400).json({ msg: SPRINT_TOO_LONG_MSG });
+    }
+
+    const active = await Sprint.exists({ project: sprint.project, state: 'active' });
+    if (active) {
+      return res.status(409).json({ msg: 'The project already has an active sprint' });
+    }
+
+    const committed = await Task.find({ sprint: sprint._id }).select('_id');
+
+    // Guard on state so two concurrent starts cannot both succeed
+    const started = await Sprint.findOneAndUpdate(
+      { _id: sprint._id, state: 'planned' },
+      {
+        $set: {
+          state: 'active',
+          startDate: start,
+          endDate: end,
+          startedAt: new Date(),
+          committedTasks: committed.map((t) => t._id),
+        },
+      },
+      { new: true }
+    );
+    if (!started) {
+      return res.status(409).json({ msg: 'Sprint was changed by someone else' });
+    }
+
+    await recordSprintActivity(req, context, 'sprint_started', started, {
+      meta: { committed: committed.length },
+    });
+
+    res.json(started);
+  } catch (err) {
+    console.error(err.message);
+    res.status(500).json({ msg: 'Server error' });
+  }
+};
+
+/**
+ * Complete the active sprint. Unfinished tasks move to the backlog (default),
+ * the next planned sprint or a given planned sprint.
+ * Body: { moveTo?: 'backlog' | 'next' | <sprintId> }
+ */
+export const completeSprint = async (req, res) => {
+  try {
+    const moveTo = req.body?.moveTo || 'backlog';
+
+    const context = await loadSprintContext(req.params.id, req.user.id);
+    if (context.error) return sendAccessError(res, context);
+
+    if (!canManageSprints(context)) {
+      return res.status(403).json({ msg: 'Not authorized' });
+    }
+
+    const { sprint } = context;
+    if (sprint.state !== 'active') {
+      return res.status(400).json({ msg: 'Only the active sprint can be completed' });
+    }
+
+    let target = null;
+    if (moveTo === 'next') {
+      target = await findNextSprint(sprint.project, sprint._id);
+      if (!target) {
+        return res.status(400).json({ msg: 'There is no planned sprint to move tasks to' });
+      }
+    } else if (moveTo !== 'backlog') {
+      target = mongoose.Types.ObjectId.isValid(moveTo) ? await Sprint.findById(moveTo) : null;
+      if (!target || target.project.toString() !== sprint.project.toString()
+        || target._id.toString() === sprint._id.toString()) {
+        return res.status(400).json({ msg: 'moveTo must be backlog, next or a sprint of the project' });
+      }
+      if (target.state !== 'planned') {
+        return res.status(400).json({ msg: 'Unfinished tasks can only move to a planned sprint' });
+      }
+    }
+
+    const tasks = await Task.find({ sprint: sprint._id }).select('_id board status');
+    const { done, open } = await splitTasksByDone(tasks);
+
+    const committedIds = new Set(sprint.committedTasks.map(String));
+    const report = {
+      committed: sprint.committedTasks,
+      added: tasks.filter((t) => !committedIds.has(String(t._id))).map((t) => t._id),
+      completed: done.map((t) => t._id),
+      incomplete: open.map((t) => t._id),
+      movedTo: target ? target._id : null,
+    };
+
+    const closed = await Sprint.findOneAndUpdate(
+      { _id: sprint._id, state: 'active' },
+      {
+        $set: {
+          state: 'closed',
+          completedAt: new Date(),
+          completedBy: req.user.id,
+          report,
+        },
+      },
+      { new: true }
+    );
+    if (!closed) {
+      return res.status(409).json({ msg: 'Sprint was changed by someone else' });
+    }
+
+    // Done tasks stay in the closed sprint as its history
+    await Task.updateMany(
+      { _id: { $in: report.incomplete }, sprint: sprint._id },
+      { $set: { sprint: report.movedTo } }
+    );
+
+    await recordTaskSprintChanges(req, context, open, sprint._id, report.movedTo);
+    await recordSprintActivity(req, context, 'sprint_completed', closed, {
+      meta: {
+        committed: report.committed.length,
+        added: report.added.length,
+        completed: report.completed.length,
+        incomplete: report.incomplete.length,
+        movedTo: report.movedTo,
+      },
+    });
+
+    res.json(closed);
+  } catch (err) {
+    console.error(err.message);
+    res.status(500).json({ msg: 'Server error' });
+  }
+};
+
+/**
+ * Add tasks of the project to a planned or active sprint (any project member).
+ * Body: { taskIds: [...] }
+ */
+export const addSprintTasks = async (req, res) => {
+  try {
+    const { taskIds } = req.body || {};
+
+    if (!Array.isArray(taskIds) || taskIds.length === 0) {
+      return res.status(400).json({ msg: 'taskIds must be a non-empty array' });
+    }
+
+    if (!taskIds.every((id) => mongoose.Types.ObjectId.isValid(id))) {
+      return res.status(400).json({ msg: 'Invalid task id' });
+    }
+
+    const context = await loadSprintContext(req.params.id, req.user.id);
+    if (context.error) return sendAccessError(res, context);
+
+    const { sprint } = context;
+    if (sprint.state === 'closed') {
+      return res.status(400).json({ msg: 'Cannot add tasks to a closed sprint' });
+    }
+
+    const boardIds = await getProjectBoardIds(sprint.project);
+    const tasks = await Task.find({ _id: { $in: taskIds }, board: { $in: boardIds } })
+      .select('_id board sprint');
+
+    if (tasks.length !== new Set(taskIds.map(String)).size) {
+      return res.status(400).json({ msg: 'All tasks must belong to the sprint\'s project' });
+    }
+
+    const moved = tasks.filter((t) => String(t.sprint) !== String(sprint._id));
+    await Task.updateMany(
+      { _id: { $in: moved.map((t) => t._id) } },
+      { $set: { sprint: sprint._id } }
+    );
+
+    await Promise.all(
+      moved.map((task) => recordTaskSprintChanges(req, context, [task], task.sprint, sprint._id))
+    );
+
+    const { tasks: sprintTasks, progress } = await getSprintTasks(sprint._id);
+    res.json({ sprint, tasks: sprintTasks, progress });
+  } catch (err) {
+    console.error(err.message);
+    res.status(500).json({ msg: 'Server error' });
+  }
+};
+
+/**
+ * Move a task out of a sprint back to the backlog (any project member)
+ */
+export const removeSprintTask = async (req, res) => {
+  try {
+    const context = await loadSprintContext(req.params.id, req.user.id);
+    if (context.error) return sendAccessError(res, context);
+
+    const { sprint } = context;
+    if (sprint.state === 'closed') {
+      return res.status(400).json({ msg: 'A closed sprint cannot be changed' });
+    }
+
+    const task = mongoose.Types.ObjectId.isValid(req.params.taskId)
+      ? await Task.findOne({ _id: req.params.taskId, sprint: sprint._id })
+      : null;
+    if (!task) {
+      return res.status(404).json({ msg: 'Task not found in this sprint' });
+    }
+
+    task.sprint = null;
+    await task.save();
+
+    await recordTaskSprintChanges(req, context, [task], sprint._id, null);
+
+    res.json({ msg: 'Task moved to the backlog' });
+  } catch (err) {
+    console.error(err.message);
+    res.status(500).json({ msg: 'Server error' });
+  }
+};
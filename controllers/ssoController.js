@@ -0,0 +1,247 @@
+import crypto from 'crypto';
+import mongoose from 'mongoose';
+import Organization from '../models/organization.model.js';
+import User from '../models/user.model.js';
+import SsoLogin from '../models/ssoLogin.model.js';
+import { decryptSecret } from '../utils/encryption.js';
+import { buildAuthorizationUrl, createAuthRequest, exchangeCode, getDiscovery, verifyIdToken } from '../utils/oidc.js';
+import {
+  SSO_SECRET_FIELD,
+  emailDomain,
+  getSsoRedirectUri,
+  isSsoEnabled,
+  resolveSsoUser,
+} from '../utils/sso.js';
+import { startLogin } from './authController.js';
+
+/**
+ * SP-initiated OpenID Connect sign-in:
+ *   1. GET /api/auth/sso/:organizationId/start redirects to the provider
+ *   2. the provider redirects back to GET /api/auth/sso/callback, which
+ *      verifies the ID token and redirects to FRONTEND_URL/sso/callback with
+ *      a one-time code (or an error)
+ *   3. the frontend exchanges the code at POST /api/auth/sso/exchange for the
+ *      usual session (or 2FA challenge), as from /login
+ * SAML is not supported: verifying XML signatures safely needs a library this
+ * project does not have.
+ */
+
+const LOGIN_TTL_MS = 10 * 60 * 1000;
+const EXCHANGE_CODE_TTL_MS = 2 * 60 * 1000;
+
+const hashValue = (value) => crypto.createHash('sha256').update(value).digest('hex');
+
+// Binds a sign-in to the browser that started it, so a callback URL from
+// someone else's sign-in cannot log the victim into that account
+const STATE_COOKIE = 'sso_state';
+const STATE_COOKIE_PATH = '/api/auth/sso';
+
+const stateCookieOptions = (req) => ({
+  httpOnly: true,
+  secure: req.secure,
+  sameSite: 'lax',
+  path: STATE_COOKIE_PATH,
+});
+
+const readCookie = (req, name) => {
+  for (const part of (req.headers.cookie || '').split(';')) {
+    const [key, ...value] = part.trim().split('=');
+    if (key === name) return decodeURIComponent(value.join('='));
+  }
+  return null;
+};
+
+const isStateFromThisBrowser = (req, state) => {
+  const cookie = readCookie(req, STATE_COOKIE);
+  const expected = hashValue(state);
+  return (
+    !!cookie &&
+    cookie.length === expected.length &&
+    crypto.timingSafeEqual(Buffer.from(cookie), Buffer.from(expected))
+  );
+};
+
+const frontendUrl = () => process.env.FRONTEND_URL || 'http://localhost:3000';
+
+// Back to the frontend with { code, redirect } or { error }
+const finishSso = (res, params) =>
+  res.redirect(302, `${frontendUrl()}/sso/callback?${new URLSearchParams(params)}`);
+
+/**
+ * Organizations an email can sign in to with SSO, by email domain.
+ * Body: { email }. Organizations without allowedDomains are not listed
+ * (their sign-in link uses the organization id).
+ */
+export const discoverSso = async (req, res) => {
+  try {
+    const email = req.body?.email;
+    if (!email || typeof email !== 'string' || !email.includes('@')) {
+      return res.status(400).json({ msg: 'A valid email is required' });
+    }
+
+    const organizations = await Organization.find({
+      'sso.enabled': true,
+      'sso.allowedDomains': emailDomain(email),
+    }).select('name sso');
+
+    res.json({
+      organizations: organizations.filter(isSsoEnabled).map((org) => ({
+        id: org._id,
+        name: org.name,
+        loginUrl: `/api/auth/sso/${org._id}/start`,
+      })),
+    });
+  } catch (err) {
+    console.error(err.message);
+    res.status(500).json({ msg: 'Server error' });
+  }
+};
+
+/**
+ * Send the browser to the organization's identity provider.
+ * Query: redirect (frontend path to return to), login_hint.
+ */
+export const startSso = async (req, res) => {
+  try {
+    const { organizationId } = req.params;
+    const organization = mongoose.Types.ObjectId.isValid(organizationId)
+      ? await Organization.findById(organizationId).select('sso')
+      : null;
+
+    if (!isSsoEnabled(organization)) {
+      return res.status(404).json({ msg: 'Single sign-on is not enabled for this organization' });
+    }
+
+    let discovery;
+    try {
+      discovery = await getDiscovery(organization.sso.issuer);
+    } catch (err) {
+      console.error('SSO discovery error:', err.message);
+      return res.status(502).json({ msg: 'Could not reach the identity provider' });
+    }
+
+    const redirect = typeof req.query.redirect === 'string' && /^\/(?![/\\])/.test(req.query.redirect)
+      ? req.query.redirect
+      : '/';
+    const authRequest = createAuthRequest();
+
+    await SsoLogin.create({
+      stateHash: hashValue(authRequest.state),
+      organization: organization._id,
+      nonce: authRequest.nonce,
+      codeVerifier: authRequest.codeVerifier,
+      redirect,
+      expiresAt: new Date(Date.now() + LOGIN_TTL_MS),
+    });
+
+    res.cookie(STATE_COOKIE, hashValue(authRequest.state), { ...stateCookieOptions(req), maxAge: LOGIN_TTL_MS });
+    res.redirect(302, buildAuthorizationUrl(discovery, {
+      ...authRequest,
+      clientId: organization.sso.clientId,
+      redirectUri: getSsoRedirectUri(req),
+      loginHint: typeof req.query.login_hint === 'string' ? req.query.login_hint : undefined,
+    }));
+  } catch (err) {
+    console.error(err.message);
+    res.status(500).json({ msg: 'Server error' });
+  }
+};
+
+/**
+ * Redirect URI registered at the identity provider
+ */
+export const ssoCallback = async (req, res) => {
+  try {
+    const { code, state, error } = req.query;
+    if (typeof state !== 'string' || !state || !isStateFromThisBrowser(req, state)) {
+      return finishSso(res, { error: 'Sign-in request is invalid. Please start signing in again.' });
+    }
+    res.clearCookie(STATE_COOKIE, stateCookieOptions(req));
+
+    // Claim the state: each sign-in completes at most once
+    const oneTimeCode = crypto.randomBytes(32).toString('base64url');
+    const login = await SsoLogin.findOneAndUpdate(
+      { stateHash: hashValue(state), exchangeCodeHash: null, expiresAt: { $gt: new Date() } },
+      { $set: { exchangeCodeHash: hashValue(oneTimeCode), expiresAt: new Date(Date.now() + EXCHANGE_CODE_TTL_MS) } },
+      { new: true }
+    );
+    if (!login) {
+      return finishSso(res, { error: 'Sign-in request has expired. Please try again.' });
+    }
+
+    if (error || typeof code !== 'string') {
+      return finishSso(res, { error: 'Sign-in was cancelled or denied by the identity provider' });
+    }
+
+    const organization = await Organization.findById(login.organization).select(SSO_SECRET_FIELD);
+    if (!isSsoEnabled(organization)) {
+      return finishSso(res, { error: 'Single sign-on is not enabled for this organization' });
+    }
+
+    let claims;
+    try {
+      const discovery = await getDiscovery(organization.sso.issuer);
+      const tokens = await exchangeCode(discovery, {
+        clientId: organization.sso.clientId,
+        clientSecret: organization.sso.clientSecret ? decryptSecret(organization.sso.clientSecret) : '',
+        code,
+        redirectUri: getSsoRedirectUri(req),
+        codeVerifier: login.codeVerifier,
+      });
+      claims = await verifyIdToken(discovery, tokens.id_token, {
+        clientId: organization.sso.clientId,
+        nonce: login.nonce,
+      });
+    } catch (err) {
+      console.error('SSO token error:', err.message);
+      return finishSso(res, { error: 'Could not verify your sign-in with the identity provider' });
+    }
+
+    const result = await resolveSsoUser(organization, claims);
+    if (result.error) {
+      return finishSso(res, { error: result.error });
+    }
+
+    await SsoLogin.updateOne({ _id: login._id }, { $set: { user: result.user._id } });
+    finishSso(res, { code: oneTimeCode, redirect: login.redirect });
+  } catch (err) {
+    console.error(err.message);
+    finishSso(res, { error: 'Single sign-on failed' });
+  }
+};
+
+/**
+ * Exchange the one-time code from the callback for a session.
+ * Body: { code }. Same response as POST /login.
+ */
+export const exchangeSsoCode = async (req, res) => {
+  try {
+    const { code } = req.body || {};
+    if (!code || typeof code !== 'string') {
+      return res.status(400).json({ msg: 'code is required' });
+    }
+
+    const login = await SsoLogin.findOneAndUpdate(
+      {
+        exchangeCodeHash: hashValue(code),
+        user: { $ne: null },
+        usedAt: null,
+        expiresAt: { $gt: new Date() },
+      },
+      { $set: { usedAt: new Date() } }
+    );
+    if (!login) {
+      return res.status(400).json({ msg: 'Sign-in code is invalid or has expired' });
+    }
+
+    const user = await User.findById(login.user);
+    if (!user || user.organization.toString() !== login.organization.toString()) {
+      return res.status(400).json({ msg: 'Sign-in code is invalid or has expired' });
+    }
+
+    res.json(await startLogin(user, req));
+  } catch (err) {
+    console.error(err.message);
+    res.status(500).json({ msg: 'Server error' });
+  }
+};
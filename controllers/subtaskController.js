@@ -0,0 +1,133 @@
+import { canUpdateTask } from '../utils/permissions.js';
+import { loadTaskContext, sendAccessError } from '../utils/access.js';
+import { recordActivity } from '../utils/activityService.js';
+import { getSubtaskProgress, validateParentTask } from '../utils/subtasks.js';
+import { createTask } from './taskController.js';
+
+/**
+ * Get subtasks of a task with completion roll-up (any project member)
+ */
+export const getSubtasks = async (req, res) => {
+  try {
+    const context = await loadTaskContext(req.params.id, req.user.id);
+    if (context.error) return sendAccessError(res, context);
+
+    const { subtasks, progress } = await getSubtaskProgress(context.task._id);
+    res.json({ parent: context.task._id, subtasks, progress });
+  } catch (err) {
+    console.error(err.message);
+    res.status(500).json({ msg: 'Server error' });
+  }
+};
+
+/**
+ * Add a subtask.
+ *   { taskId }          - link an existing task of the same project
+ *   { title, ... }      - create a new task (same fields as POST /api/tasks);
+ *                         it goes on the parent's board unless `board` is given
+ */
+export const createSubtask = async (req, res) => {
+  try {
+    const context = await loadTaskContext(req.params.id, req.user.id);
+    if (context.error) return sendAccessError(res, context);
+
+    const { user, organization, task: parent } = context;
+
+    if (!canUpdateTask(user, organization, parent)) {
+      return res.status(403).json({ msg: 'Not authorized to update this task' });
+    }
+
+    const { taskId } = req.body || {};
+
+    if (!taskId) {
+      req.body = {
+        ...req.body,
+        parent: parent._id.toString(),
+        board: req.body?.board || parent.board.toString(),
+      };
+      return createTask(req, res);
+    }
+
+    const childContext = await loadTaskContext(taskId, req.user.id);
+    if (childContext.error) return sendAccessError(res, childContext);
+
+    const { task: child } = childContext;
+
+    if (!canUpdateTask(user, organization, child)) {
+      return res.status(403).json({ msg: 'Not authorized to update the subtask' });
+    }
+
+    const parentCheck = await validateParentTask(parent._id, context.project._id, child._id);
+    if (parentCheck.error) {
+      return res.status(parentCheck.error.status).json({ msg: parentCheck.error.msg });
+    }
+
+    const previousParent = child.parent;
+    child.parent = parent._id;
+    await child.save();
+
+    await recordActivity({
+      actor: req.user.id,
+      entityType: 'task',
+      entityId: child._id,
+      action: 'updated',
+      changes: [{ field: 'parent', from: previousParent ? previousParent.toString() : null, to: parent._id.toString() }],
+      organization,
+      project: context.project,
+      board: childContext.board,
+      task: child,
+    });
+
+    await child.populate('assignedTo', 'name email');
+    await child.populate('createdBy', 'name email');
+    res.status(201).json(child);
+  } catch (err) {
+    console.error(err.message);
+    res.status(500).json({ msg: 'Server error' });
+  }
+};
+
+/**
+ * Detach a subtask from its parent (the subtask itself is kept)
+ */
+export const removeSubtask = async (req, res) => {
+  try {
+    const context = await loadTaskContext(req.params.id, req.user.id);
+    if (context.error) return sendAccessError(res, context);
+
+    const { user, organization, task: parent } = context;
+
+    if (!canUpdateTask(user, organization, parent)) {
+      return res.status(403).json({ msg: 'Not authorized to update this task' });
+    }
+
+    const childContext = await loadTaskContext(req.params.subtaskId, req.user.id);
+    if (childContext.error) return sendAccessError(res, childContext);
+
+    const { task: child } = childContext;
+
+    if (child.parent?.toString() !== parent._id.toString()) {
+      return res.status(404).json({ msg: 'Subtask not found' });
+    }
+
+    child.parent = null;
+    await child.save();
+
+    await recordActivity({
+      actor: req.user.id,
+      entityType: 'task',
+      entityId: child._id,
+      action: 'updated',
+      changes: [{ field: 'parent', from: parent._id.toString(), to: null }],
+      organization,
+      project: context.project,
+      board: childContext.board,
+      task: child,
+    });
+
+    res.json({ msg: 'Subtask removed' });
+  } catch (err) {
+    console.error(err.message);
+    res.status(500).json({ msg: 'Server error' });
+  }
+};
@@ -1,17 +1,50 @@
+import mongoose from 'mongoose';
 import Task from '../models/task.model.js';
 import Board from '../models/board.model.js';
 import Project from '../models/project.model.js';
 import Organization from '../models/organization.model.js';
 import User from '../models/user.model.js';
-import { canCreateTask, canUpdateTask, canDeleteTask, isMember } from '../utils/permissions.js';
+import { canCreateTask, canUpdateTask, canDeleteTask, isMember, isAdminOrOwner } from '../utils/permissions.js';
 import { deleteFromCloudinary } from '../config/cloudinary.js';
 import { sendPushToUser } from '../utils/pushService.js'
+import { loadTaskContext, sendAccessError } from '../utils/access.js';
+import { addWatchers, notifyWatchers } from '../utils/watchers.js';
+import { ensureBoardColumns, findColumn, getEntryColumn } from '../utils/boardColumns.js';
+import {
+  MAX_RANK_LENGTH,
+  rankBetween,
+  getRankAtEnd,
+  ensureColumnRanks,
+  rebalanceColumn,
+} from '../utils/rank.js';
+import { enforceWipLimit, withWipWarning } from '../utils/wipLimits.js';
+import { diffFields, recordActivity } from '../utils/activityService.js';
+import { validateParentTask } from '../utils/subtasks.js';
+import { parseLabelIds, areProjectLabels } from '../utils/labels.js';
+import { ensureIssueKeys, nextIssueFields, findTaskByIssueKey } from '../utils/issueKeys.js';
+import { validateSprintAssignment } from '../utils/sprints.js';
+import { statusTransition, statusTimestamps } from '../utils/statusHistory.js';
+import { publishEvent } from '../utils/realtime.js';
+
+// Estimates are non-negative numbers; '' or null clears them. NaN if invalid.
+const parseEstimate = (value) => {
+  if (value === null || value === '') return null;
+  const number = Number(value);
+  return Number.isFinite(number) && number >= 0 ? number : NaN;
+};
 
 /**
- * Get all tasks for a board (only board members can view)
+ * Get all tasks for a board (only board members can view).
+ * Optional ?labels=id1,id2 filter; ?labelMatch=all requires every label
+ * (default: any of them).
  */
 export const getTasksByBoard = async (req, res) => {
   try {
+    const labelIds = parseLabelIds(req.query.labels) || [];
+    if (!labelIds.every((id) => mongoose.Types.ObjectId.isValid(id))) {
+      return res.status(400).json({ msg: 'Invalid label id' });
+    }
+
     const user = await User.findById(req.user.id);
     const board = await Board.findById(req.params.boardId).populate('project');
 
@@ -38,10 +71,21 @@ export const getTasksByBoard = async (req, res) => {
       return res.status(403).json({ msg: 'Access denied' });
     }
 
-    const tasks = await Task.find({ board: req.params.boardId })
+    // Legacy boards get default columns (and their tasks a status and an
+    // issue key) on first load
+    await ensureBoardColumns(board);
+    await ensureIssueKeys(project, board._id);
+
+    const filter = { board: req.params.boardId };
+    if (labelIds.length) {
+      filter.labels = req.query.labelMatch === 'all' ? { $all: labelIds } : { $in: labelIds };
+    }
+
+    const tasks = await Task.find(filter)
       .populate('assignedTo', 'name email')
       .populate('createdBy', 'name email')
-      .sort({ order: 1, createdAt: 1 });
+      .populate('labels', 'name color')
+      .sort({ rank: 1, order: 1, createdAt: 1 });
 
     res.json(tasks);
   } catch (err) {
@@ -50,23 +94,62 @@ export const getTasksByBoard = async (req, res) => {
   }
 };
 
+/**
+ * Get a task by its issue key, e.g. KAN-142 (any project member). Keys using
+ * a project's previous key still resolve; the response carries the current one.
+ */
+export const getTaskByIssueKey = async (req, res) => {
+  try {
+    const user = await User.findById(req.user.id);
+    if (!user || !user.organization) {
+      return res.status(404).json({ msg: 'User does not belong to an organization' });
+    }
+
+    const found = await findTaskByIssueKey(user.organization._id || user.organization, req.params.issueKey);
+    if (!found) {
+      return res.status(404).json({ msg: 'Task not found' });
+    }
+
+    const context = await loadTaskContext(found._id, req.user.id);
+    if (context.error) return sendAccessError(res, context);
+
+    const task = await Task.findById(found._id)
+      .populate('assignedTo', 'name email')
+      .populate('createdBy', 'name email')
+      .populate('labels', 'name color');
+
+    res.json(task);
+  } catch (err) {
+    console.error(err.message);
+    res.status(500).json({ msg: 'Server error' });
+  }
+};
+
 /**
  * Create task (only workspace members can create)
  */
 export const createTask = async (req, res) => {
   try {
     // Handle both JSON and FormData
-    let { title, description, comments, board, assignedTo, priority, dueDate,  } = req.body;
+    let { title, description, comments, board, status, assignedTo, priority, dueDate, parent, labels, sprint, storyPoints, estimateHours } = req.body;
 
     // Ensure assignedTo is an array
     if (assignedTo && !Array.isArray(assignedTo)) {
       assignedTo = [assignedTo];
     }
 
+    labels = parseLabelIds(labels);
+
     if (!board) {
       return res.status(400).json({ msg: 'Board ID is required' });
     }
 
+    storyPoints = parseEstimate(storyPoints ?? null);
+    estimateHours = parseEstimate(estimateHours ?? null);
+    if (Number.isNaN(storyPoints) || Number.isNaN(estimateHours)) {
+      return res.status(400).json({ msg: 'Estimates must be non-negative numbers' });
+    }
+
     const user = await User.findById(req.user.id);
     
     if (!user || !user.organization) {
@@ -112,6 +195,14 @@ export const createTask = async (req, res) => {
       return res.status(403).json({ msg: 'You must be an organization member to create tasks' });
     }
 
+    // Subtask: parent must be a top-level task in the same project
+    if (parent) {
+      const parentCheck = await validateParentTask(parent, project._id);
+      if (parentCheck.error) {
+        return res.status(parentCheck.error.status).json({ msg: parentCheck.error.msg });
+      }
+    }
+
     // Validate assigned users are project members (and in same org)
     if (assignedTo && Array.isArray(assignedTo)) {
       const projectMemberIds = project.members.map((m) => (m.user._id || m.user).toString());
@@ -126,16 +217,64 @@ export const createTask = async (req, res) => {
       }
     }
 
+    // Labels must belong to the task's project
+    if (labels && !(await areProjectLabels(labels, project._id))) {
+      return res.status(400).json({ msg: 'All labels must belong to the project' });
+    }
+
+    // No sprint means the project backlog
+    if (sprint) {
+      const sprintCheck = await validateSprintAssignment(sprint, project._id);
+      if (sprintCheck.error) {
+        return res.status(sprintCheck.error.status).json({ msg: sprintCheck.error.msg });
+      }
+    }
+
+    // Validate status against the board's columns (defaults to the entry column)
+    await ensureBoardColumns(boardDoc);
+    let column = getEntryColumn(boardDoc);
+    if (status !== undefined && status !== null && status !== '') {
+      column = findColumn(boardDoc, status);
+      if (!column) {
+        return res.status(400).json({ msg: 'Status must be one of the board columns' });
+      }
+    }
+
+    // WIP limit of the target column (owner/admin may override in hard mode)
+    const taskId = new mongoose.Types.ObjectId();
+    const wip = await enforceWipLimit({
+      board: boardDoc,
+      status: column.name,
+      taskId,
+      userId: req.user.id,
+      override: req.body.overrideWip,
+      canOverride: isAdminOrOwner(user, organization),
+    });
+    if (wip.blocked) {
+      return res.status(409).json(wip.blocked);
+    }
+
     const newTask = new Task({
+      _id: taskId,
+      ...(await nextIssueFields(project)),
       title,
       description,
       comments: comments || '',
-      // status: status || 'todo',
+      status: column.name,
+      rank: await getRankAtEnd(boardDoc._id, column.name),
       board,
       assignedTo: assignedTo || [],
       createdBy: req.user.id,
+      watchers: [...new Set([req.user.id, ...(assignedTo || [])].map(String))],
       priority: priority || 'medium',
       dueDate: dueDate || null,
+      parent: parent || null,
+      labels: labels || [],
+      sprint: sprint || null,
+      storyPoints,
+      estimateHours,
+      statusHistory: [statusTransition({ board: boardDoc, column, by: req.user.id })],
+      ...statusTimestamps({}, column),
       // Store Cloudinary URL (secure_url or path)
       attachment: req.file ? (req.file.secure_url || req.file.path) : null,
     });
@@ -143,6 +282,28 @@ export const createTask = async (req, res) => {
     const task = await newTask.save();
     await task.populate('assignedTo', 'name email');
     await task.populate('createdBy', 'name email');
+    await task.populate('labels', 'name color');
+
+    await recordActivity({
+      actor: req.user.id,
+      entityType: 'task',
+      entityId: task._id,
+      action: 'created',
+      meta: { title: task.title, issueKey: task.issueKey, status: task.status, parent: task.parent },
+      organization: organizationId,
+      project,
+      board: boardDoc,
+      task,
+    });
+
+    await publishEvent({
+      type: 'task.created',
+      actor: req.user.id,
+      project,
+      boards: [boardDoc],
+      task,
+      payload: { task },
+    });
 
    // ✅ PUSH: notify assignees on task creation
 try {
@@ -168,7 +329,7 @@ try {
 } catch (pushErr) {
   console.error("Push error (createTask):", pushErr?.message || pushErr);
 }
-    res.json(task);
+    res.json(withWipWarning(task, wip.warning));
   } catch (err) {
     console.error(err.message);
     res.status(500).send('Server error');
@@ -181,12 +342,19 @@ try {
 export const updateTask = async (req, res) => {
   try {
     // Handle both JSON and FormData
-    let { title, description, comments, assignedTo, board: newBoardId, priority, dueDate } = req.body;
+    let { title, description, comments, status, assignedTo, board: newBoardId, priority, dueDate, labels, sprint, storyPoints, estimateHours } = req.body;
 
     // Ensure assignedTo is an array if provided
     if (assignedTo !== undefined && !Array.isArray(assignedTo)) {
       assignedTo = assignedTo ? [assignedTo] : [];
     }
+    labels = parseLabelIds(labels);
+
+    if (storyPoints !== undefined) storyPoints = parseEstimate(storyPoints);
+    if (estimateHours !== undefined) estimateHours = parseEstimate(estimateHours);
+    if (Number.isNaN(storyPoints) || Number.isNaN(estimateHours)) {
+      return res.status(400).json({ msg: 'Estimates must be non-negative numbers' });
+    }
 
     // Populate task with assignedTo and createdBy
     let task = await Task.findById(req.params.id)
@@ -242,29 +410,42 @@ const oldAssigned = (task.assignedTo || []).map((u) => String(u._id || u));
       title === undefined && 
       description === undefined && 
       comments === undefined && 
-      // status === undefined && 
-      assignedTo === undefined;
+      assignedTo === undefined &&
+      labels === undefined &&
+      sprint === undefined &&
+      storyPoints === undefined &&
+      estimateHours === undefined;
 
     // Check if only comments are being changed
     const isOnlyCommentChange = comments !== undefined && 
       title === undefined && 
       description === undefined && 
+      status === undefined &&
       assignedTo === undefined &&
       newBoardId === undefined &&
       priority === undefined &&
-      dueDate === undefined;
+      dueDate === undefined &&
+      labels === undefined &&
+      sprint === undefined &&
+      storyPoints === undefined &&
+      estimateHours === undefined;
 
     // Check if only status is being changed (drag and drop)
-    // const isOnlyStatusChange = status !== undefined && 
-    //   status !== task.status &&
-    //   title === undefined && 
-    //   description === undefined && 
-    //   comments === undefined && 
-    //   assignedTo === undefined &&
-    //   newBoardId === undefined;
+    const isOnlyStatusChange = status !== undefined && 
+      title === undefined && 
+      description === undefined && 
+      comments === undefined && 
+      assignedTo === undefined &&
+      newBoardId === undefined &&
+      priority === undefined &&
+      dueDate === undefined &&
+      labels === undefined &&
+      sprint === undefined &&
+      storyPoints === undefined &&
+      estimateHours === undefined;
 
     // If only moving between boards, updating status, or updating comments, any project member can do it
-    if (isOnlyBoardChange || isOnlyCommentChange) {
+    if (isOnlyBoardChange || isOnlyStatusChange || isOnlyCommentChange) {
       // Allow if user is project member or org admin/owner
       if (!isProjectMember && user.role !== 'owner' && user.role !== 'admin') {
         return res.status(403).json({ msg: 'You must be a project member to update this task' });
@@ -284,6 +465,7 @@ const oldAssigned = (task.assignedTo || []).map((u) => String(u._id || u));
     }
 
     // If board is being changed, validate new board is in same project
+    let targetBoard = currentBoard;
     if (newBoardId !== undefined && newBoardId !== (task.board._id || task.board).toString()) {
       const newBoard = await Board.findById(newBoardId).populate('project');
       if (!newBoard) {
@@ -304,6 +486,23 @@ const oldAssigned = (task.assignedTo || []).map((u) => String(u._id || u));
           msg: 'Cannot move task to a board in a different project' 
         });
       }
+
+      targetBoard = newBoard;
+    }
+
+    // Validate status against the (target) board's columns. A task moved to
+    // another board keeps its status if that board has the same column,
+    // otherwise it lands in the entry column.
+    await ensureBoardColumns(targetBoard);
+    let newStatus;
+    if (status !== undefined) {
+      const column = findColumn(targetBoard, status);
+      if (!column) {
+        return res.status(400).json({ msg: 'Status must be one of the board columns' });
+      }
+      newStatus = column.name;
+    } else if (targetBoard !== currentBoard) {
+      newStatus = (findColumn(targetBoard, task.status) || getEntryColumn(targetBoard)).name;
     }
 
     // Validate assigned users are project members (and in same org)
@@ -320,15 +519,66 @@ const oldAssigned = (task.assignedTo || []).map((u) => String(u._id || u));
       }
     }
 
+    if (labels !== undefined && !(await areProjectLabels(labels, project._id))) {
+      return res.status(400).json({ msg: 'All labels must belong to the project' });
+    }
+
+    if (sprint) {
+      const sprintCheck = await validateSprintAssignment(sprint, project._id);
+      if (sprintCheck.error) {
+        return res.status(sprintCheck.error.status).json({ msg: sprintCheck.error.msg });
+      }
+    }
+
+    // Changing column counts against the target column's WIP limit (checked
+    // last: it records an override when one is used)
+    const boardChanged = targetBoard !== currentBoard;
+    const columnChanged = boardChanged || (newStatus !== undefined && newStatus !== task.status);
+    let wipWarning = null;
+    if (columnChanged) {
+      const wip = await enforceWipLimit({
+        board: targetBoard,
+        status: newStatus || task.status,
+        taskId: task._id,
+        userId: req.user.id,
+        override: req.body.overrideWip,
+        canOverride: isAdminOrOwner(user, organization),
+      });
+      if (wip.blocked) {
+        return res.status(409).json(wip.blocked);
+      }
+      wipWarning = wip.warning;
+    }
+
     const updateData = {};
     if (title !== undefined) updateData.title = title;
     if (description !== undefined) updateData.description = description;
     if (comments !== undefined) updateData.comments = comments;
-    // if (status !== undefined) updateData.status = status;
+    if (newStatus !== undefined) updateData.status = newStatus;
     if (assignedTo !== undefined) updateData.assignedTo = assignedTo;
     if (newBoardId !== undefined) updateData.board = newBoardId;
     if (priority !== undefined) updateData.priority = priority;
     if (dueDate !== undefined) updateData.dueDate = dueDate || null;  
+    if (labels !== undefined) updateData.labels = labels;
+    if (sprint !== undefined) updateData.sprint = sprint || null;
+    if (storyPoints !== undefined) updateData.storyPoints = storyPoints;
+    if (estimateHours !== undefined) updateData.estimateHours = estimateHours;
+
+    // Card changed column: append it to the end of the new column
+    const update = { $set: updateData };
+    if (columnChanged) {
+      const targetColumn = findColumn(targetBoard, updateData.status || task.status);
+      updateData.rank = await getRankAtEnd(targetBoard._id, targetColumn.name, task._id);
+      Object.assign(updateData, statusTimestamps(task, targetColumn));
+      update.$push = {
+        statusHistory: statusTransition({
+          from: task.status,
+          board: targetBoard,
+          column: targetColumn,
+          by: req.user.id,
+        }),
+      };
+    }
     
     // Handle file upload/update
     if (req.file) {
@@ -356,23 +606,57 @@ const oldAssigned = (task.assignedTo || []).map((u) => String(u._id || u));
       updateData.attachment = null;
     }
 
+    const previous = task;
     task = await Task.findByIdAndUpdate(
       req.params.id,
-      { $set: updateData },
+      update,
       { new: true }
     )
       .populate('assignedTo', 'name email')
-      .populate('createdBy', 'name email');
+      .populate('createdBy', 'name email')
+      .populate('labels', 'name color');
+
+    await recordActivity({
+      actor: req.user.id,
+      entityType: 'task',
+      entityId: task._id,
+      action: 'updated',
+      changes: diffFields(
+        previous,
+        task,
+        Object.keys(updateData).filter((k) => k !== 'comments' && k !== 'rank')
+      ),
+      organization: organizationId,
+      project,
+      board: task.board,
+      task,
+    });
+
+    await publishEvent({
+      type: columnChanged ? 'task.moved' : 'task.updated',
+      actor: req.user.id,
+      project,
+      boards: [currentBoard, task.board],
+      task,
+      payload: {
+        task,
+        previousBoard: currentBoard._id,
+        previousStatus: previous.status,
+      },
+    });
 
     const boardId = String(task.board?._id || task.board);
     const newAssigned = (task.assignedTo || []).map((u) => String(u._id || u));
     const updaterId = String(req.user.id);
+    const newlyAdded = newAssigned.filter((id) => !oldAssigned.includes(id));
 
-    // ✅ PUSH: notify newly assigned users + existing assignees when task content changed
+    // New assignees start watching the task
+    await addWatchers(task, newlyAdded);
+
+    // ✅ PUSH: notify newly assigned users + watchers when task content changed
     try {
       // 1) "Task Assigned" — only to newly added assignees
       if (assignedTo !== undefined) {
-        const newlyAdded = newAssigned.filter((id) => !oldAssigned.includes(id));
         const notifyUsers = newlyAdded.filter((id) => id !== updaterId);
 
         console.log('Push (updateTask):', {
@@ -400,41 +684,64 @@ const oldAssigned = (task.assignedTo || []).map((u) => String(u._id || u));
         );
       }
 
-      // 2) Notify existing assignees: "Task status updated" when only board moved (drag), else "Task updated"
+      // 2) Notify watchers (new assignees already got "Task Assigned"): the most
+      // specific of due date change, attachment upload, move or plain update
       const contentChanged = Object.keys(updateData).some((k) => k !== 'assignedTo');
-      if (contentChanged && newAssigned.length > 0) {
-        const existingAssignees = newAssigned.filter((id) => oldAssigned.includes(id));
-        const notifyForUpdate = existingAssignees.filter((id) => id !== updaterId);
-
-        const onlyBoardChange = Object.keys(updateData).filter((k) => k !== 'assignedTo').length === 1 && updateData.board !== undefined;
+      if (contentChanged) {
+        const onlyBoardChange = Object.keys(updateData)
+          .filter((k) => k !== 'assignedTo')
+          .every((k) => k === 'board' || k === 'status');
+        const dueDateChanged = diffFields(previous, task, ['dueDate']).length > 0;
+
+        let notification;
+        if (dueDateChanged) {
+          notification = {
+            type: "DUE_DATE_CHANGED",
+            title: "Due date changed",
+            body: task.dueDate
+              ? `"${task.title}" is now due ${task.dueDate.toISOString().slice(0, 10)}`
+              : `"${task.title}" no longer has a due date`,
+            data: { dueDate: task.dueDate ? task.dueDate.toISOString() : null },
+          };
+        } else if (req.file) {
+          notification = {
+            type: "ATTACHMENT_ADDED",
+            title: "Attachment added",
+            body: `A file was attached to "${task.title}"`,
+          };
+        } else {
+          notification = {
+            type: onlyBoardChange ? "TASK_STATUS_UPDATED" : "TASK_UPDATED",
+            title: onlyBoardChange ? "Task status updated" : "Task updated",
+            body: onlyBoardChange ? `"${task.title}" was moved` : `"${task.title}" was updated`,
+          };
+        }
 
-        await Promise.all(
-          notifyForUpdate.map((uid) =>
-            sendPushToUser({
-              userId: uid,
-              title: onlyBoardChange ? "Task status updated" : "Task updated",
-              body: onlyBoardChange ? `"${task.title}" was moved` : `"${task.title}" was updated`,
-              link: `/boards/${boardId}?task=${task._id}`,
-              data: {
-                type: onlyBoardChange ? "TASK_STATUS_UPDATED" : "TASK_UPDATED",
-                taskId: String(task._id),
-                boardId,
-              },
-            })
-          )
-        );
+        await notifyWatchers({ task, project, actorId: updaterId, exclude: newlyAdded, ...notification });
       }
     } catch (pushErr) {
       console.error("Push error (updateTask):", pushErr?.message || pushErr);
     }
 
-    res.json(task);
+    res.json(withWipWarning(task, wipWarning));
   } catch (err) {
     console.error(err.message);
     res.status(500).send('Server error');
   }
 };
 
+// ✅ PUSH: notify watchers that status changed, except the person who moved it (never fails the request)
+const notifyStatusChange = (task, project, status, updaterId) =>
+  notifyWatchers({
+    task,
+    project,
+    actorId: updaterId,
+    type: "STATUS_CHANGED",
+    title: "Task Status Updated",
+    body: `"${task.title}" moved to ${status}`,
+    data: { status },
+  });
+
 /**
  * Update task status (any project member can update status)
  */
@@ -473,51 +780,220 @@ export const updateTaskStatus = async (req, res) => {
       return res.status(403).json({ msg: "Access denied" });
     }
 
+    // Status must be one of the board's columns
+    await ensureBoardColumns(board);
+    const column = findColumn(board, status);
+    if (!column) {
+      return res.status(400).json({ msg: "Status must be one of the board columns" });
+    }
+
+    const previousStatus = task.status;
+    const update = { status: column.name };
+    let wipWarning = null;
+    if (column.name !== task.status) {
+      const organization = await Organization.findById(user.organization).populate("owner", "_id");
+      const wip = await enforceWipLimit({
+        board,
+        status: column.name,
+        taskId: task._id,
+        userId: req.user.id,
+        override: req.body.overrideWip,
+        canOverride: isAdminOrOwner(user, organization),
+      });
+      if (wip.blocked) {
+        return res.status(409).json(wip.blocked);
+      }
+      wipWarning = wip.warning;
+
+      update.rank = await getRankAtEnd(board._id, column.name, task._id);
+      Object.assign(update, statusTimestamps(task, column));
+    }
+
     // Any project member can update task status
     task = await Task.findByIdAndUpdate(
       req.params.id,
-      { $set: { status } },
+      column.name !== previousStatus
+        ? {
+          $set: update,
+          $push: { statusHistory: statusTransition({ from: previousStatus, board, column, by: req.user.id }) },
+        }
+        : { $set: update },
       { new: true }
     )
       .populate("assignedTo", "name email")
-      .populate("createdBy", "name email");
+      .populate("createdBy", "name email")
+      .populate("labels", "name color");
+
+    await recordActivity({
+      actor: req.user.id,
+      entityType: "task",
+      entityId: task._id,
+      action: "updated",
+      changes: diffFields({ status: previousStatus }, task, ["status"]),
+      organization: project.organization,
+      project,
+      board,
+      task,
+    });
 
-    // ✅ PUSH: notify assignees that status changed (before res.json)
-    try {
-      const updaterId = String(req.user.id);
-      const assignees = (task.assignedTo || []).map((u) => String(u._id || u));
-
-      // optional: don't notify the person who moved it
-      const notifyUsers = assignees.filter((id) => id !== updaterId);
-
-      await Promise.all(
-        notifyUsers.map((uid) =>
-          sendPushToUser({
-            userId: uid,
-            title: "Task Status Updated",
-            body: `"${task.title}" moved to ${status}`,
-            link: `/boards/${task.board}?task=${task._id}`,
-            data: {
-              type: "STATUS_CHANGED",
-              taskId: String(task._id),
-              boardId: String(task.board),
-              status: String(status),
-            },
-          })
-        )
-      );
-    } catch (pushErr) {
-      // don't fail the API if push fails
-      console.error("Push error (status update):", pushErr?.message || pushErr);
-    }
+    await publishEvent({
+      type: 'task.moved',
+      actor: req.user.id,
+      project,
+      boards: [board],
+      task,
+      payload: { task, previousStatus },
+    });
 
-    return res.json(task);
+    await notifyStatusChange(task, project, column.name, req.user.id);
+
+    return res.json(withWipWarning(task, wipWarning));
   } catch (err) {
     console.error(err.message);
     return res.status(500).json({ msg: "Server error" });
   }
 };
 
+/**
+ * Move a card (drag and drop). Body:
+ *   status   - target column (id or name), defaults to the current column
+ *   beforeId - card that ends up directly above the moved card (optional)
+ *   afterId  - card that ends up directly below the moved card (optional)
+ * Only the moved card is written, unless its new rank is long enough that
+ * the column gets rebalanced.
+ */
+export const moveTask = async (req, res) => {
+  try {
+    const { status, beforeId, afterId } = req.body || {};
+
+    const context = await loadTaskContext(req.params.id, req.user.id);
+    if (context.error) return sendAccessError(res, context);
+
+    const { board } = context;
+    let { task } = context;
+
+    await ensureBoardColumns(board);
+    const column = status !== undefined && status !== null && status !== ''
+      ? findColumn(board, status)
+      : findColumn(board, task.status) || getEntryColumn(board);
+    if (!column) {
+      return res.status(400).json({ msg: 'Status must be one of the board columns' });
+    }
+
+    if ([beforeId, afterId].some((id) => id && String(id) === String(task._id))) {
+      return res.status(400).json({ msg: 'A card cannot be its own neighbour' });
+    }
+
+    // Legacy columns get ranks before we insert between neighbours
+    await ensureColumnRanks(board._id, column.name);
+
+    const loadNeighbour = async (id) => {
+      if (!id) return null;
+      if (!mongoose.Types.ObjectId.isValid(id)) return undefined;
+      const neighbour = await Task.findOne({ _id: id, board: board._id, status: column.name }).select('rank');
+      return neighbour || undefined;
+    };
+
+    const [before, after] = await Promise.all([loadNeighbour(beforeId), loadNeighbour(afterId)]);
+    if (before === undefined || after === undefined) {
+      return res.status(400).json({ msg: 'Neighbour cards must be in the target column' });
+    }
+
+    let beforeRank = before?.rank || null;
+    let afterRank = after?.rank || null;
+
+    // Only one neighbour given: the other side is whatever sits next to it now
+    if (before && !after) {
+      const next = await Task.findOne({ board: board._id, status: column.name, rank: { $gt: beforeRank }, _id: { $ne: task._id } })
+        .sort({ rank: 1 }).select('rank').lean();
+      afterRank = next?.rank || null;
+    } else if (after && !before) {
+      const prev = await Task.findOne({ board: board._id, status: column.name, rank: { $lt: afterRank }, _id: { $ne: task._id } })
+        .sort({ rank: -1 }).select('rank').lean();
+      beforeRank = prev?.rank || null;
+    } else if (!before && !after) {
+      // Dropped into an empty spot: end of the column
+      const last = await Task.findOne({ board: board._id, status: column.name, _id: { $ne: task._id } })
+        .sort({ rank: -1 }).select('rank').lean();
+      beforeRank = last?.rank || null;
+    }
+
+    if (beforeRank && afterRank && beforeRank >= afterRank) {
+      return res.status(409).json({ msg: 'Card order is out of date. Reload the board and try again.' });
+    }
+
+    // WIP limit only matters when the card changes column
+    let wipWarning = null;
+    if (column.name !== task.status) {
+      const wip = await enforceWipLimit({
+        board,
+        status: column.name,
+        taskId: task._id,
+        userId: req.user.id,
+        override: req.body.overrideWip,
+        canOverride: context.isOrgAdmin,
+      });
+      if (wip.blocked) {
+        return res.status(409).json(wip.blocked);
+      }
+      wipWarning = wip.warning;
+    }
+
+    const previousStatus = task.status;
+    const rank = rankBetween(beforeRank, afterRank);
+
+    const update = { $set: { status: column.name, rank } };
+    if (column.name !== previousStatus) {
+      Object.assign(update.$set, statusTimestamps(task, column));
+      update.$push = {
+        statusHistory: statusTransition({ from: previousStatus, board, column, by: req.user.id }),
+      };
+    }
+
+    task = await Task.findByIdAndUpdate(task._id, update, { new: true })
+      .populate('assignedTo', 'name email')
+      .populate('createdBy', 'name email')
+      .populate('labels', 'name color');
+
+    // Ranks got too dense around this spot: respread the whole column
+    if (rank.length > MAX_RANK_LENGTH) {
+      const ranks = await rebalanceColumn(board._id, column.name);
+      task.rank = ranks.find((r) => r._id.toString() === task._id.toString())?.rank || task.rank;
+    }
+
+    await recordActivity({
+      actor: req.user.id,
+      entityType: 'task',
+      entityId: task._id,
+      action: 'moved',
+      changes: diffFields({ status: previousStatus }, task, ['status']),
+      meta: { beforeId: beforeId || null, afterId: afterId || null },
+      organization: context.organization,
+      project: context.project,
+      board,
+      task,
+    });
+
+    await publishEvent({
+      type: 'task.moved',
+      actor: req.user.id,
+      project: context.project,
+      boards: [board],
+      task,
+      payload: { task, previousStatus, beforeId: beforeId || null, afterId: afterId || null },
+    });
+
+    if (previousStatus !== column.name) {
+      await notifyStatusChange(task, context.project, column.name, req.user.id);
+    }
+
+    res.json(withWipWarning(task, wipWarning));
+  } catch (err) {
+    console.error(err.message);
+    res.status(500).json({ msg: 'Server error' });
+  }
+};
+
 /**
  * Delete task (only admin/owner can delete)
  */
@@ -587,6 +1063,31 @@ export const deleteTask = async (req, res) => {
     }
 
     await Task.findByIdAndDelete(req.params.id);
+
+    // Subtasks of a deleted task become regular tasks
+    await Task.updateMany({ parent: task._id }, { $set: { parent: null } });
+
+    await recordActivity({
+      actor: req.user.id,
+      entityType: 'task',
+      entityId: task._id,
+      action: 'deleted',
+      meta: { title: task.title, status: task.status },
+      organization: organizationId,
+      project,
+      board,
+      task,
+    });
+
+    await publishEvent({
+      type: 'task.deleted',
+      actor: req.user.id,
+      project,
+      boards: [board],
+      task,
+      payload: { taskId: task._id, issueKey: task.issueKey || null },
+    });
+
     res.json({ msg: 'Task removed' });
   } catch (err) {
     console.error(err.message);
@@ -0,0 +1,238 @@
+import bcrypt from 'bcryptjs';
+import User from '../models/user.model.js';
+import Organization from '../models/organization.model.js';
+import { authUserResponse, createSession } from '../utils/authTokens.js';
+import { isTwoFactorRequired } from '../utils/permissions.js';
+import {
+  CHALLENGE_PURPOSES,
+  TWO_FACTOR_FIELDS,
+  confirmEnrollment,
+  clearTwoFactor,
+  replaceRecoveryCodes,
+  startEnrollment,
+  verifyChallengeToken,
+  verifySecondFactor,
+} from '../utils/twoFactor.js';
+import {
+  checkAttempts,
+  clearAttempts,
+  recordFailedAttempt,
+  sendThrottled,
+  twoFactorKeys,
+} from '../utils/loginThrottle.js';
+
+const INVALID_CODE_MSG = 'Invalid two-factor code';
+const INVALID_CHALLENGE_MSG = 'Login challenge is invalid or has expired. Please log in again.';
+
+const loadUserWithTwoFactor = (userId) => User.findById(userId).select(TWO_FACTOR_FIELDS);
+
+const loadOrganization = (user) => Organization.findById(user.organization).populate('owner', '_id');
+
+/**
+ * Two-factor status of the caller
+ */
+export const getTwoFactorStatus = async (req, res) => {
+  try {
+    const user = await loadUserWithTwoFactor(req.user.id);
+    const organization = await loadOrganization(user);
+
+    res.json({
+      enabled: !!user.twoFactor?.enabled,
+      enabledAt: user.twoFactor?.enabledAt || null,
+      recoveryCodesLeft: user.twoFactor?.enabled ? (user.twoFactor.recoveryCodes || []).length : 0,
+      required: isTwoFactorRequired(user, organization),
+    });
+  } catch (err) {
+    console.error(err.message);
+    res.status(500).json({ msg: 'Server error' });
+  }
+};
+
+/**
+ * Start enrolment. Returns { secret, otpauthUrl }; the client shows the URI
+ * as a QR code and then confirms with POST /2fa/enable.
+ */
+export const setupTwoFactor = async (req, res) => {
+  try {
+    const user = await User.findById(req.user.id);
+    if (user.twoFactor?.enabled) {
+      return res.status(400).json({ msg: 'Two-factor authentication is already enabled' });
+    }
+
+    res.json(await startEnrollment(user));
+  } catch (err) {
+    console.error(err.message);
+    res.status(500).json({ msg: 'Server error' });
+  }
+};
+
+/**
+ * Confirm enrolment with a code. Body: { code }.
+ * Returns the recovery codes; they are shown only this once.
+ */
+export const enableTwoFactor = async (req, res) => {
+  try {
+    const user = await loadUserWithTwoFactor(req.user.id);
+    if (user.twoFactor?.enabled) {
+      return res.status(400).json({ msg: 'Two-factor authentication is already enabled' });
+    }
+
+    const recoveryCodes = await confirmEnrollment(user, req.body?.code);
+    if (!recoveryCodes) {
+      return res.status(400).json({ msg: INVALID_CODE_MSG });
+    }
+
+    res.json({ enabled: true, recoveryCodes });
+  } catch (err) {
+    console.error(err.message);
+    res.status(500).json({ msg: 'Server error' });
+  }
+};
+
+/**
+ * Turn 2FA off. Body: { password, code | recoveryCode }.
+ * Not allowed while the organization requires 2FA for the caller's role.
+ */
+export const disableTwoFactor = async (req, res) => {
+  try {
+    const { password, code, recoveryCode } = req.body || {};
+
+    if (!password) {
+      return res.status(400).json({ msg: 'Password is required' });
+    }
+
+    const user = await loadUserWithTwoFactor(req.user.id);
+    if (!user.twoFactor?.enabled) {
+      return res.status(400).json({ msg: 'Two-factor authentication is not enabled' });
+    }
+
+    const organization = await loadOrganization(user);
+    if (isTwoFactorRequired(user, organization)) {
+      return res.status(403).json({ msg: 'Your organization requires two-factor authentication' });
+    }
+
+    const isMatch = await bcrypt.compare(password, user.password);
+    if (!isMatch) {
+      return res.status(400).json({ msg: 'Password is incorrect' });
+    }
+
+    if (!(await verifySecondFactor(user, { code, recoveryCode }))) {
+      return res.status(400).json({ msg: INVALID_CODE_MSG });
+    }
+
+    await clearTwoFactor(user);
+    res.json({ enabled: false });
+  } catch (err) {
+    console.error(err.message);
+    res.status(500).json({ msg: 'Server error' });
+  }
+};
+
+/**
+ * Replace the recovery codes. Body: { code }
+ */
+export const regenerateRecoveryCodes = async (req, res) => {
+  try {
+    const user = await loadUserWithTwoFactor(req.user.id);
+    if (!user.twoFactor?.enabled) {
+      return res.status(400).json({ msg: 'Two-factor authentication is not enabled' });
+    }
+
+    if (!(await verifySecondFactor(user, { code: req.body?.code }))) {
+      return res.status(400).json({ msg: INVALID_CODE_MSG });
+    }
+
+    res.json({ recoveryCodes: await replaceRecoveryCodes(user) });
+  } catch (err) {
+    console.error(err.message);
+    res.status(500).json({ msg: 'Server error' });
+  }
+};
+
+/**
+ * Second login step. Body: { challengeToken, code | recoveryCode }
+ */
+export const verifyTwoFactorLogin = async (req, res) => {
+  try {
+    const { challengeToken, code, recoveryCode } = req.body || {};
+
+    const user = await verifyChallengeToken(challengeToken, CHALLENGE_PURPOSES.LOGIN);
+    if (!user) {
+      return res.status(401).json({ msg: INVALID_CHALLENGE_MSG });
+    }
+
+    const keys = twoFactorKeys({ userId: user._id, ip: req.ip });
+    const blocked = await checkAttempts(keys);
+    if (blocked) return sendThrottled(res, blocked);
+
+    const method = await verifySecondFactor(user, { code, recoveryCode });
+    if (!method) {
+      await recordFailedAttempt(keys);
+      return res.status(400).json({ msg: INVALID_CODE_MSG });
+    }
+
+    // The user's count only; the IP's count decays on its own
+    await clearAttempts([keys[0]]);
+    const session = await createSession(user, req);
+    res.json({
+      ...session,
+      user: authUserResponse(user),
+      ...(method === 'recovery' && {
+        recoveryCodesLeft: (user.twoFactor.recoveryCodes || []).length - 1,
+      }),
+    });
+  } catch (err) {
+    console.error(err.message);
+    res.status(500).json({ msg: 'Server error' });
+  }
+};
+
+/**
+ * Enrolment during login, when the organization requires 2FA.
+ * Body: { challengeToken }. Returns { secret, otpauthUrl }.
+ */
+export const setupTwoFactorLogin = async (req, res) => {
+  try {
+    const user = await verifyChallengeToken(req.body?.challengeToken, CHALLENGE_PURPOSES.SETUP);
+    if (!user || user.twoFactor?.enabled) {
+      return res.status(401).json({ msg: INVALID_CHALLENGE_MSG });
+    }
+
+    res.json(await startEnrollment(user));
+  } catch (err) {
+    console.error(err.message);
+    res.status(500).json({ msg: 'Server error' });
+  }
+};
+
+/**
+ * Confirm enrolment during login and start the session.
+ * Body: { challengeToken, code }. Returns the session and recovery codes.
+ */
+export const enableTwoFactorLogin = async (req, res) => {
+  try {
+    const { challengeToken, code } = req.body || {};
+
+    const user = await verifyChallengeToken(challengeToken, CHALLENGE_PURPOSES.SETUP);
+    if (!user || user.twoFactor?.enabled) {
+      return res.status(401).json({ msg: INVALID_CHALLENGE_MSG });
+    }
+
+    const keys = twoFactorKeys({ userId: user._id, ip: req.ip });
+    const blocked = await checkAttempts(keys);
+    if (blocked) return sendThrottled(res, blocked);
+
+    const recoveryCodes = await confirmEnrollment(user, code);
+    if (!recoveryCodes) {
+      await recordFailedAttempt(keys);
+      return res.status(400).json({ msg: INVALID_CODE_MSG });
+    }
+
+    await clearAttempts([keys[0]]);
+    const session = await createSession(user, req);
+    res.json({ ...session, user: authUserResponse(user), recoveryCodes });
+  } catch (err) {
+    console.error(err.message);
+    res.status(500).json({ msg: 'Server error' });
+  }
+};
@@ -3,7 +3,16 @@ import jwt from 'jsonwebtoken';
 import crypto from 'crypto';
 import dotenv from 'dotenv';
 import User from '../models/user.model.js';
+import Organization from '../models/organization.model.js';
 import { sendUserInvitation } from '../utils/emailService.js';
+import {
+  checkAttempts,
+  clearLoginFailures,
+  loginKeys,
+  recordLoginFailure,
+  sendThrottled,
+} from '../utils/loginThrottle.js';
+import { isPasswordLoginAllowed } from '../utils/sso.js';
 
 dotenv.config();
 
@@ -122,11 +131,25 @@ export const getUserById = async (req, res) => {
 export const loginUser = async (req, res) => {
   try {
     const { email, password } = req.body;
+
+    const blocked = await checkAttempts(loginKeys({ email, ip: req.ip }));
+    if (blocked) return sendThrottled(res, blocked);
+
     const userExists = await User.findOne({ email });
 
-    if (!userExists) return res.status(400).json({ msg: 'Email not Registered' });
+    if (!userExists) {
+      await recordLoginFailure({ email, ip: req.ip });
+      return res.status(400).json({ msg: 'Email not Registered' });
+    }
 
     if (await bcrypt.compare(password, userExists.password)) {
+      await clearLoginFailures(email);
+
+      const organization = await Organization.findById(userExists.organization).select('owner sso');
+      if (!isPasswordLoginAllowed(userExists, organization)) {
+        return res.status(403).json({ msg: 'Your organization signs in with single sign-on', ssoRequired: true });
+      }
+
       const payload = { _id: userExists._id };
       const expireTime = process.env.JWT_EXPIRE_TIME;
       const tokenHeader = process.env.JWT_TOKEN_HEADER;
@@ -135,6 +158,7 @@ export const loginUser = async (req, res) => {
       res.header(tokenHeader, token);
       return res.status(200).json({ success: 'Login Successful', token });
     }
+    await recordLoginFailure({ email, ip: req.ip });
     return res.status(400).json({ msg: 'Invalid Password' });
   } catch (err) {
     console.log(err);
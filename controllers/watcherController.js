@@ -0,0 +1,58 @@
+import Task from '../models/task.model.js';
+import User from '../models/user.model.js';
+import { loadTaskContext, sendAccessError } from '../utils/access.js';
+import { addWatchers, getWatcherIds, isWatching, removeWatcher } from '../utils/watchers.js';
+
+// Watchers of a task and whether the caller is one of them
+const watchersResponse = async (taskId, userId) => {
+  const task = await Task.findById(taskId).select('createdBy assignedTo watchers');
+  const watchers = await User.find({ _id: { $in: getWatcherIds(task) } }).select('name email');
+  return { watchers, watching: isWatching(task, userId) };
+};
+
+/**
+ * Get watchers of a task (any project member)
+ */
+export const getWatchers = async (req, res) => {
+  try {
+    const context = await loadTaskContext(req.params.id, req.user.id);
+    if (context.error) return sendAccessError(res, context);
+
+    res.json(await watchersResponse(context.task._id, req.user.id));
+  } catch (err) {
+    console.error(err.message);
+    res.status(500).json({ msg: 'Server error' });
+  }
+};
+
+/**
+ * Watch a task (any project member)
+ */
+export const watchTask = async (req, res) => {
+  try {
+    const context = await loadTaskContext(req.params.id, req.user.id);
+    if (context.error) return sendAccessError(res, context);
+
+    await addWatchers(context.task, [req.user.id]);
+    res.json(await watchersResponse(context.task._id, req.user.id));
+  } catch (err) {
+    console.error(err.message);
+    res.status(500).json({ msg: 'Server error' });
+  }
+};
+
+/**
+ * Stop watching a task
+ */
+export const unwatchTask = async (req, res) => {
+  try {
+    const context = await loadTaskContext(req.params.id, req.user.id);
+    if (context.error) return sendAccessError(res, context);
+
+    await removeWatcher(context.task, req.user.id);
+    res.json(await watchersResponse(context.task._id, req.user.id));
+  } catch (err) {
+    console.error(err.message);
+    res.status(500).json({ msg: 'Server error' });
+  }
+};
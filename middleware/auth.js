@@ -1,7 +1,10 @@
 import jwt from 'jsonwebtoken';
 import User from '../models/user.model.js';
+import { getJwtSecret } from '../utils/authTokens.js';
+import { authenticateApiToken, isAllowedByScopes, isApiToken } from '../utils/apiTokens.js';
 
-// Verify JWT token
+// Verify JWT token, or personal access token / service key (req.apiToken is
+// set for the latter)
 const auth = async (req, res, next) => {
   try {
     let token;
@@ -14,12 +17,37 @@ const auth = async (req, res, next) => {
       return res.status(401).json({ message: 'Not authorized' });
     }
 
-    const decoded = jwt.verify(token, process.env.JWT_SECRET || 'your_jwt_secret');
+    if (isApiToken(token)) {
+      const result = await authenticateApiToken(token, req);
+      if (!result) {
+        return res.status(401).json({ message: 'Not authorized' });
+      }
+      if (!isAllowedByScopes(result.apiToken.scopes, req)) {
+        return res.status(403).json({ message: 'Token scope does not allow this request' });
+      }
+      req.user = result.user;
+      req.apiToken = result.apiToken;
+      return next();
+    }
+
+    const decoded = jwt.verify(token, getJwtSecret());
+
+    // Stream tickets and login challenge tokens are not access tokens
+    if (decoded.purpose) {
+      return res.status(401).json({ message: 'Not authorized' });
+    }
+
     const userId = decoded?.user?.id || decoded?.id;
     req.user = await User.findById(userId).select('-password');
 
+    // Deleted user, or token issued before "log out everywhere"
+    if (!req.user || (decoded.ver || 0) !== (req.user.tokenVersion || 0)) {
+      return res.status(401).json({ message: 'Not authorized' });
+    }
+
     next();
   } catch (error) {
+    if (error.message === 'JWT_SECRET is not set') console.error(error.message);
     res.status(401).json({ message: 'Not authorized' });
   }
 };
@@ -33,5 +61,14 @@ const admin = (req, res, next) => {
   }
 };
 
-export { admin };
+// Rejects personal access tokens and service keys: for routes that manage
+// the account itself (password, 2FA, sessions, tokens)
+const sessionOnly = (req, res, next) => {
+  if (req.apiToken) {
+    return res.status(403).json({ message: 'This request needs a login session, not an API token' });
+  }
+  next();
+};
+
+export { admin, sessionOnly };
 export default auth;
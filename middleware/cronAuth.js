@@ -0,0 +1,23 @@
+import crypto from 'crypto';
+
+// Scheduled jobs authenticate with `Authorization: Bearer <CRON_SECRET>`
+// (what Vercel Cron sends when CRON_SECRET is set)
+const cronAuth = (req, res, next) => {
+  const secret = process.env.CRON_SECRET;
+  if (!secret) {
+    return res.status(503).json({ msg: 'Cron endpoints are not configured' });
+  }
+
+  const header = req.headers.authorization || '';
+  const token = header.startsWith('Bearer ') ? header.slice(7) : '';
+
+  const expected = Buffer.from(secret);
+  const given = Buffer.from(token);
+  if (given.length !== expected.length || !crypto.timingSafeEqual(given, expected)) {
+    return res.status(401).json({ msg: 'Not authorized' });
+  }
+
+  next();
+};
+
+export default cronAuth;
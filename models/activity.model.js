@@ -0,0 +1,70 @@
+import mongoose from 'mongoose';
+
+const changeSchema = new mongoose.Schema({
+  field: {
+    type: String,
+    required: true,
+  },
+  from: {
+    type: mongoose.Schema.Types.Mixed,
+    default: null,
+  },
+  to: {
+    type: mongoose.Schema.Types.Mixed,
+    default: null,
+  },
+}, { _id: false });
+
+const activitySchema = new mongoose.Schema({
+  actor: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+  },
+  entityType: {
+    type: String,
+    enum: ['task', 'board', 'project', 'comment', 'membership'],
+    required: true,
+  },
+  entityId: {
+    type: mongoose.Schema.Types.ObjectId,
+    required: true,
+  },
+  // e.g. created, updated, deleted, moved, member_added
+  action: {
+    type: String,
+    required: true,
+  },
+  changes: [changeSchema],
+  // Free-form context (titles of deleted entities, column names, ...)
+  meta: {
+    type: mongoose.Schema.Types.Mixed,
+    default: {},
+  },
+  organization: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Organization',
+  },
+  project: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Project',
+  },
+  board: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Board',
+  },
+  task: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Task',
+  },
+}, {
+  timestamps: { createdAt: true, updatedAt: false },
+});
+
+// Indexes for the activity feeds
+activitySchema.index({ task: 1, createdAt: -1 });
+activitySchema.index({ project: 1, createdAt: -1 });
+activitySchema.index({ organization: 1, createdAt: -1 });
+
+const Activity = mongoose.model('Activity', activitySchema);
+export default Activity;
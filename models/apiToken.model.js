@@ -0,0 +1,73 @@
+import mongoose from 'mongoose';
+
+// Personal access token or organization service key for scripts and CI
+// (see utils/apiTokens.js). Only the SHA-256 hash of the token is stored.
+const apiTokenSchema = new mongoose.Schema({
+    name: {
+        type: String,
+        required: true,
+        trim: true,
+    },
+    // personal: belongs to `user`; service: belongs to the organization and
+    // is managed by its owners and admins
+    type: {
+        type: String,
+        enum: ['personal', 'service'],
+        default: 'personal',
+    },
+    // The account requests are made as (the creator, for service keys)
+    user: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true,
+    },
+    organization: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Organization',
+        required: true,
+    },
+    scopes: {
+        type: [{
+            type: String,
+            enum: ['read', 'tasks:write', 'admin'],
+        }],
+        default: ['read'],
+    },
+    tokenHash: {
+        type: String,
+        required: true,
+        unique: true,
+    },
+    // First characters of the token, to tell tokens apart in lists
+    prefix: {
+        type: String,
+        required: true,
+    },
+    expiresAt: {
+        type: Date,
+        default: null,
+    },
+    lastUsedAt: {
+        type: Date,
+        default: null,
+    },
+    lastUsedIp: String,
+    revokedAt: {
+        type: Date,
+        default: null,
+    },
+    revokedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        default: null,
+    },
+}, {
+    timestamps: true,
+});
+
+apiTokenSchema.index({ user: 1, type: 1, revokedAt: 1 });
+apiTokenSchema.index({ organization: 1, type: 1, revokedAt: 1 });
+
+const ApiToken = mongoose.model('ApiToken', apiTokenSchema);
+
+export default ApiToken;
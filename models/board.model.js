@@ -1,5 +1,59 @@
 import mongoose from 'mongoose';
 
+// Workflow column (task status). Order of the array is the order on the board.
+const columnSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true,
+    trim: true,
+  },
+  color: {
+    type: String,
+    default: '#64748b',
+  },
+  category: {
+    type: String,
+    enum: ['todo', 'in_progress', 'done'],
+    default: 'todo',
+  },
+  // Entry column: new tasks land here when no status is given
+  isDefault: {
+    type: Boolean,
+    default: false,
+  },
+  // Max number of tasks in the column (null = no limit)
+  wipLimit: {
+    type: Number,
+    min: 1,
+    default: null,
+  },
+});
+
+// Record of an owner/admin pushing a column past its WIP limit
+const wipOverrideSchema = new mongoose.Schema({
+  column: {
+    type: String,
+    required: true,
+  },
+  task: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Task',
+  },
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+  },
+  count: {
+    type: Number,
+  },
+  limit: {
+    type: Number,
+  },
+}, {
+  timestamps: { createdAt: true, updatedAt: false },
+});
+
 const boardSchema = new mongoose.Schema(
   {
     title: {
@@ -26,6 +80,14 @@ const boardSchema = new mongoose.Schema(
         ref: 'User',
       },
     ],
+    columns: [columnSchema],
+    // soft: moves over the limit succeed with a warning; hard: they are blocked
+    wipMode: {
+      type: String,
+      enum: ['soft', 'hard'],
+      default: 'soft',
+    },
+    wipOverrides: [wipOverrideSchema],
   },
   {
     timestamps: true,
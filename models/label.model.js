@@ -0,0 +1,32 @@
+import mongoose from 'mongoose';
+
+const labelSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true,
+    trim: true,
+    maxlength: 50,
+  },
+  color: {
+    type: String,
+    default: '#64748b',
+  },
+  project: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Project',
+    required: true,
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+  },
+}, {
+  timestamps: true,
+});
+
+// Label names are unique per project
+labelSchema.index({ project: 1, name: 1 }, { unique: true });
+
+const Label = mongoose.model('Label', labelSchema);
+export default Label;
@@ -0,0 +1,31 @@
+import mongoose from 'mongoose';
+
+// Failed login attempts per key (account email or IP address), for the Mongo
+// store of utils/loginAttemptStore.js
+const loginAttemptSchema = new mongoose.Schema({
+    key: {
+        type: String,
+        required: true,
+        unique: true,
+    },
+    failures: {
+        type: Number,
+        default: 0,
+    },
+    lastFailureAt: Date,
+    lockedUntil: {
+        type: Date,
+        default: null,
+    },
+    expiresAt: {
+        type: Date,
+        required: true,
+    },
+});
+
+// Records are removed by MongoDB once the attempts are forgotten
+loginAttemptSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+const LoginAttempt = mongoose.model('LoginAttempt', loginAttemptSchema);
+
+export default LoginAttempt;
@@ -6,11 +6,25 @@ const notificationSchema = new mongoose.Schema({
     body: { type: String, required: true },
     link: { type: String, default: '/' },
     data: { type: mongoose.Schema.Types.Mixed, default: {} },
-    isRead: { type: Boolean, default: false }
+    isRead: { type: Boolean, default: false },
+    // Set once the notification went out in an email digest
+    digestedAt: { type: Date, default: null },
+    // Hidden from the default list once archived
+    archivedAt: { type: Date, default: null },
+    // Repeated events of one type on one task collapse into one notification
+    // (see utils/notificationGroups.js)
+    groupKey: { type: String, default: null },
+    groupCount: { type: Number, default: 1 },
+    // Latest event of the notification (list order; grouping moves it up)
+    eventAt: { type: Date, default: Date.now }
 }, {
     timestamps: true
 });
 
+notificationSchema.index({ userId: 1, isRead: 1, digestedAt: 1 });
+notificationSchema.index({ userId: 1, archivedAt: 1, eventAt: -1, _id: -1 });
+notificationSchema.index({ userId: 1, groupKey: 1 }, { partialFilterExpression: { groupKey: { $type: 'string' } } });
+
 const Notification = mongoose.model('Notification', notificationSchema);
 
 export default Notification;
@@ -0,0 +1,66 @@
+import mongoose from 'mongoose';
+
+// Channel switches for one event type; unset channels use the type's default
+const channelSchema = new mongoose.Schema(
+  {
+    inApp: Boolean,
+    push: Boolean,
+    email: Boolean,
+  },
+  { _id: false }
+);
+
+const notificationPreferenceSchema = new mongoose.Schema(
+  {
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true,
+      unique: true,
+    },
+    // Event type (see utils/notificationTypes.js) -> channels
+    types: {
+      type: Map,
+      of: channelSchema,
+      default: {},
+    },
+    // Email summary of unread notifications (see utils/digestService.js)
+    digest: {
+      frequency: {
+        type: String,
+        enum: ['off', 'daily', 'weekly'],
+        default: 'off',
+      },
+      // IANA zone the hour/weekday below refer to
+      timezone: {
+        type: String,
+        default: 'UTC',
+      },
+      hour: {
+        type: Number,
+        min: 0,
+        max: 23,
+        default: 8,
+      },
+      // 0 = Sunday ... 6 = Saturday (weekly digests)
+      weekday: {
+        type: Number,
+        min: 0,
+        max: 6,
+        default: 1,
+      },
+      lastSentAt: {
+        type: Date,
+        default: null,
+      },
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+notificationPreferenceSchema.index({ 'digest.frequency': 1 });
+
+const NotificationPreference = mongoose.model('NotificationPreference', notificationPreferenceSchema);
+export default NotificationPreference;
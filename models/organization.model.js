@@ -14,12 +14,61 @@ const organizationSchema = new mongoose.Schema({
     ref: 'User',
     required: false, // Will be set after user creation during registration
   },
+  security: {
+    // Owners and admins must use two-factor authentication to log in
+    requireTwoFactor: {
+      type: Boolean,
+      default: false,
+    },
+  },
+  // Single sign-on through the organization's OpenID Connect identity
+  // provider (see utils/oidc.js)
+  sso: {
+    enabled: {
+      type: Boolean,
+      default: false,
+    },
+    protocol: {
+      type: String,
+      enum: ['oidc'],
+      default: 'oidc',
+    },
+    issuer: String,
+    clientId: String,
+    // Encrypted (utils/encryption.js)
+    clientSecret: {
+      type: String,
+      select: false,
+    },
+    // Email domains that may sign in (and be provisioned); empty allows any
+    allowedDomains: {
+      type: [String],
+      default: [],
+    },
+    // Create accounts on first sign-in
+    autoProvision: {
+      type: Boolean,
+      default: true,
+    },
+    defaultRole: {
+      type: String,
+      enum: ['member', 'manager', 'admin'],
+      default: 'member',
+    },
+    // Only SSO sign-in, except for the owner (so a broken IdP setup can
+    // still be fixed)
+    disablePasswordLogin: {
+      type: Boolean,
+      default: false,
+    },
+  },
 }, {
   timestamps: true,
 });
 
 // Indexes for faster queries
 organizationSchema.index({ owner: 1 });
+organizationSchema.index({ 'sso.allowedDomains': 1 });
 
 const Organization = mongoose.model('Organization', organizationSchema);
 export default Organization;
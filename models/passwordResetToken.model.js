@@ -0,0 +1,35 @@
+import mongoose from 'mongoose';
+
+// Single-use password reset token. Only the SHA-256 hash of the emailed token
+// is stored.
+const passwordResetTokenSchema = new mongoose.Schema({
+    user: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true,
+    },
+    tokenHash: {
+        type: String,
+        required: true,
+        unique: true,
+    },
+    expiresAt: {
+        type: Date,
+        required: true,
+    },
+    usedAt: {
+        type: Date,
+        default: null,
+    },
+    requestedByIp: String,
+}, {
+    timestamps: true,
+});
+
+passwordResetTokenSchema.index({ user: 1 });
+// Expired tokens are removed by MongoDB
+passwordResetTokenSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+const PasswordResetToken = mongoose.model('PasswordResetToken', passwordResetTokenSchema);
+
+export default PasswordResetToken;
@@ -10,6 +10,29 @@ const projectSchema = new mongoose.Schema(
     description: {
       type: String,
     },
+    // Short key used in issue keys (KAN-142), unique within the organization
+    key: {
+      type: String,
+      trim: true,
+      uppercase: true,
+    },
+    // Keys used before a rename; old issue keys still resolve
+    previousKeys: [
+      {
+        type: String,
+        uppercase: true,
+      },
+    ],
+    // Last issue number handed out (see utils/issueKeys.js)
+    issueCounter: {
+      type: Number,
+      default: 0,
+    },
+    // Hours before a task's due date at which assignees are reminded
+    reminderOffsets: {
+      type: [Number],
+      default: [24],
+    },
     organization: {
       type: mongoose.Schema.Types.ObjectId,
       ref: 'Organization',
@@ -44,6 +67,11 @@ const projectSchema = new mongoose.Schema(
 projectSchema.index({ organization: 1 });
 projectSchema.index({ 'members.user': 1 });
 projectSchema.index({ createdBy: 1 });
+projectSchema.index(
+  { organization: 1, key: 1 },
+  { unique: true, partialFilterExpression: { key: { $type: 'string' } } }
+);
+projectSchema.index({ organization: 1, previousKeys: 1 });
 
 const Project = mongoose.model('Project', projectSchema);
 export default Project;
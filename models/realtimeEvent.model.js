@@ -0,0 +1,45 @@
+import mongoose from 'mongoose';
+
+// Events pushed to realtime subscribers. Kept for a day so clients can catch
+// up after a reconnect (Last-Event-ID) or poll when streaming is unavailable.
+const realtimeEventSchema = new mongoose.Schema(
+  {
+    type: {
+      type: String,
+      required: true,
+    },
+    actor: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+    },
+    project: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Project',
+    },
+    // Boards affected; a task moved between boards concerns both
+    boards: [
+      {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Board',
+      },
+    ],
+    task: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Task',
+    },
+    payload: {
+      type: mongoose.Schema.Types.Mixed,
+      default: {},
+    },
+  },
+  {
+    timestamps: { createdAt: true, updatedAt: false },
+  }
+);
+
+realtimeEventSchema.index({ boards: 1, _id: 1 });
+realtimeEventSchema.index({ project: 1, _id: 1 });
+realtimeEventSchema.index({ createdAt: 1 }, { expireAfterSeconds: 24 * 60 * 60 });
+
+const RealtimeEvent = mongoose.model('RealtimeEvent', realtimeEventSchema);
+export default RealtimeEvent;
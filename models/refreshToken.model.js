@@ -0,0 +1,47 @@
+import mongoose from 'mongoose';
+
+// Server-side record of a refresh token. Only the SHA-256 hash of the token
+// is stored. Tokens of one login share a `family`; each refresh replaces the
+// token with a new one of the same family (see utils/authTokens.js).
+const refreshTokenSchema = new mongoose.Schema({
+    user: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true,
+    },
+    tokenHash: {
+        type: String,
+        required: true,
+        unique: true,
+    },
+    family: {
+        type: String,
+        required: true,
+    },
+    expiresAt: {
+        type: Date,
+        required: true,
+    },
+    revokedAt: {
+        type: Date,
+        default: null,
+    },
+    // rotated | logout | logout_all | reuse_detected | password_changed ...
+    revokedReason: {
+        type: String,
+        default: null,
+    },
+    createdByIp: String,
+    userAgent: String,
+}, {
+    timestamps: true,
+});
+
+refreshTokenSchema.index({ family: 1 });
+refreshTokenSchema.index({ user: 1, revokedAt: 1 });
+// Expired tokens are removed by MongoDB
+refreshTokenSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+const RefreshToken = mongoose.model('RefreshToken', refreshTokenSchema);
+
+export default RefreshToken;
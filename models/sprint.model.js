@@ -0,0 +1,80 @@
+import mongoose from 'mongoose';
+
+const sprintSchema = new mongoose.Schema(
+  {
+    name: {
+      type: String,
+      required: true,
+      trim: true,
+    },
+    goal: {
+      type: String,
+      trim: true,
+    },
+    project: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Project',
+      required: true,
+    },
+    startDate: {
+      type: Date,
+      default: null,
+    },
+    endDate: {
+      type: Date,
+      default: null,
+    },
+    state: {
+      type: String,
+      enum: ['planned', 'active', 'closed'],
+      default: 'planned',
+    },
+    // Tasks in the sprint when it was started
+    committedTasks: [
+      {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Task',
+      },
+    ],
+    // Snapshot taken when the sprint is completed
+    report: {
+      committed: [{ type: mongoose.Schema.Types.ObjectId, ref: 'Task' }],
+      added: [{ type: mongoose.Schema.Types.ObjectId, ref: 'Task' }],
+      completed: [{ type: mongoose.Schema.Types.ObjectId, ref: 'Task' }],
+      incomplete: [{ type: mongoose.Schema.Types.ObjectId, ref: 'Task' }],
+      // Where incomplete tasks went; null means the backlog
+      movedTo: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Sprint',
+        default: null,
+      },
+    },
+    startedAt: {
+      type: Date,
+      default: null,
+    },
+    completedAt: {
+      type: Date,
+      default: null,
+    },
+    completedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      default: null,
+    },
+    createdBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+sprintSchema.index({ project: 1, state: 1 });
+sprintSchema.index({ project: 1, startDate: 1 });
+
+const Sprint = mongoose.model('Sprint', sprintSchema);
+export default Sprint;
@@ -0,0 +1,59 @@
+import mongoose from 'mongoose';
+
+// One SSO sign-in in progress (see controllers/ssoController.js). Created
+// when the user is sent to the identity provider; after the callback it holds
+// the one-time code the frontend exchanges for a session. Only hashes of the
+// state and code are stored.
+const ssoLoginSchema = new mongoose.Schema({
+    stateHash: {
+        type: String,
+        required: true,
+        unique: true,
+    },
+    organization: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Organization',
+        required: true,
+    },
+    nonce: {
+        type: String,
+        required: true,
+    },
+    // PKCE
+    codeVerifier: {
+        type: String,
+        required: true,
+    },
+    // Frontend path to return to
+    redirect: {
+        type: String,
+        default: '/',
+    },
+    user: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        default: null,
+    },
+    exchangeCodeHash: {
+        type: String,
+        default: null,
+    },
+    usedAt: {
+        type: Date,
+        default: null,
+    },
+    expiresAt: {
+        type: Date,
+        required: true,
+    },
+}, {
+    timestamps: true,
+});
+
+ssoLoginSchema.index({ exchangeCodeHash: 1 }, { partialFilterExpression: { exchangeCodeHash: { $type: 'string' } } });
+// Abandoned sign-ins are removed by MongoDB
+ssoLoginSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+const SsoLogin = mongoose.model('SsoLogin', ssoLoginSchema);
+
+export default SsoLogin;
@@ -1,5 +1,70 @@
 import mongoose from 'mongoose';
 
+const checklistItemSchema = new mongoose.Schema({
+  text: {
+    type: String,
+    required: true,
+    trim: true,
+  },
+  done: {
+    type: Boolean,
+    default: false,
+  },
+  assignee: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null,
+  },
+  dueDate: {
+    type: Date,
+    default: null,
+  },
+  completedAt: {
+    type: Date,
+    default: null,
+  },
+});
+
+// Items are kept in display order
+const checklistSchema = new mongoose.Schema({
+  title: {
+    type: String,
+    required: true,
+    trim: true,
+  },
+  items: [checklistItemSchema],
+});
+
+// One entry per column change, oldest first (see utils/statusHistory.js)
+const statusChangeSchema = new mongoose.Schema({
+  from: {
+    type: String,
+    default: null,
+  },
+  to: {
+    type: String,
+    required: true,
+  },
+  // Column _id, so renamed columns still match
+  column: {
+    type: mongoose.Schema.Types.ObjectId,
+    default: null,
+  },
+  board: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Board',
+  },
+  by: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null,
+  },
+  at: {
+    type: Date,
+    default: Date.now,
+  },
+}, { _id: false });
+
 const taskSchema = new mongoose.Schema({
   title: {
     type: String,
@@ -14,6 +79,23 @@ const taskSchema = new mongoose.Schema({
     ref: 'Board',
     required: true,
   },
+  // Project of the board; issue numbers are sequential per project
+  project: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Project',
+  },
+  issueNumber: {
+    type: Number,
+  },
+  // Denormalized "<project key>-<issueNumber>", e.g. KAN-142
+  issueKey: {
+    type: String,
+  },
+  // Name of one of the board's columns
+  status: {
+    type: String,
+    trim: true,
+  },
   assignedTo: [
     {
       type: mongoose.Schema.Types.ObjectId,
@@ -25,21 +107,99 @@ const taskSchema = new mongoose.Schema({
     ref: 'User',
     required: true,
   },
+  // Users notified of task events. Left unset on tasks created before
+  // watchers existed; see utils/watchers.js.
+  watchers: {
+    type: [
+      {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+      },
+    ],
+    default: undefined,
+  },
   attachment: {
     type: String,
   },
+  // Legacy position, superseded by rank
   order: {
     type: Number,
     default: 0,
   },
+  // Lexicographic position within the column (see utils/rank.js)
+  rank: {
+    type: String,
+  },
+  // Estimates; either or both may be used
+  storyPoints: {
+    type: Number,
+    min: 0,
+    default: null,
+  },
+  estimateHours: {
+    type: Number,
+    min: 0,
+    default: null,
+  },
   priority: {
     type: String,
     enum: ['low', 'medium', 'high'],
     default: 'medium',
   },
+  // Project-scoped labels
+  labels: [
+    {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Label',
+    },
+  ],
   dueDate: {
     type: Date,
   },
+  // Due date reminders already sent, per due date (see utils/reminderService.js)
+  remindersSent: [
+    {
+      _id: false,
+      kind: {
+        type: String,
+        enum: ['due_soon', 'overdue'],
+      },
+      // Hours before the due date (due_soon only)
+      offset: {
+        type: Number,
+        default: null,
+      },
+      dueDate: Date,
+      sentAt: {
+        type: Date,
+        default: Date.now,
+      },
+    },
+  ],
+  // Set when this task is a subtask (one level deep)
+  parent: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Task',
+    default: null,
+  },
+  checklists: [checklistSchema],
+  statusHistory: [statusChangeSchema],
+  // First time the task reached an in-progress column
+  startedAt: {
+    type: Date,
+    default: null,
+  },
+  // Set while the task sits in a done column
+  completedAt: {
+    type: Date,
+    default: null,
+  },
+  // Sprint the task is planned in; null means the project backlog
+  sprint: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Sprint',
+    default: null,
+  },
 }, {
   timestamps: true,
 });
@@ -47,8 +207,19 @@ const taskSchema = new mongoose.Schema({
 // Indexes for faster queries
 taskSchema.index({ board: 1 }); // For fetching tasks by board
 taskSchema.index({ board: 1, createdAt: -1 }); // Compound index for board + sorting
+taskSchema.index({ board: 1, status: 1, rank: 1 }); // For column moves/renames and card order
 taskSchema.index({ assignedTo: 1 }); // For user's assigned tasks
+taskSchema.index({ watchers: 1 }); // For user's watched tasks
 taskSchema.index({ createdBy: 1 }); // For tasks created by user
+taskSchema.index({ parent: 1 }); // For subtasks of a task
+taskSchema.index({ labels: 1 }); // For label filters and label deletion
+taskSchema.index({ sprint: 1 }); // For sprint contents
+taskSchema.index({ board: 1, completedAt: 1 }); // For flow metrics
+taskSchema.index({ dueDate: 1 }); // For due date reminders
+taskSchema.index(
+  { project: 1, issueNumber: 1 },
+  { unique: true, partialFilterExpression: { issueNumber: { $type: 'number' } } }
+); // For issue key lookups
 
 const Task = mongoose.model('Task', taskSchema);
 export default Task;
@@ -24,7 +24,48 @@ const userSchema = new mongoose.Schema({
         type: String,
         enum: ['owner', 'admin', 'manager', 'member'],
         default: 'member',
-    }
+    },
+    // Bumped to invalidate every access token issued so far (log out everywhere)
+    tokenVersion: {
+        type: Number,
+        default: 0,
+    },
+    // TOTP two-factor authentication (see utils/twoFactor.js). Secrets and
+    // recovery code hashes are never selected unless asked for.
+    twoFactor: {
+        enabled: {
+            type: Boolean,
+            default: false,
+        },
+        enabledAt: Date,
+        // Encrypted base32 secret
+        secret: {
+            type: String,
+            select: false,
+        },
+        // Secret being enrolled, until the first code confirms it
+        pendingSecret: {
+            type: String,
+            select: false,
+        },
+        recoveryCodes: {
+            type: [String],
+            select: false,
+        },
+        // Last accepted time step, so a code cannot be used twice
+        lastUsedStep: {
+            type: Number,
+            select: false,
+        },
+    },
+    // Identity at the organization's SSO provider, once signed in with it
+    sso: {
+        issuer: String,
+        subject: String,
+        // Set by the owner to link this account on the next SSO sign-in when
+        // the provider does not confirm the email (utils/sso.js)
+        linkApprovedAt: Date,
+    },
     
 },{
         timestamps: true,
@@ -34,6 +75,7 @@ const userSchema = new mongoose.Schema({
 // Email must be unique per organization
 // Explicitly name the index to prevent conflicts with old email_1 index
 userSchema.index({ email: 1, organization: 1 }, { unique: true, name: 'email_1_organization_1' });
+userSchema.index({ organization: 1, 'sso.subject': 1 });
 
 // Ensure Mongoose doesn't try to create old email_1 index
 // This prevents auto-indexing from creating conflicting indexes
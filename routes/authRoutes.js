@@ -1,12 +1,60 @@
 import express from 'express';
-import auth from '../middleware/auth.js';
-import { register, login, getMe } from '../controllers/authController.js';
+import auth, { sessionOnly } from '../middleware/auth.js';
+import {
+  register,
+  login,
+  getMe,
+  refresh,
+  logout,
+  logoutAll,
+  forgotPassword,
+  resetPassword,
+  changePassword,
+  switchOrganization,
+  unlock,
+} from '../controllers/authController.js';
+import {
+  getTwoFactorStatus,
+  setupTwoFactor,
+  enableTwoFactor,
+  disableTwoFactor,
+  regenerateRecoveryCodes,
+  verifyTwoFactorLogin,
+  setupTwoFactorLogin,
+  enableTwoFactorLogin,
+} from '../controllers/twoFactorController.js';
+import { discoverSso, startSso, ssoCallback, exchangeSsoCode } from '../controllers/ssoController.js';
 
 const router = express.Router();
 
 router.post('/register', register);
 router.post('/login', login);
 router.get('/me', auth, getMe);
+router.post('/refresh', refresh);
+router.post('/logout', logout);
+router.post('/logout-all', auth, sessionOnly, logoutAll);
+router.post('/forgot-password', forgotPassword);
+router.post('/reset-password', resetPassword);
+router.post('/unlock', unlock);
+router.post('/change-password', auth, sessionOnly, changePassword);
+router.post('/switch-organization', auth, sessionOnly, switchOrganization);
+
+// Two-factor authentication
+router.get('/2fa', auth, sessionOnly, getTwoFactorStatus);
+router.post('/2fa/setup', auth, sessionOnly, setupTwoFactor);
+router.post('/2fa/enable', auth, sessionOnly, enableTwoFactor);
+router.post('/2fa/disable', auth, sessionOnly, disableTwoFactor);
+router.post('/2fa/recovery-codes', auth, sessionOnly, regenerateRecoveryCodes);
+// Second login step (challenge token from /login)
+router.post('/2fa/verify', verifyTwoFactorLogin);
+router.post('/2fa/login-setup', setupTwoFactorLogin);
+router.post('/2fa/login-enable', enableTwoFactorLogin);
+
+// Single sign-on (OpenID Connect)
+router.post('/sso/discover', discoverSso);
+router.get('/sso/callback', ssoCallback);
+router.post('/sso/exchange', exchangeSsoCode);
+router.get('/sso/:organizationId/start', startSso);
 
 export default router;
 
@@ -9,6 +9,14 @@ import {
   deleteBoard,
   sendBoardInvite,
 } from '../controllers/boardController.js';
+import {
+  getColumns,
+  createColumn,
+  updateColumn,
+  reorderColumns,
+  deleteColumn,
+} from '../controllers/columnController.js';
+import { getBoardMetrics } from '../controllers/metricsController.js';
 
 const router = express.Router();
 
@@ -22,6 +30,14 @@ router.put('/:id', auth, updateBoard);
 router.delete('/:id', auth, deleteBoard);
 // Send board invitation via email
 router.post('/:boardId/invite', auth, sendBoardInvite);
+// Board columns (workflow statuses)
+router.get('/:id/columns', auth, getColumns);
+router.post('/:id/columns', auth, createColumn);
+router.put('/:id/columns/order', auth, reorderColumns);
+router.put('/:id/columns/:columnId', auth, updateColumn);
+router.delete('/:id/columns/:columnId', auth, deleteColumn);
+
+router.get('/:id/metrics', auth, getBoardMetrics);
 
 export default router;
 
@@ -0,0 +1,11 @@
+import express from 'express';
+import cronAuth from '../middleware/cronAuth.js';
+import { runDigests, runReminders } from '../controllers/cronController.js';
+
+const router = express.Router();
+
+// Vercel Cron calls these with GET (schedules in vercel.json)
+router.get('/digests', cronAuth, runDigests);
+router.get('/reminders', cronAuth, runReminders);
+
+export default router;
@@ -1,13 +1,27 @@
 import express from 'express';
 import auth from '../middleware/auth.js';
-import { getNotifications, getUnreadCount, markAsRead, markAllAsRead, createNotification } from '../controllers/notificationController.js';
+import {
+  getNotifications,
+  getUnreadCount,
+  markAsRead,
+  markAllAsRead,
+  deleteNotification,
+  archiveNotifications,
+  broadcastNotification,
+  getPreferences,
+  updatePreferences,
+} from '../controllers/notificationController.js';
 
 const router = express.Router();
 
 router.get('/', auth, getNotifications);
 router.get('/unread-count', auth, getUnreadCount);
-router.post('/', auth, createNotification);
+router.get('/preferences', auth, getPreferences);
+router.put('/preferences', auth, updatePreferences);
+router.post('/broadcast', auth, broadcastNotification);
 router.patch('/:id/read', auth, markAsRead);
 router.patch('/read-all', auth, markAllAsRead);
+router.post('/archive', auth, archiveNotifications);
+router.delete('/:id', auth, deleteNotification);
 
 export default router;
\ No newline at end of file
@@ -9,6 +9,10 @@ import {
   removeMemberFromOrganization,
   syncUserRoleFromInvitation,
   updateMember,
+  updateSecuritySettings,
+  getSsoSettings,
+  updateSsoSettings,
+  approveSsoLink,
 } from '../controllers/organizationController.js';
 
 const router = express.Router();
@@ -18,6 +22,10 @@ router.get('/me', auth, getMyOrganization);
 router.get('/users', auth, getOrganizationUsers);
 router.post('/invite', auth, inviteUserToOrganization);
 router.post('/members/:userId/sync-role', auth, syncUserRoleFromInvitation);
+router.put('/security', auth, updateSecuritySettings);
+router.get('/sso', auth, getSsoSettings);
+router.put('/sso', auth, updateSsoSettings);
+router.post('/members/:userId/sso-link', auth, approveSsoLink);
 router.put('/:id/members/:userId', auth, updateMember);
 router.delete('/:id', auth, deleteOrganization);
 router.delete('/:id/members/:userId', auth, removeMemberFromOrganization);
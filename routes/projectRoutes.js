@@ -11,11 +11,27 @@ import {
   removeMember,
   updateMemberRole,
 } from '../controllers/projectController.js';
+import { getProjectActivity } from '../controllers/activityController.js';
+import { getLabels, createLabel, updateLabel, deleteLabel } from '../controllers/labelController.js';
+import { getSprints, createSprint, getBacklog } from '../controllers/sprintController.js';
+import { getBurndown, getCumulativeFlow } from '../controllers/reportController.js';
+import { getProjectMetrics } from '../controllers/metricsController.js';
 
 const router = express.Router();
 
 router.get('/', auth, getProjects);
 router.get('/:id', auth, getProjectById);
+router.get('/:id/activity', auth, getProjectActivity);
+router.get('/:id/labels', auth, getLabels);
+router.post('/:id/labels', auth, createLabel);
+router.put('/:id/labels/:labelId', auth, updateLabel);
+router.delete('/:id/labels/:labelId', auth, deleteLabel);
+router.get('/:id/sprints', auth, getSprints);
+router.post('/:id/sprints', auth, createSprint);
+router.get('/:id/backlog', auth, getBacklog);
+router.get('/:id/reports/burndown', auth, getBurndown);
+router.get('/:id/reports/cumulative-flow', auth, getCumulativeFlow);
+router.get('/:id/metrics', auth, getProjectMetrics);
 router.post('/', auth, createProject);
 router.put('/:id', auth, updateProject);
 router.delete('/:id', auth, deleteProject);
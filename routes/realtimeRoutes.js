@@ -0,0 +1,30 @@
+import express from 'express';
+import auth from '../middleware/auth.js';
+import { createStreamTicket, streamEvents, getEvents } from '../controllers/realtimeController.js';
+import { verifyStreamTicket } from '../utils/realtime.js';
+
+const router = express.Router();
+
+// EventSource cannot send headers: accept a stream ticket as ?ticket=
+// (POST /stream-ticket), never the access token itself
+const ticketOrAuth = async (req, res, next) => {
+  if (req.headers.authorization || req.query.ticket === undefined) {
+    return auth(req, res, next);
+  }
+  try {
+    req.user = await verifyStreamTicket(req.query.ticket);
+    if (!req.user) {
+      return res.status(401).json({ message: 'Not authorized' });
+    }
+    next();
+  } catch (error) {
+    console.error(error.message);
+    res.status(401).json({ message: 'Not authorized' });
+  }
+};
+
+router.post('/stream-ticket', auth, createStreamTicket);
+router.get('/stream', ticketOrAuth, streamEvents);
+router.get('/events', auth, getEvents);
+
+export default router;
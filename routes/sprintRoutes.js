@@ -0,0 +1,23 @@
+import express from 'express';
+import auth from '../middleware/auth.js';
+import {
+  getSprint,
+  updateSprint,
+  deleteSprint,
+  startSprint,
+  completeSprint,
+  addSprintTasks,
+  removeSprintTask,
+} from '../controllers/sprintController.js';
+
+const router = express.Router();
+
+router.get('/:id', auth, getSprint);
+router.put('/:id', auth, updateSprint);
+router.delete('/:id', auth, deleteSprint);
+router.post('/:id/start', auth, startSprint);
+router.post('/:id/complete', auth, completeSprint);
+router.post('/:id/tasks', auth, addSprintTasks);
+router.delete('/:id/tasks/:taskId', auth, removeSprintTask);
+
+export default router;
@@ -4,11 +4,25 @@ import auth from '../middleware/auth.js';
 import { storage } from '../config/cloudinary.js';
 import {
   getTasksByBoard,
+  getTaskByIssueKey,
   createTask,
   updateTask,
   updateTaskStatus,
+  moveTask,
   deleteTask,
 } from '../controllers/taskController.js';
+import { getTaskActivity } from '../controllers/activityController.js';
+import {
+  getChecklists,
+  createChecklist,
+  updateChecklist,
+  deleteChecklist,
+  addChecklistItem,
+  updateChecklistItem,
+  deleteChecklistItem,
+} from '../controllers/checklistController.js';
+import { getSubtasks, createSubtask, removeSubtask } from '../controllers/subtaskController.js';
+import { getWatchers, watchTask, unwatchTask } from '../controllers/watcherController.js';
 
 const multer = multerImport.default || multerImport; // support CJS/ESM interop
 
@@ -25,13 +39,41 @@ const parseFormDataArrays = (req, res, next) => {
       : [req.body['assignedTo[]']];
     delete req.body['assignedTo[]'];
   }
+  if (req.body['labels[]']) {
+    req.body.labels = Array.isArray(req.body['labels[]'])
+      ? req.body['labels[]']
+      : [req.body['labels[]']];
+    delete req.body['labels[]'];
+  }
   next();
 };
 
 router.get('/board/:boardId', auth, getTasksByBoard);
+router.get('/key/:issueKey', auth, getTaskByIssueKey);
 router.post('/', auth, upload.single('attachment'), parseFormDataArrays, createTask);
 router.put('/:id', auth, upload.single('attachment'), parseFormDataArrays, updateTask);
 router.patch('/:id/status', auth, updateTaskStatus);
+router.post('/:id/move', auth, moveTask);
+router.get('/:id/activity', auth, getTaskActivity);
+
+// Checklists
+router.get('/:id/checklists', auth, getChecklists);
+router.post('/:id/checklists', auth, createChecklist);
+router.put('/:id/checklists/:checklistId', auth, updateChecklist);
+router.delete('/:id/checklists/:checklistId', auth, deleteChecklist);
+router.post('/:id/checklists/:checklistId/items', auth, addChecklistItem);
+router.put('/:id/checklists/:checklistId/items/:itemId', auth, updateChecklistItem);
+router.delete('/:id/checklists/:checklistId/items/:itemId', auth, deleteChecklistItem);
+
+// Subtasks
+router.get('/:id/subtasks', auth, getSubtasks);
+router.post('/:id/subtasks', auth, createSubtask);
+router.delete('/:id/subtasks/:subtaskId', auth, removeSubtask);
+
+// Watchers
+router.get('/:id/watchers', auth, getWatchers);
+router.post('/:id/watch', auth, watchTask);
+router.delete('/:id/watch', auth, unwatchTask);
 router.delete('/:id', auth, deleteTask);
 
 export default router;
@@ -1,5 +1,5 @@
 import express from 'express';
-import auth from '../middleware/auth.js';
+import auth, { sessionOnly } from '../middleware/auth.js';
 import {
   getAllUsers,
   getUserById,
@@ -10,6 +10,7 @@ import {
   sendInvite,
   acceptInvitation,
 } from '../controllers/userController.js';
+import { getApiTokens, createToken, revokeToken } from '../controllers/apiTokenController.js';
 
 const router = express.Router();
 
@@ -18,6 +19,10 @@ router.get('/accept-invitation', acceptInvitation); // Public endpoint - no auth
 router.post('/login', loginUser);
 router.post('/', createUser);
 router.post('/invite', auth, sendInvite); // Specific route before parameterized routes
+// Personal access tokens and service keys
+router.get('/me/tokens', auth, sessionOnly, getApiTokens);
+router.post('/me/tokens', auth, sessionOnly, createToken);
+router.delete('/me/tokens/:tokenId', auth, sessionOnly, revokeToken);
 router.get('/:id', auth, getUserById);
 router.put('/:id', auth, updateUserById);
 router.delete('/:id', auth, deleteUserById);
@@ -0,0 +1,184 @@
+/**
+ * Mock OpenID Connect identity provider for trying single sign-on locally
+ *
+ * Signs in whoever types an email on its login page (or passes ?email= to
+ * /authorize to skip the page). Keys and codes live in memory only.
+ *
+ * Usage: node scripts/mock-oidc-idp.js
+ *   PORT           (default 4011; the issuer is http://localhost:PORT)
+ *   CLIENT_ID      (default kanban)
+ *   CLIENT_SECRET  (default kanban-secret)
+ *
+ * Then, as the organization owner:
+ *   PUT /api/organizations/sso
+ *   { "enabled": true, "issuer": "http://localhost:4011",
+ *     "clientId": "kanban", "clientSecret": "kanban-secret" }
+ * and open /api/auth/sso/<organizationId>/start in a browser.
+ */
+
+import http from 'http';
+import crypto from 'crypto';
+import jwt from 'jsonwebtoken';
+
+const PORT = Number(process.env.PORT) || 4011;
+const CLIENT_ID = process.env.CLIENT_ID || 'kanban';
+const CLIENT_SECRET = process.env.CLIENT_SECRET || 'kanban-secret';
+const ISSUER = `http://localhost:${PORT}`;
+
+const CODE_TTL_MS = 60 * 1000;
+
+const { publicKey, privateKey } = crypto.generateKeyPairSync('rsa', { modulusLength: 2048 });
+const KID = crypto.randomBytes(8).toString('hex');
+const codes = new Map();
+
+const escapeHtml = (value) =>
+  String(value ?? '').replace(/[&<>"']/g, (c) => `&#${c.charCodeAt(0)};`);
+
+const sendJson = (res, status, body) => {
+  res.writeHead(status, { 'Content-Type': 'application/json', 'Cache-Control': 'no-store' });
+  res.end(JSON.stringify(body));
+};
+
+const readForm = (req) =>
+  new Promise((resolve, reject) => {
+    let data = '';
+    req.on('data', (chunk) => {
+      data += chunk;
+      if (data.length > 1e5) req.destroy();
+    });
+    req.on('end', () => resolve(new URLSearchParams(data)));
+    req.on('error', reject);
+  });
+
+const loginPage = (params) => `<!doctype html>
+<html><body style="font-family: sans-serif; max-width: 360px; margin: 60px auto;">
+  <h2>Mock identity provider</h2>
+  <form method="post" action="/authorize">
+    ${[...params].map(([k, v]) => `<input type="hidden" name="${escapeHtml(k)}" value="${escapeHtml(v)}">`).join('\n    ')}
+    <p><label>Email<br><input name="email" type="email" required value="${escapeHtml(params.get('login_hint'))}"></label></p>
+    <p><label>Name<br><input name="name"></label></p>
+    <button type="submit">Sign in</button>
+  </form>
+</body></html>`;
+
+// Issue a code and send the browser back to the client
+const approve = (res, params) => {
+  if (params.get('client_id') !== CLIENT_ID) {
+    return sendJson(res, 400, { error: 'invalid_client' });
+  }
+  if (params.get('code_challenge_method') !== 'S256' || !params.get('code_challenge')) {
+    return sendJson(res, 400, { error: 'invalid_request', error_description: 'PKCE (S256) is required' });
+  }
+
+  const email = params.get('email').trim().toLowerCase();
+  const code = crypto.randomBytes(24).toString('base64url');
+  codes.set(code, {
+    redirectUri: params.get('redirect_uri'),
+    nonce: params.get('nonce'),
+    codeChallenge: params.get('code_challenge'),
+    email,
+    name: params.get('name') || email.split('@')[0],
+    expiresAt: Date.now() + CODE_TTL_MS,
+  });
+
+  const redirect = new URL(params.get('redirect_uri'));
+  redirect.searchParams.set('code', code);
+  if (params.get('state')) redirect.searchParams.set('state', params.get('state'));
+  res.writeHead(302, { Location: redirect.toString() });
+  res.end();
+};
+
+const clientCredentials = (req, form) => {
+  const header = req.headers.authorization || '';
+  if (header.startsWith('Basic ')) {
+    const [id, secret] = Buffer.from(header.slice(6), 'base64').toString().split(':');
+    return { id: decodeURIComponent(id), secret: decodeURIComponent(secret || '') };
+  }
+  return { id: form.get('client_id'), secret: form.get('client_secret') };
+};
+
+const token = async (req, res) => {
+  const form = await readForm(req);
+  const client = clientCredentials(req, form);
+  if (client.id !== CLIENT_ID || client.secret !== CLIENT_SECRET) {
+    return sendJson(res, 401, { error: 'invalid_client' });
+  }
+
+  const grant = codes.get(form.get('code'));
+  codes.delete(form.get('code'));
+  if (!grant || grant.expiresAt < Date.now() || grant.redirectUri !== form.get('redirect_uri')) {
+    return sendJson(res, 400, { error: 'invalid_grant' });
+  }
+
+  const challenge = crypto.createHash('sha256').update(form.get('code_verifier') || '').digest('base64url');
+  if (challenge !== grant.codeChallenge) {
+    return sendJson(res, 400, { error: 'invalid_grant', error_description: 'PKCE verification failed' });
+  }
+
+  const idToken = jwt.sign(
+    {
+      sub: crypto.createHash('sha256').update(grant.email).digest('hex').slice(0, 24),
+      email: grant.email,
+      email_verified: true,
+      name: grant.name,
+      nonce: grant.nonce,
+    },
+    privateKey,
+    { algorithm: 'RS256', keyid: KID, issuer: ISSUER, audience: CLIENT_ID, expiresIn: '5m' }
+  );
+
+  sendJson(res, 200, {
+    access_token: crypto.randomBytes(24).toString('base64url'),
+    token_type: 'Bearer',
+    expires_in: 300,
+    id_token: idToken,
+  });
+};
+
+const server = http.createServer(async (req, res) => {
+  try {
+    const url = new URL(req.url, ISSUER);
+
+    if (req.method === 'GET' && url.pathname === '/.well-known/openid-configuration') {
+      return sendJson(res, 200, {
+        issuer: ISSUER,
+        authorization_endpoint: `${ISSUER}/authorize`,
+        token_endpoint: `${ISSUER}/token`,
+        jwks_uri: `${ISSUER}/jwks`,
+        response_types_supported: ['code'],
+        subject_types_supported: ['public'],
+        id_token_signing_alg_values_supported: ['RS256'],
+        scopes_supported: ['openid', 'email', 'profile'],
+        token_endpoint_auth_methods_supported: ['client_secret_basic', 'client_secret_post'],
+        code_challenge_methods_supported: ['S256'],
+      });
+    }
+
+    if (req.method === 'GET' && url.pathname === '/jwks') {
+      return sendJson(res, 200, {
+        keys: [{ ...publicKey.export({ format: 'jwk' }), kid: KID, alg: 'RS256', use: 'sig' }],
+      });
+    }
+
+    if (url.pathname === '/authorize') {
+      const params = req.method === 'POST' ? await readForm(req) : url.searchParams;
+      if (params.get('email')) return approve(res, params);
+
+      res.writeHead(200, { 'Content-Type': 'text/html' });
+      return res.end(loginPage(params));
+    }
+
+    if (req.method === 'POST' && url.pathname === '/token') {
+      return await token(req, res);
+    }
+
+    sendJson(res, 404, { error: 'not_found' });
+  } catch (error) {
+    console.error('❌ Mock IdP error:', error.message);
+    sendJson(res, 500, { error: 'server_error' });
+  }
+});
+
+server.listen(PORT, () => {
+  console.log(`🔐 Mock OIDC provider at ${ISSUER} (client ${CLIENT_ID} / ${CLIENT_SECRET})`);
+});
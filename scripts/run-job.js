@@ -0,0 +1,28 @@
+/**
+ * Shared runner for the scheduled-job scripts (send-*.js): connect to
+ * MongoDB, run the job, log its summary and exit with 1 on failure
+ */
+
+import mongoose from 'mongoose';
+import dotenv from 'dotenv';
+
+dotenv.config();
+
+const MONGODB_URI = process.env.MONGODB_URI || 'mongodb://localhost:27017/Kanban-Trello';
+
+export async function runJob(name, job) {
+  try {
+    await mongoose.connect(MONGODB_URI);
+    console.log('✅ Connected to MongoDB');
+
+    const summary = await job();
+    console.log(`📬 ${name}:`, summary);
+
+    await mongoose.disconnect();
+    process.exit(0);
+  } catch (error) {
+    console.error(`❌ Error sending ${name.toLowerCase()}:`, error);
+    await mongoose.disconnect();
+    process.exit(1);
+  }
+}
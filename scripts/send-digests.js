@@ -0,0 +1,13 @@
+/**
+ * Send due notification digests
+ *
+ * Run hourly outside Vercel (on Vercel the /api/cron/digests endpoint does
+ * the same), e.g. crontab: 0 * * * * node scripts/send-digests.js
+ *
+ * Usage: node scripts/send-digests.js
+ */
+
+import { runJob } from './run-job.js';
+import { sendDueDigests } from '../utils/digestService.js';
+
+runJob('Digests', () => sendDueDigests({ limit: Infinity }));
@@ -0,0 +1,13 @@
+/**
+ * Send due date and overdue reminders
+ *
+ * Run hourly outside Vercel (on Vercel the /api/cron/reminders endpoint does
+ * the same), e.g. crontab: 30 * * * * node scripts/send-reminders.js
+ *
+ * Usage: node scripts/send-reminders.js
+ */
+
+import { runJob } from './run-job.js';
+import { sendDueReminders } from '../utils/reminderService.js';
+
+runJob('Reminders', () => sendDueReminders({ limit: Infinity }));
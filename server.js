@@ -18,6 +18,9 @@ import teamRoutes from './routes/teamRoutes.js';
 import commentRoutes from './routes/commentRoutes.js';
 import notificationRoutes from './routes/notificationRoutes.js';
 import pushRoutes from './routes/pushRoutes.js';
+import sprintRoutes from './routes/sprintRoutes.js';
+import realtimeRoutes from './routes/realtimeRoutes.js';
+import cronRoutes from './routes/cronRoutes.js';
 
 dotenv.config();
 
@@ -26,6 +29,12 @@ const __dirname = path.dirname(__filename);
 
 const app = express();
 
+// Behind Vercel's proxy req.ip is the client address only when the proxy is
+// trusted (login throttling and session records key on it)
+if (process.env.VERCEL || process.env.TRUST_PROXY) {
+  app.set('trust proxy', Number(process.env.TRUST_PROXY) || 1);
+}
+
 const allowedOrigins = [
   'https://trello-client-six.vercel.app',
   'http://localhost:5173',
@@ -217,6 +226,12 @@ app.use('/api/comments', commentRoutes);
 app.use('/api/notifications', notificationRoutes);
 app.use('/notifications', notificationRoutes);
 app.use('/api/push', pushRoutes);
+app.use('/api/sprints', sprintRoutes);
+app.use('/sprints', sprintRoutes);
+app.use('/api/realtime', realtimeRoutes);
+app.use('/realtime', realtimeRoutes);
+app.use('/api/cron', cronRoutes);
+app.use('/cron', cronRoutes);
 
 // Debug middleware before routes
 app.use('/api/teams', (req, res, next) => {
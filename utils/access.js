@@ -0,0 +1,129 @@
+import mongoose from 'mongoose';
+import Task from '../models/task.model.js';
+import Board from '../models/board.model.js';
+import Project from '../models/project.model.js';
+import Organization from '../models/organization.model.js';
+import Sprint from '../models/sprint.model.js';
+import User from '../models/user.model.js';
+import { isAdminOrOwner } from './permissions.js';
+
+/**
+ * Access loaders shared by controllers that work on a board or a task.
+ *
+ * They run the same checks as the board/task controllers (same organization,
+ * project member or org admin/owner) and return either a context object or
+ * `{ error: { status, msg } }` for the controller to send back.
+ */
+
+const fail = (status, msg) => ({ error: { status, msg } });
+
+/**
+ * Load user, organization and project membership info for a project
+ */
+export const loadProjectContext = async (projectOrId, userId) => {
+  const user = await User.findById(userId);
+  if (!user || !user.organization) {
+    return fail(404, 'User does not belong to an organization');
+  }
+
+  const project = projectOrId instanceof Project
+    ? projectOrId
+    : mongoose.Types.ObjectId.isValid(projectOrId) ? await Project.findById(projectOrId) : null;
+  if (!project) {
+    return fail(404, 'Project not found');
+  }
+
+  // Check user belongs to same organization
+  const organizationId = user.organization._id || user.organization;
+  const projectOrgId = project.organization._id || project.organization;
+  if (projectOrgId.toString() !== organizationId.toString()) {
+    return fail(403, 'Access denied');
+  }
+
+  const organization = await Organization.findById(organizationId).populate('owner', '_id');
+  if (!organization) {
+    return fail(404, 'Organization not found');
+  }
+
+  const userIdStr = userId.toString();
+  const membership = project.members.find(
+    (m) => m?.user && (m.user._id || m.user).toString() === userIdStr
+  );
+  const isProjectMember = !!membership;
+  const isProjectAdmin = membership?.role === 'admin';
+  const isOrgAdmin = isAdminOrOwner(user, organization);
+
+  if (!isProjectMember && user.role !== 'owner' && user.role !== 'admin') {
+    return fail(403, 'Access denied');
+  }
+
+  return { user, organization, project, isProjectMember, isProjectAdmin, isOrgAdmin };
+};
+
+/**
+ * Load a board plus project/user context
+ */
+export const loadBoardContext = async (boardId, userId) => {
+  if (!mongoose.Types.ObjectId.isValid(boardId)) {
+    return fail(404, 'Board not found');
+  }
+
+  const board = await Board.findById(boardId);
+  if (!board) {
+    return fail(404, 'Board not found');
+  }
+
+  const context = await loadProjectContext(board.project, userId);
+  if (context.error) return context;
+
+  // Board owner, project admin or org admin/owner can manage the board
+  const canManageBoard = board.owner.toString() === userId.toString()
+    || context.isProjectAdmin
+    || context.isOrgAdmin;
+
+  return { ...context, board, canManageBoard };
+};
+
+/**
+ * Load a task plus board/project/user context
+ */
+export const loadTaskContext = async (taskId, userId) => {
+  if (!mongoose.Types.ObjectId.isValid(taskId)) {
+    return fail(404, 'Task not found');
+  }
+
+  const task = await Task.findById(taskId);
+  if (!task) {
+    return fail(404, 'Task not found');
+  }
+
+  const context = await loadBoardContext(task.board, userId);
+  if (context.error) return context;
+
+  return { ...context, task };
+};
+
+/**
+ * Load a sprint plus project/user context
+ */
+export const loadSprintContext = async (sprintId, userId) => {
+  if (!mongoose.Types.ObjectId.isValid(sprintId)) {
+    return fail(404, 'Sprint not found');
+  }
+
+  const sprint = await Sprint.findById(sprintId);
+  if (!sprint) {
+    return fail(404, 'Sprint not found');
+  }
+
+  const context = await loadProjectContext(sprint.project, userId);
+  if (context.error) return context;
+
+  return { ...context, sprint };
+};
+
+/**
+ * Send the error from a loader result
+ */
+export const sendAccessError = (res, context) =>
+  res.status(context.error.status).json({ msg: context.error.msg });
@@ -0,0 +1,99 @@
+import mongoose from 'mongoose';
+import Activity from '../models/activity.model.js';
+
+/**
+ * Audit trail helpers. Recording is best effort: a failure is logged and
+ * never fails the request that triggered it.
+ */
+
+// Reduce populated docs, ObjectIds and Dates to plain comparable values
+const normalize = (value) => {
+  if (value === undefined || value === null || value === '') return null;
+  if (Array.isArray(value)) return value.map(normalize).filter((v) => v !== null).sort();
+  if (value instanceof Date) return value.toISOString();
+  if (value instanceof mongoose.Types.ObjectId) return value.toString();
+  if (typeof value === 'object' && value._id) return value._id.toString();
+  if (typeof value === 'object' && typeof value.toObject === 'function') return value.toObject();
+  return value;
+};
+
+const sameValue = (a, b) => JSON.stringify(a) === JSON.stringify(b);
+
+/**
+ * Field-level diff between two snapshots (documents or plain objects)
+ */
+export const diffFields = (before, after, fields) => {
+  const changes = [];
+  fields.forEach((field) => {
+    const from = normalize(before?.[field]);
+    const to = normalize(after?.[field]);
+    if (!sameValue(from, to)) {
+      changes.push({ field, from, to });
+    }
+  });
+  return changes;
+};
+
+const toId = (value) => (value ? value._id || value : undefined);
+
+/**
+ * Record one activity entry
+ */
+export const recordActivity = async ({
+  actor,
+  entityType,
+  entityId,
+  action,
+  changes = [],
+  meta = {},
+  organization,
+  project,
+  board,
+  task,
+}) => {
+  try {
+    // An update that changed nothing is not worth a row
+    if (action === 'updated' && changes.length === 0) return null;
+
+    return await Activity.create({
+      actor: toId(actor),
+      entityType,
+      entityId: toId(entityId),
+      action,
+      changes,
+      meta,
+      organization: toId(organization),
+      project: toId(project),
+      board: toId(board),
+      task: toId(task),
+    });
+  } catch (err) {
+    console.error('Activity record error:', err?.message || err);
+    return null;
+  }
+};
+
+/**
+ * Paginated activity list for a filter. Query: ?page=1&limit=20 (max 100)
+ */
+export const getActivityPage = async (filter, query = {}) => {
+  const limit = Math.min(Math.max(parseInt(query.limit, 10) || 20, 1), 100);
+  const page = Math.max(parseInt(query.page, 10) || 1, 1);
+
+  const [items, total] = await Promise.all([
+    Activity.find(filter)
+      .populate('actor', 'name email')
+      .sort({ createdAt: -1, _id: -1 })
+      .skip((page - 1) * limit)
+      .limit(limit),
+    Activity.countDocuments(filter),
+  ]);
+
+  return {
+    items,
+    page,
+    limit,
+    total,
+    totalPages: Math.ceil(total / limit),
+  };
+};
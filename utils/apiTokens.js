@@ -0,0 +1,134 @@
+import crypto from 'crypto';
+import ApiToken from '../models/apiToken.model.js';
+import User from '../models/user.model.js';
+import Organization from '../models/organization.model.js';
+import { isAdminOrOwner } from './permissions.js';
+
+/**
+ * Personal access tokens and organization service keys. They are sent like
+ * access tokens (`Authorization: Bearer kj_pat_...`) and told apart from JWTs
+ * by their prefix. Scopes limit what a token can do on top of the account's
+ * own permissions:
+ *   read         GET requests only
+ *   tasks:write  read, plus changes to tasks and comments
+ *   admin        every request (owners and admins only)
+ * Token management and the account routes of /api/auth (password, 2FA,
+ * sessions) always need a login session: their routes use `sessionOnly`
+ * (middleware/auth.js).
+ */
+
+export const API_TOKEN_SCOPES = ['read', 'tasks:write', 'admin'];
+
+export const API_TOKEN_PREFIXES = { personal: 'kj_pat_', service: 'kj_sk_' };
+
+const MAX_EXPIRY_DAYS = 365;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// lastUsedAt is written at most this often per token
+const LAST_USED_THROTTLE_MS = 60 * 1000;
+
+// Routers are mounted both with and without the /api prefix (server.js)
+const TASK_WRITE_BASES = ['/tasks', '/comments'];
+
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+export const isApiToken = (token) =>
+  Object.values(API_TOKEN_PREFIXES).some((prefix) => String(token).startsWith(prefix));
+
+/**
+ * Validate { name, scopes, expiresInDays } from a request body.
+ * Returns { name, scopes, expiresAt } or { error }.
+ */
+export const parseTokenInput = ({ name, scopes, expiresInDays } = {}) => {
+  if (!name || typeof name !== 'string' || !name.trim() || name.length > 100) {
+    return { error: 'name is required (up to 100 characters)' };
+  }
+
+  const list = scopes === undefined ? ['read'] : scopes;
+  if (!Array.isArray(list) || !list.length || list.some((s) => !API_TOKEN_SCOPES.includes(s))) {
+    return { error: `scopes must be a non-empty list of: ${API_TOKEN_SCOPES.join(', ')}` };
+  }
+
+  let expiresAt = null;
+  if (expiresInDays !== undefined && expiresInDays !== null) {
+    const days = Number(expiresInDays);
+    if (!Number.isInteger(days) || days < 1 || days > MAX_EXPIRY_DAYS) {
+      return { error: `expiresInDays must be a whole number between 1 and ${MAX_EXPIRY_DAYS}` };
+    }
+    expiresAt = new Date(Date.now() + days * DAY_MS);
+  }
+
+  return { name: name.trim(), scopes: [...new Set(list)], expiresAt };
+};
+
+/**
+ * Create a token. The plain token is returned only here.
+ */
+export const createApiToken = async ({ type, user, name, scopes, expiresAt }) => {
+  const token = `${API_TOKEN_PREFIXES[type]}${crypto.randomBytes(32).toString('base64url')}`;
+  const record = await ApiToken.create({
+    name,
+    type,
+    user: user._id,
+    organization: user.organization,
+    scopes,
+    tokenHash: hashToken(token),
+    prefix: token.slice(0, API_TOKEN_PREFIXES[type].length + 4),
+    expiresAt,
+  });
+  return { token, record };
+};
+
+/**
+ * Token fields safe to return
+ */
+export const apiTokenResponse = (record) => ({
+  id: record._id,
+  name: record.name,
+  type: record.type,
+  scopes: record.scopes,
+  prefix: record.prefix,
+  user: record.user,
+  expiresAt: record.expiresAt,
+  lastUsedAt: record.lastUsedAt,
+  createdAt: record.createdAt,
+});
+
+/**
+ * Resolve a token to { user, apiToken }, or null when it is unknown, revoked,
+ * expired, or its account may no longer use it
+ */
+export const authenticateApiToken = async (token, req) => {
+  const record = await ApiToken.findOne({ tokenHash: hashToken(token), revokedAt: null });
+  if (!record || (record.expiresAt && record.expiresAt <= new Date())) return null;
+
+  const user = await User.findById(record.user).select('-password');
+  if (!user || user.organization.toString() !== record.organization.toString()) return null;
+
+  // Service keys and admin-scoped tokens stop working when their account is
+  // no longer an owner or admin
+  if (record.type === 'service' || record.scopes.includes('admin')) {
+    const organization = await Organization.findById(record.organization).select('owner');
+    if (!isAdminOrOwner(user, organization)) return null;
+  }
+
+  const now = new Date();
+  if (!record.lastUsedAt || now - record.lastUsedAt > LAST_USED_THROTTLE_MS) {
+    ApiToken.updateOne({ _id: record._id }, { $set: { lastUsedAt: now, lastUsedIp: req.ip } })
+      .catch((err) => console.error('API token lastUsedAt error:', err.message));
+  }
+
+  return { user, apiToken: record };
+};
+
+/**
+ * Check the request against the token's scopes (req.baseUrl is the mount
+ * path of the router, e.g. /api/tasks or /tasks)
+ */
+export const isAllowedByScopes = (scopes, req) => {
+  if (scopes.includes('admin')) return true;
+  if (req.method === 'GET' || req.method === 'HEAD') return true;
+
+  const base = (req.baseUrl || '').replace(/^\/api(?=\/)/, '');
+  return scopes.includes('tasks:write') && TASK_WRITE_BASES.includes(base);
+};
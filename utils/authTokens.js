@@ -0,0 +1,177 @@
+import crypto from 'crypto';
+import jwt from 'jsonwebtoken';
+import RefreshToken from '../models/refreshToken.model.js';
+import User from '../models/user.model.js';
+import Organization from '../models/organization.model.js';
+import { isTwoFactorRequired } from './permissions.js';
+
+/**
+ * Sessions: short-lived JWT access tokens plus rotating refresh tokens kept
+ * server-side. Every refresh revokes the presented token and issues a new one
+ * of the same family; presenting a token that was already used or revoked
+ * means it leaked, so the whole family (that login) is revoked.
+ */
+
+const ACCESS_TOKEN_TTL = process.env.ACCESS_TOKEN_TTL || '15m';
+const REFRESH_TOKEN_TTL_DAYS = Number(process.env.REFRESH_TOKEN_TTL_DAYS) || 30;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Secret for signing access tokens. There is no fallback: a missing
+ * JWT_SECRET must not silently sign tokens with a well-known value.
+ */
+export const getJwtSecret = () => {
+  if (!process.env.JWT_SECRET) {
+    throw new Error('JWT_SECRET is not set');
+  }
+  return process.env.JWT_SECRET;
+};
+
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+const fail = (status, msg) => ({ error: { status, msg } });
+
+/**
+ * User fields returned with a new session
+ */
+export const authUserResponse = (user) => ({
+  id: user.id,
+  name: user.name,
+  email: user.email,
+  role: user.role,
+  organization: user.organization,
+});
+
+/**
+ * Sign an access token. `ver` must match the user's tokenVersion (see
+ * middleware/auth.js); `sid` is the refresh token family of the session.
+ */
+export const signAccessToken = (user, sessionId) =>
+  jwt.sign(
+    {
+      user: {
+        id: user.id,
+        role: user.role,
+        organization: user.organization,
+      },
+      ver: user.tokenVersion || 0,
+      sid: sessionId,
+    },
+    getJwtSecret(),
+    { expiresIn: ACCESS_TOKEN_TTL }
+  );
+
+const issueRefreshToken = async (user, family, req) => {
+  const token = crypto.randomBytes(48).toString('base64url');
+  await RefreshToken.create({
+    user: user._id,
+    tokenHash: hashToken(token),
+    family,
+    expiresAt: new Date(Date.now() + REFRESH_TOKEN_TTL_DAYS * DAY_MS),
+    createdByIp: req?.ip,
+    userAgent: req?.headers?.['user-agent'],
+  });
+  return token;
+};
+
+/**
+ * Start a session for a user who just authenticated.
+ * Returns { token, refreshToken, expiresIn } for the response.
+ */
+export const createSession = async (user, req) => {
+  const family = crypto.randomUUID();
+  return {
+    token: signAccessToken(user, family),
+    refreshToken: await issueRefreshToken(user, family, req),
+    expiresIn: ACCESS_TOKEN_TTL,
+  };
+};
+
+/**
+ * Revoke every token of a family (one login)
+ */
+export const revokeFamily = (family, reason) =>
+  RefreshToken.updateMany({ family, revokedAt: null }, { $set: { revokedAt: new Date(), revokedReason: reason } });
+
+/**
+ * Revoke every session of a user: all refresh tokens, and all access tokens
+ * through the user's tokenVersion
+ */
+export const revokeAllSessions = async (userId, reason) => {
+  await RefreshToken.updateMany(
+    { user: userId, revokedAt: null },
+    { $set: { revokedAt: new Date(), revokedReason: reason } }
+  );
+  await User.updateOne({ _id: userId }, { $inc: { tokenVersion: 1 } });
+};
+
+/**
+ * Exchange a refresh token for a new access/refresh token pair
+ */
+export const rotateRefreshToken = async (refreshToken, req) => {
+  if (!refreshToken || typeof refreshToken !== 'string') {
+    return fail(400, 'refreshToken is required');
+  }
+
+  const record = await RefreshToken.findOne({ tokenHash: hashToken(refreshToken) });
+  if (!record) {
+    return fail(401, 'Invalid refresh token');
+  }
+
+  if (record.revokedAt) {
+    // A used or revoked token came back: someone else may hold the family
+    if (record.revokedReason === 'rotated') {
+      await revokeFamily(record.family, 'reuse_detected');
+      console.warn('Refresh token reuse detected:', { user: String(record.user), family: record.family });
+    }
+    return fail(401, 'Invalid refresh token');
+  }
+
+  if (record.expiresAt <= new Date()) {
+    return fail(401, 'Refresh token expired');
+  }
+
+  // Claim the token; losing the race means it was presented twice
+  const claimed = await RefreshToken.findOneAndUpdate(
+    { _id: record._id, revokedAt: null },
+    { $set: { revokedAt: new Date(), revokedReason: 'rotated' } }
+  );
+  if (!claimed) {
+    await revokeFamily(record.family, 'reuse_detected');
+    return fail(401, 'Invalid refresh token');
+  }
+
+  const user = await User.findById(record.user);
+  if (!user) {
+    await revokeFamily(record.family, 'user_deleted');
+    return fail(401, 'Invalid refresh token');
+  }
+
+  // Sessions started before the organization required 2FA end here
+  const organization = await Organization.findById(user.organization).populate('owner', '_id');
+  if (!user.twoFactor?.enabled && isTwoFactorRequired(user, organization)) {
+    await revokeFamily(record.family, 'two_factor_required');
+    return fail(401, 'Two-factor authentication is required. Please log in again.');
+  }
+
+  return {
+    user,
+    token: signAccessToken(user, record.family),
+    refreshToken: await issueRefreshToken(user, record.family, req),
+    expiresIn: ACCESS_TOKEN_TTL,
+  };
+};
+
+/**
+ * End the session a refresh token belongs to. Unknown tokens are ignored.
+ */
+export const endSession = async (refreshToken) => {
+  if (!refreshToken || typeof refreshToken !== 'string') return false;
+
+  const record = await RefreshToken.findOne({ tokenHash: hashToken(refreshToken) }).select('family');
+  if (!record) return false;
+
+  await revokeFamily(record.family, 'logout');
+  return true;
+};
@@ -0,0 +1,69 @@
+import Task from '../models/task.model.js';
+
+/**
+ * Board column (workflow status) helpers
+ */
+
+export const COLUMN_CATEGORIES = ['todo', 'in_progress', 'done'];
+
+export const DEFAULT_COLUMNS = [
+  { name: 'To Do', color: '#94a3b8', category: 'todo', isDefault: true },
+  { name: 'In Progress', color: '#3b82f6', category: 'in_progress', isDefault: false },
+  { name: 'Done', color: '#22c55e', category: 'done', isDefault: false },
+];
+
+export const buildDefaultColumns = () => DEFAULT_COLUMNS.map((c) => ({ ...c }));
+
+/**
+ * Entry column: the one flagged isDefault, otherwise the first column
+ */
+export const getEntryColumn = (board) => {
+  const columns = board?.columns || [];
+  return columns.find((c) => c.isDefault) || columns[0] || null;
+};
+
+/**
+ * Find a column by its _id or by name (case-insensitive)
+ */
+export const findColumn = (board, value) => {
+  if (value === undefined || value === null || value === '') return null;
+  const needle = String(value).trim();
+  const lower = needle.toLowerCase();
+  return (board?.columns || []).find(
+    (c) => c._id?.toString() === needle || c.name.toLowerCase() === lower
+  ) || null;
+};
+
+/**
+ * Names of all columns in the "done" category
+ */
+export const getDoneStatuses = (board) =>
+  (board?.columns || []).filter((c) => c.category === 'done').map((c) => c.name);
+
+/**
+ * Boards created before columns existed have none. Seed the defaults and move
+ * tasks with a missing/unknown status into the entry column.
+ */
+export const ensureBoardColumns = async (board) => {
+  if (board.columns && board.columns.length > 0) {
+    return board;
+  }
+
+  board.columns = buildDefaultColumns();
+  await board.save();
+
+  const entry = getEntryColumn(board);
+  await Task.updateMany(
+    {
+      board: board._id,
+      $or: [
+        { status: { $exists: false } },
+        { status: null },
+        { status: { $nin: board.columns.map((c) => c.name) } },
+      ],
+    },
+    { $set: { status: entry.name } }
+  );
+
+  return board;
+};
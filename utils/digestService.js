@@ -0,0 +1,133 @@
+import NotificationPreference from '../models/notificationPreference.model.js';
+import Notification from '../models/notification.mode.js';
+import User from '../models/user.model.js';
+import { sendNotificationDigest } from './emailService.js';
+
+/**
+ * Email digests of unread notifications. Meant to run hourly (cron endpoint
+ * or scripts/send-digests.js); each user gets a digest once their local
+ * hour/weekday is reached. A notification is included in one digest only.
+ */
+
+export const DIGEST_FREQUENCIES = ['off', 'daily', 'weekly'];
+
+const MAX_ITEMS = 20;
+
+const WEEKDAYS = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+
+export const isValidTimezone = (timezone) => {
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone: timezone });
+    return true;
+  } catch {
+    return false;
+  }
+};
+
+// Calendar date, weekday and hour of `date` in `timezone`
+const localParts = (date, timezone) => {
+  const parts = Object.fromEntries(
+    new Intl.DateTimeFormat('en-US', {
+      timeZone: isValidTimezone(timezone) ? timezone : 'UTC',
+      year: 'numeric',
+      month: '2-digit',
+      day: '2-digit',
+      weekday: 'short',
+      hour: '2-digit',
+      hourCycle: 'h23',
+    })
+      .formatToParts(date)
+      .map((p) => [p.type, p.value])
+  );
+  return {
+    date: `${parts.year}-${parts.month}-${parts.day}`,
+    weekday: WEEKDAYS.indexOf(parts.weekday),
+    hour: parseInt(parts.hour, 10),
+  };
+};
+
+/**
+ * Whether a digest is due at `now` for these settings
+ */
+export const isDigestDue = (digest, now = new Date()) => {
+  if (!digest || !['daily', 'weekly'].includes(digest.frequency)) return false;
+
+  const local = localParts(now, digest.timezone);
+  if (local.hour < (digest.hour ?? 8)) return false;
+  if (digest.frequency === 'weekly' && local.weekday !== (digest.weekday ?? 1)) return false;
+
+  // At most one digest per local day
+  return !digest.lastSentAt || localParts(digest.lastSentAt, digest.timezone).date !== local.date;
+};
+
+/**
+ * Send one user's digest if due. Returns 'sent', 'empty', 'skipped' or 'failed'.
+ */
+const sendDigest = async (preference, now) => {
+  const previous = preference.digest.lastSentAt || null;
+
+  // Claim the slot so concurrent runs do not send twice
+  const claimed = await NotificationPreference.findOneAndUpdate(
+    { _id: preference._id, 'digest.lastSentAt': previous },
+    { $set: { 'digest.lastSentAt': now } }
+  );
+  if (!claimed) return 'skipped';
+
+  const filter = { userId: preference.user, isRead: false, archivedAt: null, digestedAt: null };
+  const [notifications, total] = await Promise.all([
+    Notification.find(filter).sort({ createdAt: -1 }).limit(MAX_ITEMS),
+    Notification.countDocuments(filter),
+  ]);
+  if (total === 0) return 'empty';
+
+  const user = await User.findById(preference.user).select('name email');
+  const result = user?.email
+    ? await sendNotificationDigest(user.email, user.name, {
+      notifications,
+      total,
+      frequency: preference.digest.frequency,
+    })
+    : { success: false };
+
+  if (!result?.success) {
+    // Release the slot so the next run retries
+    await NotificationPreference.updateOne(
+      { _id: preference._id, 'digest.lastSentAt': now },
+      { $set: { 'digest.lastSentAt': previous } }
+    );
+    return 'failed';
+  }
+
+  await Notification.updateMany(
+    { ...filter, createdAt: { $lte: now } },
+    { $set: { digestedAt: now } }
+  );
+  return 'sent';
+};
+
+/**
+ * Send every digest due at `now`. `limit` caps the users handled per run
+ * (serverless time limits); the rest are picked up by the next run.
+ */
+export const sendDueDigests = async ({ now = new Date(), limit = 200 } = {}) => {
+  const summary = { checked: 0, sent: 0, empty: 0, skipped: 0, failed: 0 };
+
+  const cursor = NotificationPreference.find({ 'digest.frequency': { $in: ['daily', 'weekly'] } })
+    .select('user digest')
+    .cursor();
+
+  for await (const preference of cursor) {
+    if (!isDigestDue(preference.digest, now)) continue;
+    if (summary.checked >= limit) break;
+
+    summary.checked += 1;
+    try {
+      summary[await sendDigest(preference, now)] += 1;
+    } catch (err) {
+      console.error('Digest error:', { user: String(preference.user), error: err?.message || err });
+      summary.failed += 1;
+    }
+  }
+
+  return summary;
+};
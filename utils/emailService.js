@@ -591,3 +591,328 @@ You may ignore this email if you do not want to join the organization. This invi
     return { success: false, error: error.message };
   }
 };
+
+// Escape user-provided text for the HTML part
+const escapeHtml = (value = '') =>
+  String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+
+// Shared layout of notification-style emails (same look as the invitation email)
+const renderNotificationLayout = ({ heading, contentHtml, buttonText, buttonUrl, footerText }) => `
+        <!DOCTYPE html>
+        <html lang="en">
+        <head>
+          <meta charset="utf-8">
+          <meta name="viewport" content="width=device-width, initial-scale=1.0">
+          <title>${escapeHtml(heading)}</title>
+        </head>
+        <body style="margin: 0; padding: 0; font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, 'Helvetica Neue', Arial, sans-serif; background-color: #f3f4f6;">
+          <table role="presentation" cellspacing="0" cellpadding="0" border="0" width="100%" style="background-color: #f3f4f6;">
+            <tr>
+              <td style="padding: 40px 20px;">
+                <table role="presentation" cellspacing="0" cellpadding="0" border="0" width="100%" style="max-width: 600px; margin: 0 auto;">
+                  <tr>
+                    <td style="background: linear-gradient(135deg, #1e293b 0%, #334155 100%); padding: 32px 40px; text-align: center; border-radius: 12px 12px 0 0;">
+                      <div style="display: inline-block; background-color: #3b82f6; padding: 12px 16px; border-radius: 10px;">
+                        <span style="font-size: 24px; font-weight: 700; color: #ffffff; letter-spacing: -0.5px;">📋 Kanban</span>
+                      </div>
+                    </td>
+                  </tr>
+                  <tr>
+                    <td style="background-color: #ffffff; padding: 40px;">
+                      <h1 style="margin: 0 0 24px 0; font-size: 24px; font-weight: 700; color: #1e293b;">
+                        ${escapeHtml(heading)}
+                      </h1>
+                      ${contentHtml}
+                      ${buttonUrl ? `
+                      <div style="text-align: center; margin: 32px 0 8px 0;">
+                        <a href="${buttonUrl}"
+                           style="display: inline-block; background-color: #3b82f6; color: #ffffff; font-size: 16px; font-weight: 600; text-decoration: none; padding: 14px 40px; border-radius: 8px;">
+                          ${escapeHtml(buttonText)}
+                        </a>
+                      </div>
+                      ` : ''}
+                    </td>
+                  </tr>
+                  <tr>
+                    <td style="background-color: #f8fafc; padding: 24px 40px; border-radius: 0 0 12px 12px; border-top: 1px solid #e2e8f0;">
+                      <p style="margin: 0 0 12px 0; font-size: 13px; color: #64748b; line-height: 1.6;">
+                        ${escapeHtml(footerText)}
+                      </p>
+                      <p style="margin: 0; font-size: 12px; color: #94a3b8; text-align: center;">
+                        © ${new Date().getFullYear()} Kanban Board. All rights reserved.
+                      </p>
+                    </td>
+                  </tr>
+                </table>
+              </td>
+            </tr>
+          </table>
+        </body>
+        </html>
+      `;
+
+// Relative app links ("/boards/...") become absolute frontend URLs
+const toFrontendUrl = (link) => {
+  if (!link) return null;
+  if (/^https?:\/\//.test(link)) return link;
+  const frontendUrl = process.env.FRONTEND_URL || 'https://kanban-jira-client.vercel.app';
+  return `${frontendUrl}${link.startsWith('/') ? '' : '/'}${link}`;
+};
+
+const NOTIFICATION_FOOTER =
+  'You receive this email because of your notification preferences. You can change them in your account settings.';
+
+/**
+ * Send a single notification by email
+ * @param {string} toEmail - Recipient address
+ * @param {string} userName - Recipient name
+ * @param {object} notification - { title, body, link }
+ */
+export const sendNotificationEmail = async (toEmail, userName, { title, body, link }) => {
+  try {
+    if (!process.env.EMAIL_USER || !process.env.EMAIL_PASSWORD) {
+      console.warn('Email service not configured. Skipping email send.');
+      return { success: false, message: 'Email service not configured' };
+    }
+
+    const emailRegex = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+    if (!emailRegex.test(toEmail)) {
+      console.error('Invalid email address:', toEmail);
+      return { success: false, error: 'Invalid email address' };
+    }
+
+    const url = toFrontendUrl(link);
+
+    const mailOptions = {
+      from: `"Kanban Board" <${process.env.EMAIL_USER}>`,
+      to: toEmail,
+      replyTo: process.env.EMAIL_USER,
+      subject: title,
+      html: renderNotificationLayout({
+        heading: title,
+        contentHtml: `
+                      <p style="margin: 0 0 16px 0; font-size: 16px; color: #334155;">Hello ${escapeHtml(userName || '')},</p>
+                      <p style="margin: 0; font-size: 16px; color: #334155; line-height: 1.6;">${escapeHtml(body)}</p>`,
+        buttonText: 'Open in Kanban',
+        buttonUrl: url,
+        footerText: NOTIFICATION_FOOTER,
+      }),
+      text: `
+Hello ${userName || ''},
+
+${body}
+${url ? `\nOpen: ${url}\n` : ''}
+---
+${NOTIFICATION_FOOTER}
+      `,
+    };
+
+    return await sendEmailWithRetry(mailOptions);
+  } catch (error) {
+    console.error('Error sending notification email:', {
+      error: error.message,
+      code: error.code,
+      to: toEmail,
+    });
+    return { success: false, error: error.message };
+  }
+};
+
+/**
+ * Send a digest of unread notifications
+ * @param {string} toEmail - Recipient address
+ * @param {string} userName - Recipient name
+ * @param {object} digest - { notifications: [{ title, body, link, createdAt }], total, frequency }
+ */
+export const sendNotificationDigest = async (toEmail, userName, { notifications, total, frequency }) => {
+  try {
+    if (!process.env.EMAIL_USER || !process.env.EMAIL_PASSWORD) {
+      console.warn('Email service not configured. Skipping email send.');
+      return { success: false, message: 'Email service not configured' };
+    }
+
+    const emailRegex = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+    if (!emailRegex.test(toEmail)) {
+      console.error('Invalid email address:', toEmail);
+      return { success: false, error: 'Invalid email address' };
+    }
+
+    const period = frequency === 'weekly' ? 'weekly' : 'daily';
+    const heading = `You have ${total} unread notification${total === 1 ? '' : 's'}`;
+    const more = total - notifications.length;
+    const notificationsUrl = toFrontendUrl('/notifications');
+
+    const itemsHtml = notifications.map((n) => {
+      const url = toFrontendUrl(n.link);
+      const title = url
+        ? `<a href="${url}" style="color: #1e293b; text-decoration: none;">${escapeHtml(n.title)}</a>`
+        : escapeHtml(n.title);
+      return `
+                      <tr>
+                        <td style="padding: 12px 0; border-bottom: 1px solid #e2e8f0;">
+                          <p style="margin: 0 0 4px 0; font-size: 15px; font-weight: 600;">${title}</p>
+                          <p style="margin: 0; font-size: 14px; color: #475569;">${escapeHtml(n.body)}</p>
+                        </td>
+                      </tr>`;
+    }).join('');
+
+    const mailOptions = {
+      from: `"Kanban Board" <${process.env.EMAIL_USER}>`,
+      to: toEmail,
+      replyTo: process.env.EMAIL_USER,
+      subject: `Your ${period} Kanban digest: ${total} unread`,
+      html: renderNotificationLayout({
+        heading,
+        contentHtml: `
+                      <p style="margin: 0 0 16px 0; font-size: 16px; color: #334155;">Hello ${escapeHtml(userName || '')}, here is what you missed:</p>
+                      <table role="presentation" cellspacing="0" cellpadding="0" border="0" width="100%">${itemsHtml}
+                      </table>
+                      ${more > 0 ? `<p style="margin: 16px 0 0 0; font-size: 14px; color: #64748b;">…and ${more} more.</p>` : ''}`,
+        buttonText: 'View all notifications',
+        buttonUrl: notificationsUrl,
+        footerText: `You receive this ${period} digest because of your notification preferences. You can change them in your account settings.`,
+      }),
+      text: `
+Hello ${userName || ''},
+
+${heading}:
+
+${notifications.map((n) => `- ${n.title}: ${n.body}`).join('\n')}
+${more > 0 ? `...and ${more} more.\n` : ''}
+View all notifications: ${notificationsUrl}
+      `,
+    };
+
+    return await sendEmailWithRetry(mailOptions);
+  } catch (error) {
+    console.error('Error sending notification digest:', {
+      error: error.message,
+      code: error.code,
+      to: toEmail,
+    });
+    return { success: false, error: error.message };
+  }
+};
+
+/**
+ * Send a password reset link
+ * @param {string} toEmail - Recipient address
+ * @param {string} userName - Recipient name
+ * @param {object} reset - { resetUrl, organizationName, expiresInMinutes }
+ */
+export const sendPasswordResetEmail = async (toEmail, userName, { resetUrl, organizationName, expiresInMinutes }) => {
+  try {
+    if (!process.env.EMAIL_USER || !process.env.EMAIL_PASSWORD) {
+      console.warn('Email service not configured. Skipping email send.');
+      return { success: false, message: 'Email service not configured' };
+    }
+
+    const emailRegex = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+    if (!emailRegex.test(toEmail)) {
+      console.error('Invalid email address:', toEmail);
+      return { success: false, error: 'Invalid email address' };
+    }
+
+    const account = organizationName ? ` for ${organizationName}` : '';
+    const footer = 'If you did not ask to reset your password, you can ignore this email; your password will not change.';
+
+    const mailOptions = {
+      from: `"Kanban Board" <${process.env.EMAIL_USER}>`,
+      to: toEmail,
+      replyTo: process.env.EMAIL_USER,
+      subject: 'Reset your Kanban password',
+      html: renderNotificationLayout({
+        heading: 'Reset your password',
+        contentHtml: `
+                      <p style="margin: 0 0 16px 0; font-size: 16px; color: #334155;">Hello ${escapeHtml(userName || '')},</p>
+                      <p style="margin: 0; font-size: 16px; color: #334155; line-height: 1.6;">We received a request to reset the password of your account${escapeHtml(account)}. The link below works once and expires in ${expiresInMinutes} minutes.</p>`,
+        buttonText: 'Reset password',
+        buttonUrl: resetUrl,
+        footerText: footer,
+      }),
+      text: `
+Hello ${userName || ''},
+
+We received a request to reset the password of your account${account}.
+The link below works once and expires in ${expiresInMinutes} minutes.
+
+${resetUrl}
+
+---
+${footer}
+      `,
+    };
+
+    return await sendEmailWithRetry(mailOptions);
+  } catch (error) {
+    console.error('Error sending password reset email:', {
+      error: error.message,
+      code: error.code,
+      to: toEmail,
+    });
+    return { success: false, error: error.message };
+  }
+};
+
+/**
+ * Tell a user their account was locked after failed logins, with an unlock link
+ * @param {string} toEmail - Recipient address
+ * @param {string} userName - Recipient name
+ * @param {object} lockout - { unlockUrl, resetUrl, lockoutMinutes }
+ */
+export const sendAccountUnlockEmail = async (toEmail, userName, { unlockUrl, resetUrl, lockoutMinutes }) => {
+  try {
+    if (!process.env.EMAIL_USER || !process.env.EMAIL_PASSWORD) {
+      console.warn('Email service not configured. Skipping email send.');
+      return { success: false, message: 'Email service not configured' };
+    }
+
+    const emailRegex = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+    if (!emailRegex.test(toEmail)) {
+      console.error('Invalid email address:', toEmail);
+      return { success: false, error: 'Invalid email address' };
+    }
+
+    const footer = `If this was not you, someone may know or be guessing your password. Reset it here: ${resetUrl}`;
+
+    const mailOptions = {
+      from: `"Kanban Board" <${process.env.EMAIL_USER}>`,
+      to: toEmail,
+      replyTo: process.env.EMAIL_USER,
+      subject: 'Your Kanban account was locked',
+      html: renderNotificationLayout({
+        heading: 'Account locked',
+        contentHtml: `
+                      <p style="margin: 0 0 16px 0; font-size: 16px; color: #334155;">Hello ${escapeHtml(userName || '')},</p>
+                      <p style="margin: 0; font-size: 16px; color: #334155; line-height: 1.6;">There were too many failed attempts to sign in to your account, so sign-in is locked for ${lockoutMinutes} minutes. If it was you, the button below unlocks it right away.</p>`,
+        buttonText: 'Unlock account',
+        buttonUrl: unlockUrl,
+        footerText: footer,
+      }),
+      text: `
+Hello ${userName || ''},
+
+There were too many failed attempts to sign in to your account, so sign-in is locked for ${lockoutMinutes} minutes.
+If it was you, this link unlocks it right away:
+
+${unlockUrl}
+
+---
+${footer}
+      `,
+    };
+
+    return await sendEmailWithRetry(mailOptions);
+  } catch (error) {
+    console.error('Error sending account unlock email:', {
+      error: error.message,
+      code: error.code,
+      to: toEmail,
+    });
+    return { success: false, error: error.message };
+  }
+};
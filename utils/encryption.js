@@ -0,0 +1,25 @@
+import crypto from 'crypto';
+import { getJwtSecret } from './authTokens.js';
+
+/**
+ * Encryption of secrets stored in the database (TOTP secrets, SSO client
+ * secrets): AES-256-GCM with a key from TOTP_ENCRYPTION_KEY, else derived
+ * from JWT_SECRET
+ */
+
+const encryptionKey = () =>
+  crypto.createHash('sha256').update(process.env.TOTP_ENCRYPTION_KEY || getJwtSecret()).digest();
+
+export const encryptSecret = (secret) => {
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv('aes-256-gcm', encryptionKey(), iv);
+  const data = Buffer.concat([cipher.update(secret, 'utf8'), cipher.final()]);
+  return [iv, cipher.getAuthTag(), data].map((b) => b.toString('base64')).join('.');
+};
+
+export const decryptSecret = (stored) => {
+  const [iv, tag, data] = stored.split('.').map((part) => Buffer.from(part, 'base64'));
+  const decipher = crypto.createDecipheriv('aes-256-gcm', encryptionKey(), iv);
+  decipher.setAuthTag(tag);
+  return Buffer.concat([decipher.update(data), decipher.final()]).toString('utf8');
+};
@@ -0,0 +1,79 @@
+/**
+ * Kanban flow metrics over completed tasks (see task.startedAt/completedAt).
+ *   lead time  - created -> done
+ *   cycle time - first in-progress -> done (tasks that skipped in-progress have none)
+ * Durations are in days; weeks start on Monday (UTC).
+ */
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const round = (value) => Math.round(value * 100) / 100;
+
+/**
+ * Nearest-rank percentile of an ascending list
+ */
+export const percentile = (sorted, p) => {
+  if (sorted.length === 0) return null;
+  const index = Math.max(Math.ceil((p / 100) * sorted.length) - 1, 0);
+  return sorted[Math.min(index, sorted.length - 1)];
+};
+
+export const summarizeDurations = (values) => {
+  const sorted = values.filter((v) => v !== null).sort((a, b) => a - b);
+  const total = sorted.reduce((sum, v) => sum + v, 0);
+  return {
+    count: sorted.length,
+    average: sorted.length ? round(total / sorted.length) : null,
+    p50: percentile(sorted, 50),
+    p85: percentile(sorted, 85),
+    p95: percentile(sorted, 95),
+  };
+};
+
+const startOfWeek = (date) => {
+  const day = new Date(date);
+  day.setUTCHours(0, 0, 0, 0);
+  day.setUTCDate(day.getUTCDate() - ((day.getUTCDay() + 6) % 7));
+  return day;
+};
+
+/**
+ * Per-task times, percentile summaries and weekly throughput for tasks
+ * completed between `from` and `to`
+ */
+export const computeFlowMetrics = ({ tasks, from, to }) => {
+  const rows = tasks
+    .filter((t) => t.completedAt && t.completedAt >= from && t.completedAt <= to)
+    .map((task) => ({
+      _id: task._id,
+      issueKey: task.issueKey || null,
+      title: task.title,
+      board: task.board,
+      createdAt: task.createdAt,
+      startedAt: task.startedAt || null,
+      completedAt: task.completedAt,
+      storyPoints: task.storyPoints ?? null,
+      leadTimeDays: round((task.completedAt - task.createdAt) / DAY_MS),
+      cycleTimeDays: task.startedAt ? round((task.completedAt - task.startedAt) / DAY_MS) : null,
+    }))
+    .sort((a, b) => a.completedAt - b.completedAt);
+
+  const weeks = new Map();
+  for (let t = startOfWeek(from).getTime(); t <= to.getTime(); t += 7 * DAY_MS) {
+    weeks.set(t, { weekStart: new Date(t).toISOString().slice(0, 10), count: 0, points: 0 });
+  }
+  rows.forEach((row) => {
+    const week = weeks.get(startOfWeek(row.completedAt).getTime());
+    if (!week) return;
+    week.count += 1;
+    week.points += row.storyPoints || 0;
+  });
+
+  return {
+    completed: rows.length,
+    leadTime: summarizeDurations(rows.map((r) => r.leadTimeDays)),
+    cycleTime: summarizeDurations(rows.map((r) => r.cycleTimeDays)),
+    throughput: [...weeks.values()],
+    tasks: rows,
+  };
+};
@@ -0,0 +1,179 @@
+import Project from '../models/project.model.js';
+import Task from '../models/task.model.js';
+
+/**
+ * Human-readable issue keys. Every project has a short key (KAN) and a
+ * counter; tasks get the next number on creation (KAN-142). Renamed keys are
+ * kept in `previousKeys` so old issue keys keep resolving.
+ */
+
+const PROJECT_KEY_PATTERN = /^[A-Z][A-Z0-9]{1,9}$/;
+const ISSUE_KEY_PATTERN = /^([A-Z][A-Z0-9]{1,9})-(\d+)$/;
+
+export const normalizeProjectKey = (value) => String(value ?? '').trim().toUpperCase();
+
+export const isValidProjectKey = (key) => PROJECT_KEY_PATTERN.test(key);
+
+export const formatIssueKey = (key, issueNumber) => `${key}-${issueNumber}`;
+
+/**
+ * "kan-142" -> { key: 'KAN', issueNumber: 142 }, or null
+ */
+export const parseIssueKey = (value) => {
+  const match = ISSUE_KEY_PATTERN.exec(normalizeProjectKey(value));
+  if (!match) return null;
+
+  const issueNumber = parseInt(match[2], 10);
+  return issueNumber > 0 ? { key: match[1], issueNumber } : null;
+};
+
+/**
+ * True when the key (current or previous) belongs to another project of the
+ * organization
+ */
+export const isProjectKeyTaken = async (organizationId, key, exceptProjectId = null) => {
+  const filter = {
+    organization: organizationId,
+    $or: [{ key }, { previousKeys: key }],
+  };
+  if (exceptProjectId) filter._id = { $ne: exceptProjectId };
+  return !!(await Project.exists(filter));
+};
+
+// "Kanban Board" -> KB, "Marketing" -> MARK
+const suggestProjectKey = (name) => {
+  const words = String(name || '')
+    .toUpperCase()
+    .replace(/[^A-Z0-9 ]/g, ' ')
+    .split(/\s+/)
+    .filter(Boolean);
+
+  let key = words.length > 1
+    ? words.map((w) => w[0]).join('').slice(0, 4)
+    : (words[0] || '').slice(0, 4);
+
+  key = key.replace(/^[0-9]+/, '');
+  return key.length >= 2 ? key : `P${key || 'RJ'}`.slice(0, 4);
+};
+
+/**
+ * A key derived from the project name that is free in the organization
+ */
+export const generateProjectKey = async (organizationId, name) => {
+  const base = suggestProjectKey(name);
+  let key = base;
+  for (let i = 2; await isProjectKeyTaken(organizationId, key); i++) {
+    key = `${base}${i}`;
+  }
+  return key;
+};
+
+/**
+ * Give a legacy project a key. Returns the key.
+ */
+export const ensureProjectKey = async (project) => {
+  if (project.key) return project.key;
+
+  const key = await generateProjectKey(project.organization._id || project.organization, project.name);
+  const updated = await Project.findOneAndUpdate(
+    { _id: project._id, key: null },
+    { $set: { key } },
+    { new: true }
+  );
+
+  // Another request may have set it first
+  project.key = updated ? updated.key : (await Project.findById(project._id).select('key')).key;
+  return project.key;
+};
+
+/**
+ * Reserve `count` consecutive issue numbers. Returns the first one.
+ */
+const allocateIssueNumbers = async (projectId, count = 1) => {
+  const updated = await Project.findByIdAndUpdate(
+    projectId,
+    { $inc: { issueCounter: count } },
+    { new: true }
+  );
+  return updated.issueCounter - count + 1;
+};
+
+/**
+ * Issue fields for a new task of the project
+ */
+export const nextIssueFields = async (project) => {
+  const key = await ensureProjectKey(project);
+  const issueNumber = await allocateIssueNumbers(project._id);
+  return {
+    project: project._id,
+    issueNumber,
+    issueKey: formatIssueKey(key, issueNumber),
+  };
+};
+
+/**
+ * Number the board's tasks created before issue keys existed, oldest first
+ */
+export const ensureIssueKeys = async (project, boardId) => {
+  const legacy = await Task.find({ board: boardId, issueNumber: null })
+    .select('_id')
+    .sort({ createdAt: 1, _id: 1 });
+  if (legacy.length === 0) return;
+
+  const key = await ensureProjectKey(project);
+  const first = await allocateIssueNumbers(project._id, legacy.length);
+
+  // Concurrent backfills only waste numbers; a task is numbered once
+  await Task.bulkWrite(
+    legacy.map((task, i) => ({
+      updateOne: {
+        filter: { _id: task._id, issueNumber: null },
+        update: {
+          $set: {
+            project: project._id,
+            issueNumber: first + i,
+            issueKey: formatIssueKey(key, first + i),
+          },
+        },
+      },
+    }))
+  );
+};
+
+/**
+ * Change the project key. The old key stays resolvable and the tasks'
+ * denormalized issue keys are rewritten.
+ */
+export const renameProjectKey = async (project, newKey) => {
+  const oldKey = project.key;
+  if (oldKey === newKey) return;
+
+  const previousKeys = (project.previousKeys || []).filter((k) => k !== newKey);
+  if (oldKey && !previousKeys.includes(oldKey)) previousKeys.push(oldKey);
+
+  project.key = newKey;
+  project.previousKeys = previousKeys;
+  await project.save();
+
+  await Task.updateMany(
+    { project: project._id, issueNumber: { $type: 'number' } },
+    [{ $set: { issueKey: { $concat: [newKey, '-', { $toString: '$issueNumber' }] } } }],
+    { updatePipeline: true }
+  );
+};
+
+/**
+ * Find a task of the organization by issue key (current or previous project key)
+ */
+export const findTaskByIssueKey = async (organizationId, issueKey) => {
+  const parsed = parseIssueKey(issueKey);
+  if (!parsed) return null;
+
+  const project = await Project.findOne({
+    organization: organizationId,
+    $or: [{ key: parsed.key }, { previousKeys: parsed.key }],
+  }).select('_id');
+  if (!project) return null;
+
+  return Task.findOne({ project: project._id, issueNumber: parsed.issueNumber });
+};
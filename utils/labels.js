@@ -0,0 +1,23 @@
+import mongoose from 'mongoose';
+import Label from '../models/label.model.js';
+
+/**
+ * Accept labels as an array, a single id or a comma-separated string
+ */
+export const parseLabelIds = (value) => {
+  if (value === undefined) return undefined;
+  if (value === null || value === '') return [];
+  const list = Array.isArray(value) ? value : String(value).split(',');
+  return [...new Set(list.map((v) => String(v).trim()).filter(Boolean))];
+};
+
+/**
+ * True when every id is a label of the project
+ */
+export const areProjectLabels = async (labelIds, projectId) => {
+  if (!labelIds.length) return true;
+  if (!labelIds.every((id) => mongoose.Types.ObjectId.isValid(id))) return false;
+
+  const count = await Label.countDocuments({ _id: { $in: labelIds }, project: projectId });
+  return count === labelIds.length;
+};
@@ -0,0 +1,128 @@
+import LoginAttempt from '../models/loginAttempt.model.js';
+
+/**
+ * Storage for failed login attempts (see utils/loginThrottle.js). A record is
+ * { failures, lastFailureAt, lockedUntil, expiresAt } per key. Every store has:
+ *   get(key, now)                  the record, or null when none or expired
+ *   increment(key, { now, ttlMs }) add a failure; returns the record
+ *   lock(key, { until, ttlMs, now }) lock and restart the failure count;
+ *                                  returns false when it was already locked
+ *   clear(key)
+ *
+ * The memory store is per process, fine for a single server. Serverless
+ * instances do not share memory, so deployments there use the Mongo store
+ * (LOGIN_ATTEMPT_STORE=mongo, the default on Vercel).
+ */
+
+// Memory store size limit; the oldest keys are dropped beyond it
+const MAX_MEMORY_KEYS = 10000;
+
+export const createMemoryStore = () => {
+  const records = new Map();
+
+  const get = (key, now = new Date()) => {
+    const record = records.get(key);
+    if (!record) return null;
+    if (record.expiresAt <= now) {
+      records.delete(key);
+      return null;
+    }
+    return record;
+  };
+
+  return {
+    async get(key, now) {
+      return get(key, now);
+    },
+
+    async increment(key, { now = new Date(), ttlMs }) {
+      const existing = get(key, now);
+      const expiresAt = new Date(now.getTime() + ttlMs);
+      const record = {
+        failures: (existing?.failures || 0) + 1,
+        lastFailureAt: now,
+        lockedUntil: existing?.lockedUntil || null,
+        expiresAt: existing && existing.expiresAt > expiresAt ? existing.expiresAt : expiresAt,
+      };
+
+      records.delete(key);
+      records.set(key, record);
+      if (records.size > MAX_MEMORY_KEYS) {
+        records.delete(records.keys().next().value);
+      }
+      return record;
+    },
+
+    async lock(key, { until, ttlMs, now = new Date() }) {
+      const record = get(key, now);
+      if (record?.lockedUntil > now) return false;
+
+      records.set(key, {
+        failures: 0,
+        lastFailureAt: record?.lastFailureAt || now,
+        lockedUntil: until,
+        expiresAt: new Date(until.getTime() + ttlMs),
+      });
+      return true;
+    },
+
+    async clear(key) {
+      records.delete(key);
+    },
+  };
+};
+
+export const createMongoStore = () => ({
+  async get(key, now = new Date()) {
+    return LoginAttempt.findOne({ key, expiresAt: { $gt: now } }).lean();
+  },
+
+  async increment(key, { now = new Date(), ttlMs }) {
+    // The TTL monitor runs about once a minute; drop an expired record first
+    await LoginAttempt.deleteOne({ key, expiresAt: { $lte: now } });
+
+    const update = () =>
+      LoginAttempt.findOneAndUpdate(
+        { key },
+        {
+          $inc: { failures: 1 },
+          $set: { lastFailureAt: now },
+          $max: { expiresAt: new Date(now.getTime() + ttlMs) },
+        },
+        { upsert: true, new: true }
+      ).lean();
+
+    try {
+      return await update();
+    } catch (err) {
+      // Two first failures raced on the upsert
+      if (err.code === 11000) return update();
+      throw err;
+    }
+  },
+
+  async lock(key, { until, ttlMs, now = new Date() }) {
+    const result = await LoginAttempt.updateOne(
+      { key, $or: [{ lockedUntil: null }, { lockedUntil: { $lte: now } }] },
+      { $set: { failures: 0, lockedUntil: until, expiresAt: new Date(until.getTime() + ttlMs) } }
+    );
+    return result.modifiedCount === 1;
+  },
+
+  async clear(key) {
+    await LoginAttempt.deleteOne({ key });
+  },
+});
+
+let store;
+
+/**
+ * The configured store (LOGIN_ATTEMPT_STORE=memory|mongo)
+ */
+export const getLoginAttemptStore = () => {
+  if (!store) {
+    const type = process.env.LOGIN_ATTEMPT_STORE || (process.env.VERCEL ? 'mongo' : 'memory');
+    store = type === 'mongo' ? createMongoStore() : createMemoryStore();
+  }
+  return store;
+};
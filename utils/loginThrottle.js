@@ -0,0 +1,182 @@
+import jwt from 'jsonwebtoken';
+import User from '../models/user.model.js';
+import { getJwtSecret } from './authTokens.js';
+import { getLoginAttemptStore } from './loginAttemptStore.js';
+import { sendAccountUnlockEmail } from './emailService.js';
+
+/**
+ * Brute-force protection for logins. Failed attempts are counted per account
+ * email and per IP address. After a few free attempts each further one must
+ * wait twice as long as the previous (exponential backoff); past the lockout
+ * threshold the key is locked for a while. A locked account gets an email
+ * with an unlock link. Counts are forgotten after a quiet period and an
+ * account's count is cleared by a successful login.
+ */
+
+const MINUTE_MS = 60 * 1000;
+
+const ATTEMPT_WINDOW_MS = 15 * MINUTE_MS;
+export const LOCKOUT_MINUTES = 30;
+const BACKOFF_BASE_MS = 1000;
+const MAX_BACKOFF_MS = 5 * MINUTE_MS;
+
+// IP limits are higher: offices and mobile networks share addresses
+const POLICIES = {
+  account: { freeAttempts: 3, lockAfter: 10 },
+  ip: { freeAttempts: 20, lockAfter: 100 },
+};
+
+const UNLOCK_PURPOSE = 'account_unlock';
+
+const accountKey = (email) => ({ key: `account:${String(email).trim().toLowerCase()}`, policy: POLICIES.account });
+const ipKey = (ip) => ({ key: `ip:${ip || 'unknown'}`, policy: POLICIES.ip });
+
+/**
+ * Keys of a login attempt
+ */
+export const loginKeys = ({ email, ip }) => [accountKey(email), ipKey(ip)];
+
+/**
+ * Keys of a second-factor attempt (6-digit codes must not be guessable
+ * within one challenge token)
+ */
+export const twoFactorKeys = ({ userId, ip }) => [
+  { key: `two_factor:${userId}`, policy: POLICIES.account },
+  ipKey(ip),
+];
+
+const backoffMs = (failures, policy) =>
+  failures < policy.freeAttempts
+    ? 0
+    : Math.min(BACKOFF_BASE_MS * 2 ** (failures - policy.freeAttempts), MAX_BACKOFF_MS);
+
+/**
+ * Whether an attempt may be made now. Returns null when it may, otherwise
+ * { retryAfter (seconds), locked }.
+ */
+export const checkAttempts = async (keys, now = new Date()) => {
+  const store = getLoginAttemptStore();
+  let blocked = null;
+
+  for (const { key, policy } of keys) {
+    const record = await store.get(key, now);
+    if (!record) continue;
+
+    const locked = record.lockedUntil > now;
+    const allowedAt = locked
+      ? record.lockedUntil.getTime()
+      : record.lastFailureAt.getTime() + backoffMs(record.failures, policy);
+
+    if (allowedAt > now.getTime()) {
+      const retryAfter = Math.ceil((allowedAt - now.getTime()) / 1000);
+      if (!blocked || retryAfter > blocked.retryAfter) blocked = { retryAfter, locked };
+    }
+  }
+
+  return blocked;
+};
+
+/**
+ * Count a failed attempt. Returns the keys this failure locked.
+ */
+export const recordFailedAttempt = async (keys, now = new Date()) => {
+  const store = getLoginAttemptStore();
+  const locked = [];
+
+  for (const { key, policy } of keys) {
+    const record = await store.increment(key, { now, ttlMs: ATTEMPT_WINDOW_MS });
+    if (record.failures >= policy.lockAfter) {
+      const until = new Date(now.getTime() + LOCKOUT_MINUTES * MINUTE_MS);
+      if (await store.lock(key, { until, ttlMs: ATTEMPT_WINDOW_MS, now })) {
+        locked.push({ key, until });
+      }
+    }
+  }
+
+  return locked;
+};
+
+export const clearAttempts = async (keys) => {
+  const store = getLoginAttemptStore();
+  for (const { key } of keys) {
+    await store.clear(key);
+  }
+};
+
+/**
+ * 429 response for a blocked attempt
+ */
+export const sendThrottled = (res, blocked) =>
+  res
+    .set('Retry-After', String(blocked.retryAfter))
+    .status(429)
+    .json({
+      msg: blocked.locked
+        ? 'Too many failed attempts. Sign-in is locked for now; check your email to unlock your account or try again later.'
+        : `Too many failed attempts. Try again in ${blocked.retryAfter} seconds.`,
+      retryAfter: blocked.retryAfter,
+    });
+
+const sendUnlockEmail = async (email, until) => {
+  const users = await User.find({ email: String(email).toLowerCase() }).select('name email').limit(1);
+  if (!users.length) return;
+
+  const token = jwt.sign(
+    { purpose: UNLOCK_PURPOSE, email: users[0].email, lockedUntil: until.getTime() },
+    getJwtSecret(),
+    { expiresIn: `${LOCKOUT_MINUTES}m` }
+  );
+  const frontendUrl = process.env.FRONTEND_URL || 'http://localhost:3000';
+
+  await sendAccountUnlockEmail(users[0].email, users[0].name, {
+    unlockUrl: `${frontendUrl}/unlock-account?token=${token}`,
+    resetUrl: `${frontendUrl}/forgot-password`,
+    lockoutMinutes: LOCKOUT_MINUTES,
+  });
+};
+
+/**
+ * Count a failed login; emails the account when this failure locked it
+ */
+export const recordLoginFailure = async ({ email, ip }) => {
+  const keys = loginKeys({ email, ip });
+  const locked = await recordFailedAttempt(keys);
+
+  const accountLock = locked.find(({ key }) => key === keys[0].key);
+  if (accountLock) {
+    console.warn('Account locked after failed logins:', { key: accountLock.key, ip });
+    try {
+      await sendUnlockEmail(email, accountLock.until);
+    } catch (err) {
+      console.error('Unlock email error:', err.message);
+    }
+  }
+};
+
+/**
+ * Forget an account's failed logins (successful login, password reset)
+ */
+export const clearLoginFailures = (email) => clearAttempts([accountKey(email)]);
+
+/**
+ * Unlock an account with the token from the unlock email. The token only
+ * works for the lockout it was sent for. Returns true when it was valid.
+ */
+export const unlockAccount = async (token) => {
+  if (!token || typeof token !== 'string') return false;
+
+  let decoded;
+  try {
+    decoded = jwt.verify(token, getJwtSecret());
+  } catch {
+    return false;
+  }
+  if (decoded.purpose !== UNLOCK_PURPOSE || !decoded.email) return false;
+
+  const { key } = accountKey(decoded.email);
+  const record = await getLoginAttemptStore().get(key);
+  if (!record?.lockedUntil || record.lockedUntil.getTime() !== decoded.lockedUntil) return false;
+
+  await clearAttempts([{ key }]);
+  return true;
+};
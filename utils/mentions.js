@@ -0,0 +1,57 @@
+import User from '../models/user.model.js';
+import { notifyUsers } from './notificationService.js';
+
+/**
+ * @mentions in comments. Mentions are written as `@[Name](userId)` and only
+ * count for users who can see the task: members of its project, or org
+ * admins/owners of the project's organization (same rule as the access
+ * loaders).
+ */
+
+const MENTION_PATTERN = /@\[([^\]]+)\]\(([^)]+)\)/g;
+
+const SNIPPET_LENGTH = 140;
+
+/**
+ * Keep only the users that have access to tasks of `project`
+ */
+export const filterUsersWithTaskAccess = async (userIds, project) => {
+  if (!userIds.length) return [];
+
+  const memberIds = new Set(
+    project.members.filter((m) => m?.user).map((m) => (m.user._id || m.user).toString())
+  );
+  const users = await User.find({
+    _id: { $in: userIds },
+    organization: project.organization._id || project.organization,
+  }).select('role');
+
+  return users
+    .filter((u) => memberIds.has(u._id.toString()) || u.role === 'owner' || u.role === 'admin')
+    .map((u) => u._id.toString());
+};
+
+// Comment text with mention markup reduced to "@Name"
+const toPlainText = (text) => text.replace(MENTION_PATTERN, '@$1');
+
+const snippet = (text) => {
+  const plain = toPlainText(text);
+  return plain.length > SNIPPET_LENGTH ? `${plain.slice(0, SNIPPET_LENGTH - 1)}…` : plain;
+};
+
+/**
+ * Notify mentioned users (never the author). Delivery is best effort.
+ */
+export const notifyMentionedUsers = ({ userIds, comment, task, author }) => {
+  const boardId = (task.board._id || task.board).toString();
+
+  return notifyUsers({
+    userIds,
+    exclude: [author],
+    type: 'MENTIONED',
+    title: 'You were mentioned',
+    body: `${author.name || 'Someone'} mentioned you on ${task.title}: ${snippet(comment.text)}`,
+    link: `/boards/${boardId}?task=${task._id}`,
+    data: { taskId: String(task._id), boardId, commentId: String(comment._id) },
+  });
+};
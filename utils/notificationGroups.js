@@ -0,0 +1,53 @@
+import mongoose from 'mongoose';
+import Notification from '../models/notification.mode.js';
+import Task from '../models/task.model.js';
+import { getGroupLabel } from './notificationTypes.js';
+
+/**
+ * In-app notifications with grouping. A groupable event (see `groupLabel` in
+ * notificationTypes.js) on a task the user still has an unread notification
+ * of the same type for is folded into that notification, e.g.
+ * "3 status changes on KAN-12", and bumps its `eventAt` so it moves to the
+ * top of the list. Its `digestedAt` is kept, so digests do not send it again.
+ */
+
+const getGroupKey = (data) => {
+  if (!getGroupLabel(data?.type) || !data.taskId) return null;
+  return `${data.type}:${data.taskId}`;
+};
+
+const groupTitle = async (data, count) => {
+  const task = mongoose.Types.ObjectId.isValid(data.taskId)
+    ? await Task.findById(data.taskId).select('title issueKey')
+    : null;
+  const subject = task?.issueKey || (task ? `"${task.title}"` : 'a task');
+  return `${count} ${getGroupLabel(data.type)} on ${subject}`;
+};
+
+/**
+ * Save an in-app notification, folding it into an open group if any
+ */
+export const createInAppNotification = async ({ userId, title, body, link, data = {} }) => {
+  const groupKey = getGroupKey(data);
+  if (!groupKey) {
+    return Notification.create({ userId, title, body, link, data });
+  }
+
+  const group = await Notification.findOneAndUpdate(
+    { userId, groupKey, isRead: false, archivedAt: null },
+    { $inc: { groupCount: 1 }, $set: { body, link, data, eventAt: new Date() } },
+    { new: true }
+  );
+  if (!group) {
+    return Notification.create({ userId, title, body, link, data, groupKey });
+  }
+
+  // Skipped when a concurrent event already counted past this one: its title
+  // is the newer one
+  group.title = await groupTitle(data, group.groupCount);
+  await Notification.updateOne(
+    { _id: group._id, groupCount: group.groupCount },
+    { $set: { title: group.title } }
+  );
+  return group;
+};
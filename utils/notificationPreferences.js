@@ -0,0 +1,54 @@
+import NotificationPreference from '../models/notificationPreference.model.js';
+import {
+  NOTIFICATION_CHANNELS,
+  NOTIFICATION_TYPES,
+  getDefaultChannels,
+} from './notificationTypes.js';
+
+// Saved switches on top of the type's defaults
+const mergeChannels = (type, saved) => {
+  const channels = getDefaultChannels(type);
+  NOTIFICATION_CHANNELS.forEach((channel) => {
+    if (typeof saved?.[channel] === 'boolean') channels[channel] = saved[channel];
+  });
+  return channels;
+};
+
+/**
+ * Effective preferences of a user for every known type
+ */
+export const getUserPreferences = async (userId) => {
+  const doc = await NotificationPreference.findOne({ user: userId });
+  return Object.fromEntries(
+    Object.keys(NOTIFICATION_TYPES).map((type) => [type, mergeChannels(type, doc?.types?.get(type))])
+  );
+};
+
+/**
+ * Digest settings of a user (defaults when never saved)
+ */
+export const getDigestSettings = async (userId) => {
+  const doc = await NotificationPreference.findOne({ user: userId }).select('digest');
+  const digest = doc?.digest || {};
+  return {
+    frequency: digest.frequency || 'off',
+    timezone: digest.timezone || 'UTC',
+    hour: digest.hour ?? 8,
+    weekday: digest.weekday ?? 1,
+    lastSentAt: digest.lastSentAt || null,
+  };
+};
+
+/**
+ * Channels a notification of `type` should be delivered on for the user.
+ * Falls back to the defaults if preferences cannot be read.
+ */
+export const getDeliveryChannels = async (userId, type) => {
+  try {
+    const doc = await NotificationPreference.findOne({ user: userId }).select('types');
+    return mergeChannels(type, doc?.types?.get(type));
+  } catch (err) {
+    console.error('Notification preference lookup error:', err?.message || err);
+    return getDefaultChannels(type);
+  }
+};
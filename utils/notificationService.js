@@ -0,0 +1,57 @@
+import mongoose from 'mongoose';
+import User from '../models/user.model.js';
+import { sendPushToUser } from './pushService.js';
+import { isNotificationType } from './notificationTypes.js';
+
+/**
+ * Internal notification API. Controllers and jobs notify users through here;
+ * there is no public endpoint to create notifications. Delivery goes through
+ * sendPushToUser, which applies each user's channel preferences (in-app,
+ * push, email).
+ */
+
+// Recipients notified at a time, so a broadcast does not open hundreds of
+// connections at once
+const BATCH_SIZE = 20;
+
+const toIdString = (value) => String(value?._id || value);
+
+/**
+ * Notify users of one event, skipping `exclude` (usually the actor).
+ * Delivery is best effort: failures are logged, never thrown.
+ * Returns the number of users notified.
+ */
+export const notifyUsers = async ({ userIds, exclude = [], type, title, body, link = '/', data = {} }) => {
+  if (!isNotificationType(type)) {
+    console.error('Notification skipped: unknown type', type);
+    return 0;
+  }
+
+  const skip = new Set(exclude.filter(Boolean).map(toIdString));
+  const recipients = [...new Set(userIds.filter(Boolean).map(toIdString))].filter((id) => !skip.has(id));
+
+  for (let i = 0; i < recipients.length; i += BATCH_SIZE) {
+    await Promise.all(
+      recipients.slice(i, i + BATCH_SIZE).map(async (uid) => {
+        try {
+          await sendPushToUser({ userId: uid, title, body, link, data: { ...data, type } });
+        } catch (err) {
+          console.error('Notification error:', { userId: uid, error: err?.message || err });
+        }
+      })
+    );
+  }
+
+  return recipients.length;
+};
+
+/**
+ * Ids of the users among `userIds` that belong to the organization
+ */
+export const filterOrganizationMembers = async (userIds, organizationId) => {
+  const ids = userIds.filter((id) => mongoose.Types.ObjectId.isValid(id));
+  if (!ids.length) return [];
+
+  const users = await User.find({ _id: { $in: ids }, organization: organizationId }).select('_id');
+  return users.map((u) => u._id.toString());
+};
@@ -0,0 +1,74 @@
+/**
+ * Notification event types and the channels they can be delivered on.
+ * `defaults` apply until a user changes their preferences. Types with a
+ * `groupLabel` collapse repeated events on the same task into one
+ * notification ("3 status changes on KAN-12").
+ */
+
+export const NOTIFICATION_CHANNELS = ['inApp', 'push', 'email'];
+
+export const NOTIFICATION_TYPES = {
+  TASK_ASSIGNED: {
+    label: 'Assigned to a task',
+    defaults: { inApp: true, push: true, email: false },
+  },
+  TASK_UPDATED: {
+    label: 'A task you watch was updated',
+    groupLabel: 'updates',
+    defaults: { inApp: true, push: true, email: false },
+  },
+  TASK_STATUS_UPDATED: {
+    label: 'A task you watch was moved',
+    groupLabel: 'moves',
+    defaults: { inApp: true, push: true, email: false },
+  },
+  STATUS_CHANGED: {
+    label: 'A task you watch changed status',
+    groupLabel: 'status changes',
+    defaults: { inApp: true, push: true, email: false },
+  },
+  COMMENT_ADDED: {
+    label: 'New comment on a task you watch',
+    groupLabel: 'new comments',
+    defaults: { inApp: true, push: true, email: false },
+  },
+  DUE_DATE_CHANGED: {
+    label: 'The due date of a task you watch changed',
+    groupLabel: 'due date changes',
+    defaults: { inApp: true, push: true, email: false },
+  },
+  ATTACHMENT_ADDED: {
+    label: 'A file was attached to a task you watch',
+    groupLabel: 'new attachments',
+    defaults: { inApp: true, push: true, email: false },
+  },
+  MENTIONED: {
+    label: 'Someone mentioned you in a comment',
+    defaults: { inApp: true, push: true, email: false },
+  },
+  ANNOUNCEMENT: {
+    label: 'Announcements from organization admins',
+    defaults: { inApp: true, push: true, email: false },
+  },
+  DUE_SOON: {
+    label: 'A task assigned to you is due soon',
+    defaults: { inApp: true, push: true, email: false },
+  },
+  OVERDUE: {
+    label: 'A task assigned to you is overdue',
+    defaults: { inApp: true, push: true, email: false },
+  },
+};
+
+// Events without a known type keep the historical behaviour
+const FALLBACK_DEFAULTS = { inApp: true, push: true, email: false };
+
+export const isNotificationType = (type) =>
+  Object.prototype.hasOwnProperty.call(NOTIFICATION_TYPES, type);
+
+export const getGroupLabel = (type) =>
+  (isNotificationType(type) && NOTIFICATION_TYPES[type].groupLabel) || null;
+
+export const getDefaultChannels = (type) => ({
+  ...(isNotificationType(type) ? NOTIFICATION_TYPES[type].defaults : FALLBACK_DEFAULTS),
+});
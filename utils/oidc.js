@@ -0,0 +1,167 @@
+import crypto from 'crypto';
+import jwt from 'jsonwebtoken';
+
+/**
+ * OpenID Connect relying party: discovery, authorization code flow with PKCE
+ * and ID token verification against the provider's JWKS. Only what SSO
+ * login needs (utils/sso.js); provider metadata and keys are cached in
+ * memory for an hour.
+ */
+
+const CACHE_TTL_MS = 60 * 60 * 1000;
+const FETCH_TIMEOUT_MS = 10 * 1000;
+
+const ID_TOKEN_ALGORITHMS = ['RS256', 'RS384', 'RS512', 'PS256', 'PS384', 'PS512', 'ES256', 'ES384', 'ES512'];
+
+const discoveryCache = new Map();
+const jwksCache = new Map();
+
+const base64url = (buffer) => buffer.toString('base64url');
+
+const fetchJson = async (url, options = {}) => {
+  const response = await fetch(url, { ...options, signal: AbortSignal.timeout(FETCH_TIMEOUT_MS) });
+  const body = await response.json().catch(() => null);
+  if (!response.ok) {
+    const reason = body?.error_description || body?.error || response.statusText;
+    throw new Error(`OIDC request to ${new URL(url).origin} failed: ${response.status} ${reason}`);
+  }
+  if (!body) {
+    throw new Error(`OIDC request to ${new URL(url).origin} returned no JSON`);
+  }
+  return body;
+};
+
+/**
+ * Provider URLs must use https; plain http is accepted for localhost (mock
+ * IdP)
+ */
+export const isSecureUrl = (value) => {
+  try {
+    const url = new URL(value);
+    return (
+      url.protocol === 'https:' ||
+      (url.protocol === 'http:' && ['localhost', '127.0.0.1', '[::1]'].includes(url.hostname))
+    );
+  } catch {
+    return false;
+  }
+};
+
+export const isValidIssuerUrl = (issuer) => {
+  if (!isSecureUrl(issuer)) return false;
+  const url = new URL(issuer);
+  return !url.search && !url.hash;
+};
+
+/**
+ * Provider metadata (/.well-known/openid-configuration)
+ */
+export const getDiscovery = async (issuer) => {
+  const cached = discoveryCache.get(issuer);
+  if (cached && Date.now() - cached.fetchedAt < CACHE_TTL_MS) return cached.value;
+
+  const value = await fetchJson(`${issuer.replace(/\/$/, '')}/.well-known/openid-configuration`);
+  if (value.issuer !== issuer) {
+    throw new Error(`OIDC issuer mismatch: expected ${issuer}, provider says ${value.issuer}`);
+  }
+  for (const field of ['authorization_endpoint', 'token_endpoint', 'jwks_uri']) {
+    if (!value[field]) throw new Error(`OIDC provider metadata has no ${field}`);
+    if (!isSecureUrl(value[field])) throw new Error(`OIDC provider ${field} must use https`);
+  }
+
+  discoveryCache.set(issuer, { value, fetchedAt: Date.now() });
+  return value;
+};
+
+/**
+ * Random state, nonce and PKCE pair for one sign-in
+ */
+export const createAuthRequest = () => {
+  const codeVerifier = base64url(crypto.randomBytes(32));
+  return {
+    state: base64url(crypto.randomBytes(32)),
+    nonce: base64url(crypto.randomBytes(16)),
+    codeVerifier,
+    codeChallenge: base64url(crypto.createHash('sha256').update(codeVerifier).digest()),
+  };
+};
+
+export const buildAuthorizationUrl = (discovery, { clientId, redirectUri, state, nonce, codeChallenge, loginHint }) => {
+  const url = new URL(discovery.authorization_endpoint);
+  url.searchParams.set('response_type', 'code');
+  url.searchParams.set('client_id', clientId);
+  url.searchParams.set('redirect_uri', redirectUri);
+  url.searchParams.set('scope', 'openid email profile');
+  url.searchParams.set('state', state);
+  url.searchParams.set('nonce', nonce);
+  url.searchParams.set('code_challenge', codeChallenge);
+  url.searchParams.set('code_challenge_method', 'S256');
+  if (loginHint) url.searchParams.set('login_hint', loginHint);
+  return url.toString();
+};
+
+/**
+ * Exchange an authorization code for tokens (client_secret_basic)
+ */
+export const exchangeCode = (discovery, { clientId, clientSecret, code, redirectUri, codeVerifier }) => {
+  const credentials = Buffer.from(
+    `${encodeURIComponent(clientId)}:${encodeURIComponent(clientSecret || '')}`
+  ).toString('base64');
+
+  return fetchJson(discovery.token_endpoint, {
+    method: 'POST',
+    headers: {
+      'Content-Type': 'application/x-www-form-urlencoded',
+      Accept: 'application/json',
+      Authorization: `Basic ${credentials}`,
+    },
+    body: new URLSearchParams({
+      grant_type: 'authorization_code',
+      code,
+      redirect_uri: redirectUri,
+      code_verifier: codeVerifier,
+    }),
+  });
+};
+
+const getSigningKey = async (jwksUri, kid) => {
+  const find = (keys) => (kid ? keys.find((k) => k.kid === kid) : keys.length === 1 ? keys[0] : null);
+
+  const cached = jwksCache.get(jwksUri);
+  let key = cached && Date.now() - cached.fetchedAt < CACHE_TTL_MS ? find(cached.keys) : null;
+
+  // Unknown kid: the provider may have rotated its keys
+  if (!key) {
+    const { keys = [] } = await fetchJson(jwksUri);
+    jwksCache.set(jwksUri, { keys, fetchedAt: Date.now() });
+    key = find(keys);
+  }
+  if (!key) throw new Error('OIDC signing key not found');
+
+  return crypto.createPublicKey({ key, format: 'jwk' });
+};
+
+/**
+ * Verify an ID token (signature, issuer, audience, expiry, nonce).
+ * Returns its claims.
+ */
+export const verifyIdToken = async (discovery, idToken, { clientId, nonce }) => {
+  const decoded = jwt.decode(idToken, { complete: true });
+  if (!decoded?.header) throw new Error('Malformed ID token');
+
+  const key = await getSigningKey(discovery.jwks_uri, decoded.header.kid);
+  const claims = jwt.verify(idToken, key, {
+    algorithms: ID_TOKEN_ALGORITHMS,
+    issuer: discovery.issuer,
+    audience: clientId,
+    clockTolerance: 60,
+  });
+
+  if (claims.nonce !== nonce) throw new Error('ID token nonce mismatch');
+  if (Array.isArray(claims.aud) && claims.aud.length > 1 && claims.azp !== clientId) {
+    throw new Error('ID token azp mismatch');
+  }
+  if (!claims.sub) throw new Error('ID token has no subject');
+
+  return claims;
+};
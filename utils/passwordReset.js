@@ -0,0 +1,52 @@
+import crypto from 'crypto';
+import bcrypt from 'bcryptjs';
+import PasswordResetToken from '../models/passwordResetToken.model.js';
+
+/**
+ * Password helpers shared by the reset and change-password flows
+ */
+
+export const MIN_PASSWORD_LENGTH = 6;
+
+export const RESET_TOKEN_TTL_MINUTES = 60;
+
+export const hashPassword = async (password) => {
+  const salt = await bcrypt.genSalt(10);
+  return bcrypt.hash(password, salt);
+};
+
+export const isValidPassword = (password) =>
+  typeof password === 'string' && password.length >= MIN_PASSWORD_LENGTH;
+
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+/**
+ * Issue a reset token for a user; earlier unused tokens stop working.
+ * Returns the raw token for the email link.
+ */
+export const createPasswordResetToken = async (user, req) => {
+  await PasswordResetToken.deleteMany({ user: user._id, usedAt: null });
+
+  const token = crypto.randomBytes(32).toString('hex');
+  await PasswordResetToken.create({
+    user: user._id,
+    tokenHash: hashToken(token),
+    expiresAt: new Date(Date.now() + RESET_TOKEN_TTL_MINUTES * 60 * 1000),
+    requestedByIp: req?.ip,
+  });
+  return token;
+};
+
+/**
+ * Use up a reset token. Returns the user id, or null when the token is
+ * unknown, expired or already used.
+ */
+export const consumePasswordResetToken = async (token) => {
+  if (!token || typeof token !== 'string') return null;
+
+  const record = await PasswordResetToken.findOneAndUpdate(
+    { tokenHash: hashToken(token), usedAt: null, expiresAt: { $gt: new Date() } },
+    { $set: { usedAt: new Date() } }
+  );
+  return record ? record.user : null;
+};
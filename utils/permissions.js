@@ -41,6 +41,13 @@ export const isManagerOrAbove = (user, organization) => {
   return role === 'owner' || role === 'admin' || role === 'manager';
 };
 
+/**
+ * Check if the organization makes two-factor authentication mandatory for
+ * this user (owners and admins when `security.requireTwoFactor` is on)
+ */
+export const isTwoFactorRequired = (user, organization) =>
+  !!organization?.security?.requireTwoFactor && isAdminOrOwner(user, organization);
+
 /**
  * Check if user is organization member (any role)
  */
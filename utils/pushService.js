@@ -1,7 +1,22 @@
 import admin from "../firebaseAdmin.js";
 import PushToken from "../models/pushToken.model.js";
-import Notification from "../models/notification.mode.js";
 import mongoose from "mongoose";
+import User from "../models/user.model.js";
+import { getDeliveryChannels } from "./notificationPreferences.js";
+import { sendNotificationEmail } from "./emailService.js";
+import { createInAppNotification } from "./notificationGroups.js";
+
+// Email channel: never fails the notification
+async function sendEmailCopy(userId, notification) {
+  try {
+    const user = await User.findById(userId).select("name email");
+    if (user?.email) {
+      await sendNotificationEmail(user.email, user.name, notification);
+    }
+  } catch (err) {
+    console.error("Notification email error:", err?.message || err);
+  }
+}
 
 export async function sendPushToUser({
   userId,
@@ -11,26 +26,35 @@ export async function sendPushToUser({
   data = {},
 }) {
   try {
+    const normalizedUserId = mongoose.Types.ObjectId.isValid(userId)
+      ? new mongoose.Types.ObjectId(userId)
+      : userId;
+
+    // Channels the user wants for this event type (in-app, push, email)
+    const channels = await getDeliveryChannels(normalizedUserId, data.type);
+
+    // Save notification to database (bell list), grouped with earlier events on the task
+    if (channels.inApp) {
+      await createInAppNotification({ userId: normalizedUserId, title, body, link, data });
+    }
+
+    if (channels.email) {
+      await sendEmailCopy(normalizedUserId, { title, body, link });
+    }
+
+    if (!channels.push) {
+      return { ok: false, reason: "PUSH_DISABLED" };
+    }
+
     // Check if Firebase is available
     if (!admin) {
       console.warn("Push skipped: Firebase not configured");
-      // Still save notification to database even if push is disabled
-      const normalizedUserId = mongoose.Types.ObjectId.isValid(userId)
-        ? new mongoose.Types.ObjectId(userId)
-        : userId;
-      await Notification.create({ userId: normalizedUserId, title, body, link, data });
       return { ok: false, reason: "NO_FIREBASE" };
     }
 
-    const normalizedUserId = mongoose.Types.ObjectId.isValid(userId)
-      ? new mongoose.Types.ObjectId(userId)
-      : userId;
-
     const records = await PushToken.find({ userId: normalizedUserId });
     if (!records.length) {
       console.warn('Push (NO_TOKENS):', { userId: String(normalizedUserId) });
-      // Still save notification to database
-      await Notification.create({ userId: normalizedUserId, title, body, link, data });
       return { ok: false, reason: "NO_TOKENS" };
     }
 
@@ -66,9 +90,6 @@ export async function sendPushToUser({
       await PushToken.deleteMany({ token: { $in: invalidTokens } });
     }
 
-    // Save notification to database
-    await Notification.create({ userId: normalizedUserId, title, body, link, data });
-
     return {
       ok: true,
       sent: response.successCount,
@@ -0,0 +1,129 @@
+import Task from '../models/task.model.js';
+
+/**
+ * Lexicographic ranks for ordering cards inside a column.
+ *
+ * A rank is a base-62 string read as a fraction (0.xyz...). There is always a
+ * string between two ranks, so moving a card only rewrites that card. The
+ * alphabet is in ASCII order so MongoDB's default string sort matches.
+ */
+
+const DIGITS = '0123456789ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz';
+const BASE = DIGITS.length;
+
+// Once a rank grows past this length the column gets rebalanced
+export const MAX_RANK_LENGTH = 12;
+
+/**
+ * Rank strictly between `before` and `after`. Either may be null/empty for
+ * the start or end of the column.
+ */
+export const rankBetween = (before, after) => {
+  const lo = before || '';
+  let hi = after || null;
+
+  if (hi !== null && lo >= hi) {
+    throw new Error(`Invalid rank bounds: "${lo}" must sort before "${hi}"`);
+  }
+
+  let result = '';
+  for (let i = 0; i <= lo.length + (after || '').length; i++) {
+    const loDigit = i < lo.length ? DIGITS.indexOf(lo[i]) : 0;
+    const hiDigit = hi === null ? BASE : (i < hi.length ? DIGITS.indexOf(hi[i]) : 0);
+
+    if (hiDigit - loDigit > 1) {
+      return result + DIGITS[Math.floor((loDigit + hiDigit) / 2)];
+    }
+
+    result += DIGITS[loDigit];
+    // Prefix is now below `after`, so anything longer fits under it
+    if (hiDigit > loDigit) hi = null;
+  }
+
+  throw new Error(`No rank fits between "${lo}" and "${after}"`);
+};
+
+/**
+ * `count` evenly spaced ranks, used when (re)building a column
+ */
+export const spreadRanks = (count) => {
+  let width = 1;
+  while (BASE ** width < (count + 1) * 16) width++;
+
+  const step = Math.floor(BASE ** width / (count + 1));
+  const ranks = [];
+  for (let i = 1; i <= count; i++) {
+    let n = step * i;
+    let rank = '';
+    for (let d = 0; d < width; d++) {
+      rank = DIGITS[n % BASE] + rank;
+      n = Math.floor(n / BASE);
+    }
+    // Trailing zeros add nothing to the value; dropping them keeps ranks canonical
+    ranks.push(rank.replace(/0+$/, ''));
+  }
+  return ranks;
+};
+
+/**
+ * Rewrite the ranks of every task in a column, keeping the current order.
+ * Tasks without a rank (created before ranks existed) keep their old
+ * `order`/`createdAt` order, after the ranked ones.
+ */
+export const rebalanceColumn = async (boardId, status) => {
+  const tasks = await Task.find({ board: boardId, status })
+    .select('_id rank order createdAt')
+    .lean();
+
+  tasks.sort((a, b) => {
+    if (a.rank && b.rank) return a.rank < b.rank ? -1 : a.rank > b.rank ? 1 : 0;
+    if (a.rank) return -1;
+    if (b.rank) return 1;
+    return (a.order || 0) - (b.order || 0) || new Date(a.createdAt) - new Date(b.createdAt);
+  });
+
+  const ranks = spreadRanks(tasks.length);
+  if (tasks.length) {
+    await Task.bulkWrite(
+      tasks.map((t, i) => ({
+        updateOne: { filter: { _id: t._id }, update: { $set: { rank: ranks[i] } } },
+      }))
+    );
+  }
+
+  return tasks.map((t, i) => ({ _id: t._id, rank: ranks[i] }));
+};
+
+/**
+ * Make sure every task in the column has a rank
+ */
+export const ensureColumnRanks = async (boardId, status) => {
+  const unranked = await Task.exists({
+    board: boardId,
+    status,
+    $or: [{ rank: { $exists: false } }, { rank: null }],
+  });
+  if (unranked) {
+    await rebalanceColumn(boardId, status);
+  }
+};
+
+/**
+ * Rank for a card appended to the end of a column. Each append makes the
+ * last rank a little longer, so the column is rebalanced once it gets past
+ * MAX_RANK_LENGTH.
+ */
+export const getRankAtEnd = async (boardId, status, excludeTaskId = null) => {
+  const filter = { board: boardId, status, rank: { $type: 'string' } };
+  if (excludeTaskId) filter._id = { $ne: excludeTaskId };
+
+  const findLastRank = async () =>
+    (await Task.findOne(filter).sort({ rank: -1 }).select('rank').lean())?.rank || null;
+
+  let rank = rankBetween(await findLastRank(), null);
+  if (rank.length > MAX_RANK_LENGTH) {
+    await rebalanceColumn(boardId, status);
+    rank = rankBetween(await findLastRank(), null);
+  }
+  return rank;
+};
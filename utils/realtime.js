@@ -0,0 +1,138 @@
+import { EventEmitter } from 'events';
+import jwt from 'jsonwebtoken';
+import mongoose from 'mongoose';
+import RealtimeEvent from '../models/realtimeEvent.model.js';
+import User from '../models/user.model.js';
+import { getJwtSecret } from './authTokens.js';
+
+/**
+ * Realtime board updates. Events are stored (RealtimeEvent) and emitted on an
+ * in-process bus that open SSE streams listen to. Streams on other instances
+ * (or serverless invocations) pick stored events up when clients reconnect
+ * with Last-Event-ID or poll GET /api/realtime/events.
+ *
+ * Publishing is best effort: a failure is logged and never fails the request.
+ */
+
+export const REALTIME_EVENT_TYPES = [
+  'task.created',
+  'task.updated',
+  'task.moved',
+  'task.deleted',
+  'comment.created',
+  'comment.updated',
+  'comment.deleted',
+];
+
+// Stream tickets stand in for the access token in GET /stream?ticket=
+// (URLs end up in logs and browser history)
+const STREAM_TICKET_PURPOSE = 'realtime_stream';
+const STREAM_TICKET_TTL = '60s';
+
+const bus = new EventEmitter();
+bus.setMaxListeners(0);
+
+const toId = (value) => (value ? value._id || value : undefined);
+
+/**
+ * Wire format sent to clients
+ */
+export const formatEvent = (event) => ({
+  id: event._id.toString(),
+  type: event.type,
+  actor: event.actor,
+  project: event.project,
+  boards: event.boards,
+  task: event.task,
+  payload: event.payload,
+  createdAt: event.createdAt,
+});
+
+/**
+ * Store and broadcast an event
+ */
+export const publishEvent = async ({ type, actor, project, boards = [], task, payload = {} }) => {
+  try {
+    const boardIds = [...new Set(boards.filter(Boolean).map((b) => String(toId(b))))];
+    const event = await RealtimeEvent.create({
+      type,
+      actor: toId(actor),
+      project: toId(project),
+      boards: boardIds,
+      task: toId(task),
+      // Plain JSON so populated docs are stored as sent
+      payload: JSON.parse(JSON.stringify(payload)),
+    });
+    bus.emit('event', event);
+    return event;
+  } catch (err) {
+    console.error('Realtime publish error:', err?.message || err);
+    return null;
+  }
+};
+
+/**
+ * Listen to events published by this process. Returns an unsubscribe function.
+ */
+export const subscribe = (listener) => {
+  bus.on('event', listener);
+  return () => bus.off('event', listener);
+};
+
+/**
+ * Query filter for a subscription scope: { board } or { project }
+ */
+export const scopeFilter = (scope) =>
+  scope.board ? { boards: toId(scope.board) } : { project: toId(scope.project) };
+
+export const matchesScope = (event, scope) =>
+  scope.board
+    ? event.boards.some((b) => b.toString() === String(toId(scope.board)))
+    : String(event.project) === String(toId(scope.project));
+
+/**
+ * Stored events of a scope after `lastEventId`, oldest first
+ */
+export const getEventsSince = (scope, lastEventId, limit = 100) => {
+  const filter = scopeFilter(scope);
+  if (lastEventId && mongoose.Types.ObjectId.isValid(lastEventId)) {
+    filter._id = { $gt: lastEventId };
+  }
+  return RealtimeEvent.find(filter).sort({ _id: 1 }).limit(limit);
+};
+
+/**
+ * Id of the newest stored event of a scope, or null
+ */
+export const getLatestEventId = async (scope) => {
+  const latest = await RealtimeEvent.findOne(scopeFilter(scope)).sort({ _id: -1 }).select('_id');
+  return latest ? latest._id.toString() : null;
+};
+
+/**
+ * Short-lived ticket that opens a stream (GET /stream?ticket=) and nothing
+ * else
+ */
+export const signStreamTicket = (user) =>
+  jwt.sign({ sub: user.id, purpose: STREAM_TICKET_PURPOSE, ver: user.tokenVersion || 0 }, getJwtSecret(), {
+    expiresIn: STREAM_TICKET_TTL,
+  });
+
+/**
+ * User of a valid stream ticket, or null
+ */
+export const verifyStreamTicket = async (ticket) => {
+  if (!ticket || typeof ticket !== 'string') return null;
+
+  let decoded;
+  try {
+    decoded = jwt.verify(ticket, getJwtSecret());
+  } catch {
+    return null;
+  }
+  if (decoded.purpose !== STREAM_TICKET_PURPOSE) return null;
+
+  const user = await User.findById(decoded.sub).select('-password');
+  if (!user || (decoded.ver || 0) !== (user.tokenVersion || 0)) return null;
+  return user;
+};
@@ -0,0 +1,186 @@
+import Task from '../models/task.model.js';
+import Board from '../models/board.model.js';
+import Project from '../models/project.model.js';
+import { notifyUsers } from './notificationService.js';
+import { getDoneStatusMap, isTaskDone } from './sprints.js';
+
+/**
+ * Due date reminders. Meant to run every hour or so (cron endpoint or
+ * scripts/send-reminders.js). Assignees get a "due soon" reminder when a
+ * task's due date is within one of its project's reminder offsets, and an
+ * "overdue" notification once the due date has passed. Each reminder is
+ * recorded on the task per due date, so it is sent once and is re-armed
+ * when the due date changes.
+ */
+
+export const DEFAULT_REMINDER_OFFSETS = [24];
+
+const MAX_OFFSETS = 5;
+const MAX_OFFSET_HOURS = 24 * 30;
+
+// Overdue notices are not sent for tasks that were already long overdue
+// (e.g. when reminders are first switched on)
+const OVERDUE_LOOKBACK_MS = 7 * 24 * 60 * 60 * 1000;
+
+const HOUR_MS = 60 * 60 * 1000;
+
+/**
+ * Parse reminder offsets (hours before the due date) from a request body.
+ * Returns a sorted, deduped array, or null when invalid.
+ */
+export const parseReminderOffsets = (value) => {
+  if (!Array.isArray(value) || value.length > MAX_OFFSETS) return null;
+  const offsets = value.map(Number);
+  if (offsets.some((h) => !Number.isInteger(h) || h < 1 || h > MAX_OFFSET_HOURS)) return null;
+  return [...new Set(offsets)].sort((a, b) => b - a);
+};
+
+export const REMINDER_OFFSETS_MSG =
+  `reminderOffsets must be up to ${MAX_OFFSETS} whole numbers of hours between 1 and ${MAX_OFFSET_HOURS}`;
+
+const formatHours = (hours) => {
+  if (hours % 24 === 0) {
+    const days = hours / 24;
+    return days === 1 ? '1 day' : `${days} days`;
+  }
+  return hours === 1 ? '1 hour' : `${hours} hours`;
+};
+
+/**
+ * The reminder due for a task at `now`, or null. Of several passed offsets
+ * only the closest one to the due date counts, so a late run sends one
+ * reminder instead of a burst.
+ */
+export const getDueReminder = (dueDate, offsets, now = new Date()) => {
+  const due = new Date(dueDate).getTime();
+  const current = now.getTime();
+
+  if (due <= current) {
+    return due > current - OVERDUE_LOOKBACK_MS ? { kind: 'overdue', offset: null } : null;
+  }
+
+  const passed = offsets.filter((hours) => due - hours * HOUR_MS <= current);
+  return passed.length ? { kind: 'due_soon', offset: Math.min(...passed) } : null;
+};
+
+const wasSent = (task, reminder) =>
+  (task.remindersSent || []).some(
+    (r) =>
+      r.kind === reminder.kind &&
+      (r.offset ?? null) === reminder.offset &&
+      r.dueDate?.getTime() === task.dueDate.getTime()
+  );
+
+/**
+ * Record the reminder on the task unless another run already did.
+ * Returns true when this run owns the send.
+ */
+const claimReminder = async (task, reminder, now) => {
+  const result = await Task.updateOne(
+    {
+      _id: task._id,
+      dueDate: task.dueDate,
+      remindersSent: {
+        $not: {
+          $elemMatch: { kind: reminder.kind, offset: reminder.offset, dueDate: task.dueDate },
+        },
+      },
+    },
+    {
+      $push: {
+        remindersSent: { kind: reminder.kind, offset: reminder.offset, dueDate: task.dueDate, sentAt: now },
+      },
+    }
+  );
+  return result.modifiedCount === 1;
+};
+
+const notifyAssignees = (task, reminder) => {
+  const isOverdue = reminder.kind === 'overdue';
+
+  return notifyUsers({
+    userIds: task.assignedTo,
+    type: isOverdue ? 'OVERDUE' : 'DUE_SOON',
+    title: isOverdue ? 'Task Overdue' : 'Task Due Soon',
+    body: isOverdue
+      ? `${task.title} is past its due date`
+      : `${task.title} is due in ${formatHours(reminder.offset)}`,
+    link: `/boards/${task.board}?task=${task._id}`,
+    data: {
+      taskId: String(task._id),
+      boardId: String(task.board),
+      dueDate: task.dueDate.toISOString(),
+    },
+  });
+};
+
+// Reminder offsets per board id, from each board's project
+const getOffsetsByBoard = async (boardIds) => {
+  const boards = await Board.find({ _id: { $in: boardIds } }).select('project');
+  const projects = await Project.find({
+    _id: { $in: [...new Set(boards.map((b) => b.project?.toString()).filter(Boolean))] },
+  }).select('reminderOffsets');
+  const offsetsByProject = new Map(
+    projects.map((p) => [p._id.toString(), p.reminderOffsets?.length ? p.reminderOffsets : []])
+  );
+
+  return new Map(
+    boards.map((b) => [
+      b._id.toString(),
+      offsetsByProject.get(b.project?.toString()) ?? DEFAULT_REMINDER_OFFSETS,
+    ])
+  );
+};
+
+/**
+ * Send every reminder that is due at `now`. `limit` caps the reminders sent
+ * per run (serverless time limits); the rest are picked up by the next run.
+ */
+export const sendDueReminders = async ({ now = new Date(), limit = 500 } = {}) => {
+  const summary = { checked: 0, dueSoon: 0, overdue: 0, skipped: 0 };
+
+  const tasks = await Task.find({
+    dueDate: {
+      $gt: new Date(now.getTime() - OVERDUE_LOOKBACK_MS),
+      $lte: new Date(now.getTime() + MAX_OFFSET_HOURS * HOUR_MS),
+    },
+    completedAt: null,
+    'assignedTo.0': { $exists: true },
+  })
+    .select('title board dueDate status assignedTo remindersSent')
+    .sort({ dueDate: 1 });
+
+  if (!tasks.length) return summary;
+
+  const boardIds = [...new Set(tasks.map((t) => t.board.toString()))];
+  const [offsetsByBoard, doneMap] = await Promise.all([
+    getOffsetsByBoard(boardIds),
+    getDoneStatusMap(boardIds),
+  ]);
+
+  for (const task of tasks) {
+    summary.checked += 1;
+
+    // Tasks done before completedAt was tracked
+    if (isTaskDone(task, doneMap)) continue;
+
+    const offsets = offsetsByBoard.get(task.board.toString()) ?? DEFAULT_REMINDER_OFFSETS;
+    const reminder = getDueReminder(task.dueDate, offsets, now);
+    if (!reminder || wasSent(task, reminder)) continue;
+    if (summary.dueSoon + summary.overdue >= limit) break;
+
+    try {
+      if (!(await claimReminder(task, reminder, now))) {
+        summary.skipped += 1;
+        continue;
+      }
+      await notifyAssignees(task, reminder);
+      summary[reminder.kind === 'overdue' ? 'overdue' : 'dueSoon'] += 1;
+    } catch (err) {
+      console.error('Reminder error:', err?.message || err);
+      summary.skipped += 1;
+    }
+  }
+
+  return summary;
+};
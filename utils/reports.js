@@ -0,0 +1,155 @@
+import { findColumn } from './boardColumns.js';
+import { getTransitions, transitionAt } from './statusHistory.js';
+
+/**
+ * Chart series computed from task status histories. Days are UTC calendar
+ * days; each point is the state at the end of the day (or now, for today).
+ */
+
+export const REPORT_UNITS = ['points', 'hours', 'count'];
+export const MAX_REPORT_DAYS = 366;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const startOfDay = (date) => {
+  const day = new Date(date);
+  day.setUTCHours(0, 0, 0, 0);
+  return day;
+};
+
+/**
+ * Day starts from `from` to `to`, inclusive
+ */
+export const buildDays = (from, to) => {
+  const days = [];
+  for (let t = startOfDay(from).getTime(); t <= to.getTime(); t += DAY_MS) {
+    days.push(new Date(t));
+  }
+  return days;
+};
+
+export const countDays = (from, to) =>
+  Math.floor((startOfDay(to) - startOfDay(from)) / DAY_MS) + 1;
+
+const parseDate = (value) => {
+  const date = new Date(value);
+  return Number.isNaN(date.getTime()) ? null : date;
+};
+
+/**
+ * ?from=&to= range, `defaultDays` back from `to` when `from` is omitted.
+ * Returns { from, to } or { error }.
+ */
+export const parseReportRange = (query, defaultDays = 14) => {
+  const to = query.to !== undefined ? parseDate(query.to) : new Date();
+  if (!to) return { error: 'Invalid to date' };
+
+  let from;
+  if (query.from !== undefined) {
+    from = parseDate(query.from);
+    if (!from) return { error: 'Invalid from date' };
+  } else {
+    from = new Date(to.getTime() - (defaultDays - 1) * DAY_MS);
+  }
+
+  if (from > to) return { error: 'from must be before to' };
+  if (countDays(from, to) > MAX_REPORT_DAYS) {
+    return { error: `Date range cannot exceed ${MAX_REPORT_DAYS} days` };
+  }
+  return { from, to };
+};
+
+export const toDateKey = (day) => day.toISOString().slice(0, 10);
+
+export const taskValue = (task, unit) => {
+  if (unit === 'count') return 1;
+  if (unit === 'hours') return task.estimateHours || 0;
+  return task.storyPoints || 0;
+};
+
+// Column a transition points at on its board, by id first, then by name
+const resolveColumn = (entry, boardsById) => {
+  const board = boardsById.get(String(entry.board));
+  if (!board) return null;
+  return findColumn(board, entry.column) || findColumn(board, entry.to);
+};
+
+/**
+ * Column of the task at `time`, or null
+ */
+export const columnAt = (transitions, time, boardsById) => {
+  const entry = transitionAt(transitions, time);
+  return entry ? resolveColumn(entry, boardsById) : null;
+};
+
+/**
+ * Burndown/burnup series.
+ *   tasks      - tasks in scope (with statusHistory, estimates)
+ *   boardsById - Map of board id -> board with columns
+ *   addedAt    - Map of task id -> when the task joined the scope
+ *   from, to   - date range; the ideal line runs from the scope at `from` to 0 at `to`
+ */
+export const computeBurndown = ({ tasks, boardsById, addedAt, from, to, unit, now = new Date() }) => {
+  const days = buildDays(from, to);
+  const histories = tasks.map((task) => ({
+    task,
+    value: taskValue(task, unit),
+    joined: addedAt.get(String(task._id)) || task.createdAt,
+    transitions: getTransitions(task),
+  }));
+
+  const measure = (time) => {
+    let scope = 0;
+    let completed = 0;
+    histories.forEach(({ value, joined, transitions }) => {
+      if (new Date(joined) > time) return;
+      scope += value;
+      if (columnAt(transitions, time, boardsById)?.category === 'done') completed += value;
+    });
+    return { scope, completed };
+  };
+
+  const initialScope = measure(from).scope;
+  const steps = Math.max(days.length - 1, 1);
+
+  const series = days.map((day, i) => {
+    const ideal = Math.round(initialScope * (1 - i / steps) * 100) / 100;
+    if (day > now) {
+      return { date: toDateKey(day), scope: null, completed: null, remaining: null, ideal };
+    }
+
+    const time = new Date(Math.min(day.getTime() + DAY_MS - 1, now.getTime(), to.getTime()));
+    const { scope, completed } = measure(time);
+    return { date: toDateKey(day), scope, completed, remaining: scope - completed, ideal };
+  });
+
+  return { initialScope, series };
+};
+
+/**
+ * Cumulative flow: per day, how much work sat in each column of the board
+ */
+export const computeCumulativeFlow = ({ tasks, board, from, to, unit, now = new Date() }) => {
+  const boardsById = new Map([[String(board._id), board]]);
+  const columns = board.columns.map((c) => c.name);
+  const histories = tasks.map((task) => ({
+    value: taskValue(task, unit),
+    transitions: getTransitions(task),
+  }));
+
+  const series = buildDays(from, to)
+    .filter((day) => day <= now)
+    .map((day) => {
+      const time = new Date(Math.min(day.getTime() + DAY_MS - 1, now.getTime(), to.getTime()));
+      const counts = Object.fromEntries(columns.map((name) => [name, 0]));
+
+      histories.forEach(({ value, transitions }) => {
+        const column = columnAt(transitions, time, boardsById);
+        if (column) counts[column.name] += value;
+      });
+
+      return { date: toDateKey(day), counts };
+    });
+
+  return { columns, series };
+};
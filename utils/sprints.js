@@ -0,0 +1,94 @@
+import mongoose from 'mongoose';
+import Task from '../models/task.model.js';
+import Board from '../models/board.model.js';
+import Sprint from '../models/sprint.model.js';
+import { getDoneStatuses } from './boardColumns.js';
+
+/**
+ * Sprint helpers. A task belongs to at most one sprint (`task.sprint`);
+ * tasks without one form the project backlog. A task counts as done when it
+ * sits in a "done" category column of its board.
+ */
+
+const fail = (status, msg) => ({ error: { status, msg } });
+
+export const getProjectBoardIds = async (projectId) =>
+  (await Board.find({ project: projectId }).select('_id')).map((b) => b._id);
+
+/**
+ * Map of board id -> names of its done columns
+ */
+export const getDoneStatusMap = async (boardIds) => {
+  const ids = [...new Set(boardIds.map((id) => String(id._id || id)))];
+  const boards = await Board.find({ _id: { $in: ids } }).select('columns');
+  return new Map(boards.map((b) => [b._id.toString(), getDoneStatuses(b)]));
+};
+
+export const isTaskDone = (task, doneMap) =>
+  (doneMap.get(String(task.board._id || task.board)) || []).includes(task.status);
+
+/**
+ * Split tasks into done and open ones
+ */
+export const splitTasksByDone = async (tasks) => {
+  const doneMap = await getDoneStatusMap(tasks.map((t) => t.board));
+  const done = [];
+  const open = [];
+  tasks.forEach((task) => (isTaskDone(task, doneMap) ? done : open).push(task));
+  return { done, open };
+};
+
+/**
+ * Tasks of a sprint with completion progress
+ */
+export const getSprintTasks = async (sprintId) => {
+  const tasks = await Task.find({ sprint: sprintId })
+    .populate('assignedTo', 'name email')
+    .populate('createdBy', 'name email')
+    .populate('labels', 'name color')
+    .sort({ issueNumber: 1, createdAt: 1 });
+
+  const { done } = await splitTasksByDone(tasks);
+  return {
+    tasks,
+    progress: {
+      total: tasks.length,
+      done: done.length,
+      percent: tasks.length ? Math.round((done.length / tasks.length) * 100) : 0,
+    },
+  };
+};
+
+/**
+ * Check that a task of `projectId` can be put in the sprint
+ */
+export const validateSprintAssignment = async (sprintId, projectId) => {
+  if (!mongoose.Types.ObjectId.isValid(sprintId)) {
+    return fail(404, 'Sprint not found');
+  }
+
+  const sprint = await Sprint.findById(sprintId);
+  if (!sprint) {
+    return fail(404, 'Sprint not found');
+  }
+
+  if (sprint.project.toString() !== projectId.toString()) {
+    return fail(400, 'Sprint must belong to the same project');
+  }
+
+  if (sprint.state === 'closed') {
+    return fail(400, 'Cannot add tasks to a closed sprint');
+  }
+
+  return { sprint };
+};
+
+/**
+ * The planned sprint that follows, in creation order
+ */
+export const findNextSprint = (projectId, exceptSprintId) =>
+  Sprint.findOne({
+    project: projectId,
+    state: 'planned',
+    _id: { $ne: exceptSprintId },
+  }).sort({ createdAt: 1 });
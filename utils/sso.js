@@ -0,0 +1,194 @@
+import crypto from 'crypto';
+import User from '../models/user.model.js';
+import { hashPassword } from './passwordReset.js';
+import { isOwner } from './permissions.js';
+import { isValidIssuerUrl } from './oidc.js';
+import { recordActivity } from './activityService.js';
+
+/**
+ * Organization single sign-on: settings validation, which accounts may still
+ * use passwords, and mapping identity provider claims to accounts
+ * (linking by email, or just-in-time provisioning). The protocol itself is
+ * in utils/oidc.js.
+ */
+
+// Field needed to call the provider's token endpoint (not selected by default)
+export const SSO_SECRET_FIELD = '+sso.clientSecret';
+
+const SSO_ROLES = ['member', 'manager', 'admin'];
+
+// How long an owner's approval to link an account stays valid
+export const SSO_LINK_APPROVAL_DAYS = 7;
+const DAY_MS = 24 * 60 * 60 * 1000;
+const DOMAIN_REGEX = /^(?=.{1,253}$)([a-z0-9]([a-z0-9-]{0,61}[a-z0-9])?\.)+[a-z]{2,63}$/;
+
+/**
+ * Redirect URI to register at the identity provider (API_URL, else the
+ * host of the request)
+ */
+export const getSsoRedirectUri = (req) =>
+  `${process.env.API_URL || `${req.protocol}://${req.get('host')}`}/api/auth/sso/callback`;
+
+export const emailDomain = (email) => String(email || '').split('@').pop().toLowerCase();
+
+/**
+ * Whether SSO is switched on and fully configured
+ */
+export const isSsoEnabled = (organization) =>
+  !!(organization?.sso?.enabled && organization.sso.issuer && organization.sso.clientId);
+
+/**
+ * Password login is off for organizations that require SSO, except for the
+ * owner
+ */
+export const isPasswordLoginAllowed = (user, organization) =>
+  !(isSsoEnabled(organization) && organization.sso.disablePasswordLogin) || isOwner(user, organization);
+
+export const isEmailDomainAllowed = (organization, email) => {
+  const domains = organization.sso?.allowedDomains || [];
+  return !domains.length || domains.includes(emailDomain(email));
+};
+
+/**
+ * SSO settings safe to return (the client secret is only reported as set)
+ */
+export const ssoSettingsResponse = (organization) => ({
+  enabled: !!organization.sso?.enabled,
+  protocol: organization.sso?.protocol || 'oidc',
+  issuer: organization.sso?.issuer || null,
+  clientId: organization.sso?.clientId || null,
+  clientSecretSet: !!organization.sso?.clientSecret,
+  allowedDomains: organization.sso?.allowedDomains || [],
+  autoProvision: organization.sso?.autoProvision ?? true,
+  defaultRole: organization.sso?.defaultRole || 'member',
+  disablePasswordLogin: !!organization.sso?.disablePasswordLogin,
+});
+
+/**
+ * Validate SSO settings from a request body; fields left out keep their
+ * value. Returns { updates } (paths under `sso`) or { error }.
+ */
+export const parseSsoSettings = (body = {}) => {
+  const updates = {};
+
+  for (const field of ['enabled', 'autoProvision', 'disablePasswordLogin']) {
+    if (body[field] === undefined) continue;
+    if (typeof body[field] !== 'boolean') return { error: `${field} must be true or false` };
+    updates[field] = body[field];
+  }
+
+  if (body.protocol !== undefined && body.protocol !== 'oidc') {
+    return { error: 'Only OpenID Connect (protocol "oidc") is supported' };
+  }
+
+  if (body.issuer !== undefined) {
+    if (typeof body.issuer !== 'string' || !isValidIssuerUrl(body.issuer.trim())) {
+      return { error: 'issuer must be an https URL' };
+    }
+    updates.issuer = body.issuer.trim();
+  }
+
+  for (const field of ['clientId', 'clientSecret']) {
+    if (body[field] === undefined) continue;
+    if (typeof body[field] !== 'string' || !body[field].trim() || body[field].length > 500) {
+      return { error: `${field} must be a non-empty string` };
+    }
+    updates[field] = body[field].trim();
+  }
+
+  if (body.allowedDomains !== undefined) {
+    if (!Array.isArray(body.allowedDomains) || body.allowedDomains.length > 20) {
+      return { error: 'allowedDomains must be a list of up to 20 domains' };
+    }
+    const domains = body.allowedDomains.map((d) => String(d).trim().toLowerCase());
+    if (domains.some((d) => !DOMAIN_REGEX.test(d))) {
+      return { error: 'allowedDomains must contain domain names like example.com' };
+    }
+    updates.allowedDomains = [...new Set(domains)];
+  }
+
+  if (body.defaultRole !== undefined) {
+    if (!SSO_ROLES.includes(body.defaultRole)) {
+      return { error: `defaultRole must be one of: ${SSO_ROLES.join(', ')}` };
+    }
+    updates.defaultRole = body.defaultRole;
+  }
+
+  return { updates };
+};
+
+/**
+ * The account for a verified ID token: the one already linked to the
+ * subject, else the one with the same email (which is then linked, if the
+ * provider verified the email or the owner approved it), else a new one when
+ * auto-provisioning is on. Returns { user } or { error }.
+ */
+export const resolveSsoUser = async (organization, claims) => {
+  const { issuer } = organization.sso;
+  const email = String(claims.email || '').trim().toLowerCase();
+
+  if (!email || claims.email_verified === false) {
+    return { error: 'Your identity provider did not share a verified email address' };
+  }
+  if (!isEmailDomainAllowed(organization, email)) {
+    return { error: 'Your email domain is not allowed to sign in to this organization' };
+  }
+
+  let user = await User.findOne({
+    organization: organization._id,
+    'sso.issuer': issuer,
+    'sso.subject': claims.sub,
+  });
+
+  if (!user) {
+    user = await User.findOne({ organization: organization._id, email });
+    if (user?.sso?.subject && (user.sso.subject !== claims.sub || user.sso.issuer !== issuer)) {
+      return { error: 'This account is linked to a different identity' };
+    }
+
+    // An existing account is only taken over when the provider confirms the
+    // email; some providers leave email_verified out and let users set any
+    // email. Otherwise the owner approves the link first.
+    const linkApproved =
+      user?.sso?.linkApprovedAt && Date.now() - user.sso.linkApprovedAt < SSO_LINK_APPROVAL_DAYS * DAY_MS;
+    if (user && claims.email_verified !== true && !linkApproved) {
+      return {
+        error: 'Your identity provider did not confirm your email address. Ask the organization owner to approve linking your account, then sign in again.',
+      };
+    }
+
+    if (user) {
+      user.sso = { issuer, subject: claims.sub };
+      await user.save();
+    }
+  }
+
+  if (!user) {
+    if (!organization.sso.autoProvision) {
+      return { error: 'You do not have an account in this organization. Ask an admin to invite you.' };
+    }
+
+    // Not usable for password login: nobody knows it
+    const password = await hashPassword(crypto.randomBytes(32).toString('hex'));
+    user = await User.create({
+      name: claims.name || [claims.given_name, claims.family_name].filter(Boolean).join(' ') || email.split('@')[0],
+      email,
+      password,
+      organization: organization._id,
+      role: organization.sso.defaultRole || 'member',
+      sso: { issuer, subject: claims.sub },
+    });
+
+    await recordActivity({
+      actor: user._id,
+      entityType: 'membership',
+      entityId: user._id,
+      action: 'org_member_provisioned',
+      changes: [{ field: 'role', from: null, to: user.role }],
+      meta: { userName: user.name, email, via: 'sso' },
+      organization: organization._id,
+    });
+  }
+
+  return { user };
+};
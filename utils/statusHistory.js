@@ -0,0 +1,71 @@
+import Task from '../models/task.model.js';
+
+/**
+ * Every time a task lands in another column (or on another board) a
+ * transition is appended to `task.statusHistory`. Reports replay them.
+ */
+
+/**
+ * Transition into `column` of `board`
+ */
+export const statusTransition = ({ from = null, board, column, by = null }) => ({
+  from: from || null,
+  to: column.name,
+  column: column._id || null,
+  board: board._id || board,
+  by,
+  at: new Date(),
+});
+
+/**
+ * Transitions of a task, oldest first. Tasks created before history was
+ * recorded get one entry for their current status at creation time.
+ */
+export const getTransitions = (task) => {
+  if (task.statusHistory?.length) {
+    return [...task.statusHistory].sort((a, b) => new Date(a.at) - new Date(b.at));
+  }
+  return [{ from: null, to: task.status, column: null, board: task.board, at: task.createdAt }];
+};
+
+/**
+ * The transition in effect at `time`, or null if the task did not exist yet
+ */
+export const transitionAt = (transitions, time) => {
+  let current = null;
+  for (const entry of transitions) {
+    if (new Date(entry.at) > time) break;
+    current = entry;
+  }
+  return current;
+};
+
+/**
+ * startedAt/completedAt after moving `task` into `column`. A task starts the
+ * first time it reaches an in-progress column and is completed while it sits
+ * in a done column (reopening clears completedAt).
+ */
+export const statusTimestamps = (task, column, at = new Date()) => {
+  const fields = {};
+  if (column.category === 'in_progress' && !task.startedAt) fields.startedAt = at;
+  if (column.category === 'done') {
+    if (!task.completedAt) fields.completedAt = at;
+  } else if (task.completedAt) {
+    fields.completedAt = null;
+  }
+  return fields;
+};
+
+/**
+ * Same as statusTimestamps for every task matching `filter`, all now in `column`
+ */
+export const applyStatusTimestamps = async (filter, column, at = new Date()) => {
+  if (column.category === 'in_progress') {
+    await Task.updateMany({ ...filter, startedAt: null }, { $set: { startedAt: at } });
+  }
+  if (column.category === 'done') {
+    await Task.updateMany({ ...filter, completedAt: null }, { $set: { completedAt: at } });
+  } else {
+    await Task.updateMany({ ...filter, completedAt: { $ne: null } }, { $set: { completedAt: null } });
+  }
+};
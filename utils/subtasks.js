@@ -0,0 +1,74 @@
+import mongoose from 'mongoose';
+import Task from '../models/task.model.js';
+import Board from '../models/board.model.js';
+import { getDoneStatuses } from './boardColumns.js';
+
+/**
+ * Subtask helpers. Subtasks are one level deep: a subtask cannot have
+ * subtasks of its own, which also rules out cycles.
+ */
+
+const fail = (status, msg) => ({ error: { status, msg } });
+
+/**
+ * Check that `parentId` can be the parent of a task in `projectId`.
+ * `childId` is given when linking an existing task.
+ */
+export const validateParentTask = async (parentId, projectId, childId = null) => {
+  if (!mongoose.Types.ObjectId.isValid(parentId)) {
+    return fail(404, 'Parent task not found');
+  }
+
+  const parent = await Task.findById(parentId);
+  if (!parent) {
+    return fail(404, 'Parent task not found');
+  }
+
+  if (childId && parent._id.toString() === childId.toString()) {
+    return fail(400, 'A task cannot be its own subtask');
+  }
+
+  if (parent.parent) {
+    return fail(400, 'Subtasks cannot have subtasks');
+  }
+
+  const parentBoard = await Board.findById(parent.board).select('project');
+  if (!parentBoard || parentBoard.project.toString() !== projectId.toString()) {
+    return fail(400, 'Parent task must be in the same project');
+  }
+
+  if (childId && await Task.exists({ parent: childId })) {
+    return fail(400, 'A task with subtasks cannot become a subtask');
+  }
+
+  return { parent };
+};
+
+/**
+ * Subtasks of a task with the roll-up of their completion. A subtask counts
+ * as done when it sits in a "done" category column of its board.
+ */
+export const getSubtaskProgress = async (parentId) => {
+  const subtasks = await Task.find({ parent: parentId })
+    .populate('assignedTo', 'name email')
+    .populate('createdBy', 'name email')
+    .sort({ createdAt: 1 });
+
+  const boardIds = [...new Set(subtasks.map((t) => t.board.toString()))];
+  const boards = await Board.find({ _id: { $in: boardIds } }).select('columns');
+  const doneByBoard = new Map(boards.map((b) => [b._id.toString(), getDoneStatuses(b)]));
+
+  const done = subtasks.filter(
+    (t) => (doneByBoard.get(t.board.toString()) || []).includes(t.status)
+  ).length;
+  const total = subtasks.length;
+
+  return {
+    subtasks,
+    progress: {
+      total,
+      done,
+      percent: total ? Math.round((done / total) * 100) : 0,
+    },
+  };
+};
@@ -0,0 +1,165 @@
+import crypto from 'crypto';
+import jwt from 'jsonwebtoken';
+import User from '../models/user.model.js';
+import { getJwtSecret } from './authTokens.js';
+import { decryptSecret, encryptSecret } from './encryption.js';
+import { buildOtpauthUrl, generateSecret, verifyCode } from './totp.js';
+
+/**
+ * Two-factor authentication. TOTP secrets are stored encrypted (see
+ * utils/encryption.js) and recovery codes as SHA-256 hashes. Login with 2FA
+ * is two steps: the password check returns a short-lived challenge token,
+ * which is exchanged for a session together with a code.
+ */
+
+// Fields needed to check or change 2FA (they are not selected by default)
+export const TWO_FACTOR_FIELDS =
+  '+twoFactor.secret +twoFactor.pendingSecret +twoFactor.recoveryCodes +twoFactor.lastUsedStep';
+
+export const CHALLENGE_PURPOSES = {
+  LOGIN: 'two_factor_login',
+  // Org requires 2FA and the user has not enrolled yet
+  SETUP: 'two_factor_setup',
+};
+
+const CHALLENGE_TOKEN_TTL = '5m';
+const RECOVERY_CODE_COUNT = 10;
+const ISSUER = process.env.TOTP_ISSUER || 'Kanban';
+
+const hashRecoveryCode = (code) =>
+  crypto.createHash('sha256').update(String(code).toLowerCase().replace(/[^a-z0-9]/g, '')).digest('hex');
+
+const generateRecoveryCodes = () =>
+  Array.from({ length: RECOVERY_CODE_COUNT }, () => {
+    const raw = crypto.randomBytes(5).toString('hex');
+    return `${raw.slice(0, 5)}-${raw.slice(5)}`;
+  });
+
+/**
+ * Challenge token for the second login step
+ */
+export const signChallengeToken = (user, purpose) =>
+  jwt.sign({ sub: user.id, purpose, ver: user.tokenVersion || 0 }, getJwtSecret(), {
+    expiresIn: CHALLENGE_TOKEN_TTL,
+  });
+
+/**
+ * User of a valid challenge token (with 2FA fields), or null
+ */
+export const verifyChallengeToken = async (token, purpose) => {
+  if (!token || typeof token !== 'string') return null;
+
+  let decoded;
+  try {
+    decoded = jwt.verify(token, getJwtSecret());
+  } catch {
+    return null;
+  }
+  if (decoded.purpose !== purpose) return null;
+
+  const user = await User.findById(decoded.sub).select(TWO_FACTOR_FIELDS);
+  if (!user || (decoded.ver || 0) !== (user.tokenVersion || 0)) return null;
+  return user;
+};
+
+/**
+ * Start enrolment: store a pending secret and return what the authenticator
+ * app needs ({ secret, otpauthUrl })
+ */
+export const startEnrollment = async (user) => {
+  const secret = generateSecret();
+  await User.updateOne({ _id: user._id }, { $set: { 'twoFactor.pendingSecret': encryptSecret(secret) } });
+  return {
+    secret,
+    otpauthUrl: buildOtpauthUrl({ secret, accountName: user.email, issuer: ISSUER }),
+  };
+};
+
+/**
+ * Finish enrolment with a code from the app. Returns the recovery codes
+ * (shown once), or null when the code is wrong or no enrolment is pending.
+ */
+export const confirmEnrollment = async (user, code) => {
+  const pending = user.twoFactor?.pendingSecret;
+  if (!pending) return null;
+
+  const secret = decryptSecret(pending);
+  const step = verifyCode(secret, code);
+  if (step === null) return null;
+
+  const recoveryCodes = generateRecoveryCodes();
+  await User.updateOne(
+    { _id: user._id },
+    {
+      $set: {
+        'twoFactor.enabled': true,
+        'twoFactor.enabledAt': new Date(),
+        'twoFactor.secret': pending,
+        'twoFactor.recoveryCodes': recoveryCodes.map(hashRecoveryCode),
+        'twoFactor.lastUsedStep': step,
+      },
+      $unset: { 'twoFactor.pendingSecret': 1 },
+    }
+  );
+  return recoveryCodes;
+};
+
+/**
+ * Check and use up a TOTP code or a recovery code of a user with 2FA on.
+ * Returns 'totp', 'recovery' or null.
+ */
+export const verifySecondFactor = async (user, { code, recoveryCode }) => {
+  if (!user.twoFactor?.enabled || !user.twoFactor.secret) return null;
+
+  if (code) {
+    const step = verifyCode(decryptSecret(user.twoFactor.secret), code, {
+      afterStep: user.twoFactor.lastUsedStep ?? -1,
+    });
+    if (step === null) return null;
+
+    // Another request may have used the same code meanwhile
+    const result = await User.updateOne(
+      { _id: user._id, 'twoFactor.lastUsedStep': { $not: { $gte: step } } },
+      { $set: { 'twoFactor.lastUsedStep': step } }
+    );
+    return result.modifiedCount === 1 ? 'totp' : null;
+  }
+
+  if (recoveryCode) {
+    const hash = hashRecoveryCode(recoveryCode);
+    const result = await User.updateOne(
+      { _id: user._id, 'twoFactor.recoveryCodes': hash },
+      { $pull: { 'twoFactor.recoveryCodes': hash } }
+    );
+    return result.modifiedCount === 1 ? 'recovery' : null;
+  }
+
+  return null;
+};
+
+/**
+ * Replace the recovery codes; returns the new ones
+ */
+export const replaceRecoveryCodes = async (user) => {
+  const recoveryCodes = generateRecoveryCodes();
+  await User.updateOne(
+    { _id: user._id },
+    { $set: { 'twoFactor.recoveryCodes': recoveryCodes.map(hashRecoveryCode) } }
+  );
+  return recoveryCodes;
+};
+
+export const clearTwoFactor = (user) =>
+  User.updateOne(
+    { _id: user._id },
+    {
+      $set: { 'twoFactor.enabled': false },
+      $unset: {
+        'twoFactor.enabledAt': 1,
+        'twoFactor.secret': 1,
+        'twoFactor.pendingSecret': 1,
+        'twoFactor.recoveryCodes': 1,
+        'twoFactor.lastUsedStep': 1,
+      },
+    }
+  );
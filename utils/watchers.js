@@ -0,0 +1,80 @@
+import Task from '../models/task.model.js';
+import { notifyUsers } from './notificationService.js';
+import { filterUsersWithTaskAccess } from './mentions.js';
+
+/**
+ * Task watchers. The creator, assignees, commenters and mentioned users are
+ * added automatically; anyone with access to the task can watch or unwatch
+ * it. Tasks created before watchers existed have no `watchers` field; their
+ * creator and assignees count as watchers until the list is first written.
+ */
+
+const toIdString = (value) => String(value?._id || value);
+
+const initialWatchers = (task) => [
+  ...new Set([task.createdBy, ...(task.assignedTo || [])].filter(Boolean).map(toIdString)),
+];
+
+/**
+ * Watcher ids of a task
+ */
+export const getWatcherIds = (task) =>
+  task.watchers === undefined ? initialWatchers(task) : task.watchers.map(toIdString);
+
+export const isWatching = (task, userId) => getWatcherIds(task).includes(toIdString(userId));
+
+// Write the implicit list of a legacy task before changing it
+const ensureWatchers = async (task) => {
+  if (task.watchers !== undefined) return;
+  await Task.updateOne(
+    { _id: task._id, watchers: { $exists: false } },
+    { $set: { watchers: initialWatchers(task) } }
+  );
+};
+
+/**
+ * Add users to a task's watchers (best effort)
+ */
+export const addWatchers = async (task, userIds) => {
+  const ids = [...new Set(userIds.filter(Boolean).map(toIdString))];
+  if (!ids.length) return;
+
+  try {
+    await ensureWatchers(task);
+    await Task.updateOne({ _id: task._id }, { $addToSet: { watchers: { $each: ids } } });
+  } catch (err) {
+    console.error('Watchers update error:', err?.message || err);
+  }
+};
+
+/**
+ * Remove a user from a task's watchers
+ */
+export const removeWatcher = async (task, userId) => {
+  await ensureWatchers(task);
+  await Task.updateOne({ _id: task._id }, { $pull: { watchers: toIdString(userId) } });
+};
+
+/**
+ * Notify the watchers of a task, except the actor and `exclude` (users who
+ * got a more specific notification for the same event). Watchers who lost
+ * access to the task are skipped. Never throws.
+ */
+export const notifyWatchers = async ({ task, project, actorId, exclude = [], title, body, type, data = {} }) => {
+  try {
+    const recipients = await filterUsersWithTaskAccess(getWatcherIds(task), project);
+    const boardId = toIdString(task.board);
+
+    await notifyUsers({
+      userIds: recipients,
+      exclude: [actorId, ...exclude],
+      type,
+      title,
+      body,
+      link: `/boards/${boardId}?task=${task._id}`,
+      data: { taskId: String(task._id), boardId, ...data },
+    });
+  } catch (err) {
+    console.error('Push error (watchers):', err?.message || err);
+  }
+};
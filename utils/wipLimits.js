@@ -0,0 +1,100 @@
+import Task from '../models/task.model.js';
+import Board from '../models/board.model.js';
+import { findColumn } from './boardColumns.js';
+
+// Only the most recent overrides are kept on the board
+const MAX_WIP_OVERRIDES = 100;
+
+/**
+ * Parse a wipLimit from a request body. Returns undefined when not given,
+ * null to clear the limit, a positive integer, or NaN when invalid.
+ */
+export const parseWipLimit = (value) => {
+  if (value === undefined) return undefined;
+  if (value === null || value === '' || value === 0 || value === '0') return null;
+  const limit = Number(value);
+  return Number.isInteger(limit) && limit > 0 ? limit : NaN;
+};
+
+/**
+ * Check whether putting a task (or `adding` tasks) into `status` pushes the
+ * column over its WIP limit. `taskId` is excluded from the count (a task
+ * already in the column). Returns null when within the limit.
+ */
+export const checkWipLimit = async (board, status, taskId = null, adding = 1) => {
+  const column = findColumn(board, status);
+  if (!column || !column.wipLimit) return null;
+
+  const filter = { board: board._id, status: column.name };
+  if (taskId) filter._id = { $ne: taskId };
+
+  const count = (await Task.countDocuments(filter)) + adding;
+  if (count <= column.wipLimit) return null;
+
+  return {
+    column: column.name,
+    limit: column.wipLimit,
+    count,
+    mode: board.wipMode || 'soft',
+  };
+};
+
+/**
+ * Apply the board's WIP policy to a move into `status`.
+ *
+ * Returns `{ blocked }` when the move must be rejected (hard mode without an
+ * allowed override), otherwise `{ warning }` (null when within the limit).
+ * Overrides by owners/admins are recorded on the board.
+ */
+export const enforceWipLimit = async ({
+  board,
+  status,
+  taskId = null,
+  adding = 1,
+  userId,
+  override = false,
+  canOverride = false,
+}) => {
+  const exceeded = await checkWipLimit(board, status, taskId, adding);
+  if (!exceeded) return { warning: null };
+
+  if (exceeded.mode === 'soft') {
+    return { warning: exceeded };
+  }
+
+  const wantsOverride = override === true || override === 'true';
+  if (!wantsOverride || !canOverride) {
+    return {
+      blocked: {
+        msg: `WIP limit reached for "${exceeded.column}" (${exceeded.limit})`,
+        wip: { ...exceeded, canOverride },
+      },
+    };
+  }
+
+  await Board.updateOne(
+    { _id: board._id },
+    {
+      $push: {
+        wipOverrides: {
+          $each: [{
+            column: exceeded.column,
+            task: taskId,
+            user: userId,
+            count: exceeded.count,
+            limit: exceeded.limit,
+          }],
+          $slice: -MAX_WIP_OVERRIDES,
+        },
+      },
+    }
+  );
+
+  return { warning: { ...exceeded, overridden: true } };
+};
+
+/**
+ * Attach a WIP warning to a task response
+ */
+export const withWipWarning = (task, warning) =>
+  warning ? { ...task.toJSON(), wipWarning: warning } : task;